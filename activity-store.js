@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const { tryLock } = require('./schedule-utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Writers wait this long for another process's write to the same file before giving up
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 25;
+
+// How each record type is deduplicated and which timestamp places it in time. GitHub keys use
+// the owner/name repo, so same-named repos in two orgs don't collide.
+// Later writes of the same key win, so a PR that gets merged replaces its "open" record.
+// Types with `merge` keep the stored record's fields the new one doesn't set.
+const RECORD_TYPES = {
+  commits: { key: (c) => c.sha, at: (c) => c.date },
+  // Webhook payloads lack the scan's files, linked issues and review timing — a later
+  // "labeled" or "closed" delivery mustn't wipe them
+  prs: {
+    key: (p) => `${p.fullRepo || p.repo}#${p.number}`,
+    at: (p) => p.times?.mergedAt || p.times?.closedAt || p.times?.createdAt || p.mergedAt || p.closedAt || p.createdAt,
+    merge: true,
+  },
+  reviews: { key: (r) => `${r.fullRepo || r.repo}#${r.prNumber}:${r.reviewer}:${r.submittedAt}`, at: (r) => r.submittedAt },
+  comments: { key: (c) => `${c.fullRepo || c.repo}:${c.author}:${c.issueNumber}:${c.createdAt}`, at: (c) => c.createdAt },
+  // Placed at their latest activity, so an old issue closed today is in today's range
+  issues: { key: (i) => `${i.fullRepo || i.repo}#${i.number}`, at: (i) => i.closedAt || i.updatedAt || i.createdAt },
+  releases: { key: (r) => `${r.fullRepo || r.repo}@${r.tag}`, at: (r) => r.publishedAt },
+  // Minute precision so the org events feed and a webhook delivery of the same event collapse
+  branchEvents: { key: (b) => `${b.fullRepo || b.repo}:${b.branch}:${b.action}:${(b.createdAt || '').slice(0, 16)}`, at: (b) => b.createdAt },
+  memberEvents: { key: (m) => `${m.fullRepo || m.repo}:${m.member}:${m.action}:${(m.createdAt || '').slice(0, 16)}`, at: (m) => m.createdAt },
+  // A re-run replaces the run's record, so the latest attempt wins
+  workflowRuns: { key: (r) => `${r.fullRepo || r.repo}:${r.id}`, at: (r) => r.createdAt },
+  // Placed at the latest status, so a deployment that fails or is rolled back later shows up then
+  deployments: { key: (d) => `${d.fullRepo || d.repo}:${d.id}`, at: (d) => d.statusAt || d.createdAt },
+  tickets: { key: (t) => t.identifier, at: (t) => t.updatedAt },
+  ticketComments: { key: (c) => `${c.issue}:${c.author}:${c.createdAt}`, at: (c) => c.createdAt },
+  ticketTransitions: { key: (t) => `${t.issue}:${t.field}:${t.at}`, at: (t) => t.at },
+  // Notion spec pages as last fetched by build-context.js, one record per page. Placed at fetch
+  // time so a spec nobody has edited in months isn't dropped by retention.
+  specs: { key: (s) => s.id, at: (s) => s.fetchedAt },
+  // Scheduler run history: one record per job and scheduled slot, rewritten as the run progresses
+  jobRuns: { key: (r) => `${r.job}@${r.slot}`, at: (r) => r.startedAt },
+};
+
+// Shallow merge: the update's fields win, except ones it leaves unset (undefined or null)
+function mergeRecord(previous, update) {
+  const merged = { ...previous };
+  for (const [field, value] of Object.entries(update)) {
+    if (value !== undefined && value !== null) merged[field] = value;
+  }
+  return merged;
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function toTime(value) {
+  const t = value ? Date.parse(value) : NaN;
+  return Number.isNaN(t) ? null : t;
+}
+
+/**
+ * Open a JSONL activity store in `dir` (one file per record type).
+ * Records older than retentionDays are dropped on write.
+ * Returns { upsert, query }.
+ */
+function openActivityStore(dir, { retentionDays = 180 } = {}) {
+  const fileFor = (type) => path.join(dir, `${type}.jsonl`);
+
+  // Keyed by the current key rules, so records written under older ones dedupe against new writes
+  function readAll(type) {
+    const file = fileFor(type);
+    if (!fs.existsSync(file)) return new Map();
+    const spec = RECORD_TYPES[type];
+    const entries = new Map();
+    for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+      if (!line) continue;
+      try {
+        const entry = JSON.parse(line);
+        const key = (spec && spec.key(entry.data)) || entry.key;
+        entries.set(key, { ...entry, key });
+      } catch {
+        // Skip a torn line rather than losing the whole file
+      }
+    }
+    return entries;
+  }
+
+  // The bot's webhook receiver, the scheduler's jobs and cron scripts write the same files, so
+  // each read-modify-write holds <type>.jsonl.lock; readers need no lock, the rename is atomic
+  function withLock(type, fn) {
+    fs.mkdirSync(dir, { recursive: true });
+    const lockFile = `${fileFor(type)}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+    let holder;
+    while ((holder = tryLock(lockFile, { type, startedAt: new Date().toISOString() }))) {
+      if (Date.now() >= deadline) throw new Error(`Activity store ${type} is locked by pid ${holder.pid}`);
+      sleepSync(LOCK_RETRY_MS);
+    }
+    try {
+      return fn();
+    } finally {
+      fs.rmSync(lockFile, { force: true });
+    }
+  }
+
+  function upsert(type, records) {
+    const spec = RECORD_TYPES[type];
+    if (!spec) throw new Error(`Unknown activity record type: ${type}`);
+    if (!records || records.length === 0) return 0;
+    return withLock(type, () => write(type, spec, records));
+  }
+
+  function write(type, spec, records) {
+    const entries = readAll(type);
+    let added = 0;
+    for (const record of records) {
+      const key = spec.key(record);
+      const previous = entries.get(key);
+      const data = spec.merge && previous ? mergeRecord(previous.data, record) : record;
+      const at = toTime(spec.at(data));
+      if (!key || at === null) continue;
+      if (!previous) added++;
+      entries.set(key, { key, at, data });
+    }
+
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    const lines = [];
+    for (const entry of entries.values()) {
+      if (entry.at >= cutoff) lines.push(JSON.stringify(entry));
+    }
+
+    const tmp = `${fileFor(type)}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, lines.join('\n') + '\n', 'utf8');
+    fs.renameSync(tmp, fileFor(type));
+    return added;
+  }
+
+  /**
+   * Records of `type` whose timestamp falls in [from, to), oldest first.
+   */
+  function query(type, { from = 0, to = Infinity } = {}) {
+    const fromMs = from instanceof Date ? from.getTime() : from;
+    const toMs = to instanceof Date ? to.getTime() : to;
+    return [...readAll(type).values()]
+      .filter((e) => e.at >= fromMs && e.at < toMs)
+      .sort((a, b) => a.at - b.at)
+      .map((e) => e.data);
+  }
+
+  return { upsert, query };
+}
+
+/**
+ * Write everything collectGitData returned into the store.
+ * Returns the number of records not seen before.
+ */
+function recordGitData(store, data) {
+  let added = 0;
+  for (const type of ['commits', 'prs', 'reviews', 'comments', 'issues', 'releases', 'branchEvents', 'memberEvents', 'workflowRuns', 'deployments']) {
+    added += store.upsert(type, data[type] || []);
+  }
+  return added;
+}
+
+/**
+ * Write everything fetchLinearActivity returned into the store.
+ * Issues are flattened to plain ticket records.
+ */
+function recordLinearData(store, data) {
+  const tickets = [...data.newIssues, ...data.activeIssues].map((issue) => ({
+    identifier: issue.identifier,
+    title: issue.title,
+    teamId: issue.team?.id || '',
+    teamKey: issue.team?.key || '',
+    state: issue.state?.name || '',
+    stateType: issue.state?.type || '',
+    assignee: issue.assignee?.displayName || '',
+    priorityLabel: issue.priorityLabel || '',
+    createdAt: issue.createdAt,
+    updatedAt: issue.updatedAt,
+    completedAt: issue.completedAt || null,
+  }));
+  return store.upsert('tickets', tickets)
+    + store.upsert('ticketComments', data.recentComments)
+    + store.upsert('ticketTransitions', data.transitions || []);
+}
+
+/**
+ * Rebuild the collectGitData shape from stored records in [from, to).
+ */
+function queryGitData(store, range) {
+  return {
+    commits: store.query('commits', range),
+    prs: store.query('prs', range),
+    reviews: store.query('reviews', range),
+    comments: store.query('comments', range),
+    issues: store.query('issues', range),
+    releases: store.query('releases', range),
+    branchEvents: store.query('branchEvents', range),
+    memberEvents: store.query('memberEvents', range),
+    workflowRuns: store.query('workflowRuns', range),
+    deployments: store.query('deployments', range),
+  };
+}
+
+/**
+ * Rebuild the fetchLinearActivity shape from stored records in [from, to).
+ */
+function queryLinearData(store, range) {
+  const newIssues = [];
+  const activeIssues = [];
+  const fromMs = range.from instanceof Date ? range.from.getTime() : (range.from || 0);
+
+  for (const t of store.query('tickets', range)) {
+    const issue = {
+      identifier: t.identifier,
+      title: t.title,
+      team: t.teamId ? { id: t.teamId, key: t.teamKey } : null,
+      state: { name: t.state, type: t.stateType },
+      assignee: t.assignee ? { displayName: t.assignee } : null,
+      priorityLabel: t.priorityLabel,
+      createdAt: t.createdAt,
+      updatedAt: t.updatedAt,
+      completedAt: t.completedAt,
+    };
+    if (toTime(t.createdAt) >= fromMs) newIssues.push(issue);
+    else activeIssues.push(issue);
+  }
+
+  const recentComments = store.query('ticketComments', range).reverse();
+  const transitions = store.query('ticketTransitions', range);
+  return { newIssues, activeIssues, recentComments, transitions };
+}
+
+/**
+ * Work out which time range a question is about ("last week", "yesterday", "past 3 days", ...).
+ * Falls back to the last `defaultHours`. Returns { from, to, label, isDefault } — isDefault
+ * is true when the question names no range.
+ */
+function resolveTimeRange(text, now = new Date(), defaultHours = 24) {
+  const q = (text || '').toLowerCase();
+  const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+  const today = startOfDay(now);
+  // Weeks start on Monday
+  const startOfWeek = new Date(today.getTime() - ((today.getDay() + 6) % 7) * DAY_MS);
+
+  const relative = q.match(/\b(?:last|past)\s+(\d+)\s+(hour|day|week|month)s?\b/);
+  if (relative) {
+    const n = parseInt(relative[1], 10);
+    const unitMs = { hour: DAY_MS / 24, day: DAY_MS, week: 7 * DAY_MS, month: 30 * DAY_MS }[relative[2]];
+    return { from: new Date(now.getTime() - n * unitMs), to: now, label: `last ${n} ${relative[2]}${n === 1 ? '' : 's'}` };
+  }
+  if (/\byesterday\b/.test(q)) {
+    return { from: new Date(today.getTime() - DAY_MS), to: today, label: 'yesterday' };
+  }
+  if (/\btoday\b/.test(q)) {
+    return { from: today, to: now, label: 'today' };
+  }
+  if (/\b(?:last|previous)\s+week\b/.test(q)) {
+    return { from: new Date(startOfWeek.getTime() - 7 * DAY_MS), to: startOfWeek, label: 'last week' };
+  }
+  if (/\bthis\s+week\b/.test(q)) {
+    return { from: startOfWeek, to: now, label: 'this week' };
+  }
+  if (/\b(?:last|previous)\s+month\b/.test(q)) {
+    const from = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+    return { from, to: new Date(now.getFullYear(), now.getMonth(), 1), label: 'last month' };
+  }
+  if (/\bthis\s+month\b/.test(q)) {
+    return { from: new Date(now.getFullYear(), now.getMonth(), 1), to: now, label: 'this month' };
+  }
+  return { from: new Date(now.getTime() - defaultHours * 60 * 60 * 1000), to: now, label: `last ${defaultHours}h`, isDefault: true };
+}
+
+module.exports = {
+  openActivityStore,
+  recordGitData,
+  recordLinearData,
+  queryGitData,
+  queryLinearData,
+  resolveTimeRange,
+};
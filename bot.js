@@ -1,13 +1,61 @@
 const { App } = require('@slack/bolt');
-const { execSync } = require('child_process');
+const http = require('http');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
 const fs = require('fs');
 const path = require('path');
 
+const { createLLM } = require('./llm-provider');
+const { formatRawData, formatRawDataByRepo, filterGitDataByPerson, filterGitDataByRepo } = require('./github-utils');
+const { renderSummaryView, renderPersonView, renderRepoView, renderTicketView, renderJobRuns, renderMetricsView } = require('./slack-blocks');
+const { extractTicketIds, buildTicketLinks, formatTicketLinks } = require('./ticket-utils');
+const { createWebhookHandler } = require('./github-webhooks');
+const { createActivityFilter } = require('./filter-utils');
+const { resolveJobs, createScheduler, nextRun, slotLabel, queryJobRuns } = require('./schedule-utils');
+const { openSubscriptions, personIdentities } = require('./digest-utils');
+const { computeMetrics, computeTrend } = require('./metrics-utils');
+const { buildHealth, hasBuildHealth, formatBuildHealth } = require('./build-utils');
+const { promptBudget, fitPrompt } = require('./prompt-utils');
+const { buildSearchDocuments, createSearchIndex, formatSearchResults } = require('./search-utils');
+const { notionDatabaseIds } = require('./context-sources');
+const {
+  resolveTeams,
+  teamForChannel,
+  teamRepoMatcher,
+  linearTeamIds,
+  readContext,
+  filterGitDataForTeam,
+  filterLinearDataForTeam,
+  fetchTeamLinearActivity,
+} = require('./team-utils');
+const {
+  openActivityStore,
+  recordLinearData,
+  queryGitData,
+  queryLinearData,
+  resolveTimeRange,
+} = require('./activity-store');
+
+const execFileAsync = promisify(execFile);
+
 const SCRIPT_DIR = __dirname;
 const CONFIG = JSON.parse(fs.readFileSync(path.join(SCRIPT_DIR, 'config.json'), 'utf8'));
-const CONTEXT = fs.existsSync(path.join(SCRIPT_DIR, 'context.md'))
-  ? fs.readFileSync(path.join(SCRIPT_DIR, 'context.md'), 'utf8')
-  : '';
+// Each question is answered in the context of the team that owns the channel (config.teams)
+const TEAMS = resolveTeams(CONFIG);
+const DATA_DIR = path.resolve(SCRIPT_DIR, CONFIG.dataDir || 'data');
+const store = openActivityStore(DATA_DIR, {
+  retentionDays: CONFIG.storeRetentionDays,
+});
+// Opt-ins for personal-digest.js DMs (/devbot digest on|off)
+const digestSubscriptions = openSubscriptions(DATA_DIR);
+
+// Scheduled jobs (config.scheduler.jobs, teams[].schedule) — a bad entry disables the scheduler, not the bot
+let JOBS = [];
+try {
+  JOBS = resolveJobs(CONFIG, SCRIPT_DIR);
+} catch (e) {
+  console.error(`[${new Date().toISOString()}] Scheduler config error (scheduler disabled): ${e.message}`);
+}
 
 // Optional Linear support
 let linearUtils = null;
@@ -23,160 +71,660 @@ const app = new App({
   socketMode: true,
 });
 
-// Store last data for context in follow-up questions
-let lastSummary = '';
-let lastRawData = '';
-let lastLinearData = '';
+// Last collected data per team, for context in follow-up questions
+const snapshots = new Map();
+
+function snapshotFor(team) {
+  if (!snapshots.has(team.name)) snapshots.set(team.name, { summary: '', rawData: '', linearData: '' });
+  return snapshots.get(team.name);
+}
+
+// Concurrent requests for the same data share one in-flight collection
+// instead of each starting its own scan
+const inflight = new Map();
 
-// Collect recent GitHub data by running git-summary.js --dry-run
-function collectRecentData(hours = 24) {
+function dedupe(key, fn) {
+  if (!inflight.has(key)) {
+    inflight.set(key, fn().finally(() => inflight.delete(key)));
+  }
+  return inflight.get(key);
+}
+
+// Collect a team's recent GitHub data by running git-summary.js --dry-run
+// (async so a slow scan doesn't freeze the Socket Mode event loop)
+function collectRecentData(team, hours = 24) {
+  return dedupe(`git:${team.name}:${hours}`, () => runGitCollection(team, hours));
+}
+
+async function runGitCollection(team, hours) {
+  const last = snapshotFor(team);
   try {
-    const result = execSync(
-      `node ${path.join(SCRIPT_DIR, 'git-summary.js')} --dry-run --hours=${hours} 2>/dev/null`,
-      { encoding: 'utf8', timeout: 120000 }
+    const { stdout: result } = await execFileAsync(
+      process.execPath,
+      [path.join(SCRIPT_DIR, 'git-summary.js'), '--dry-run', `--hours=${hours}`, `--team=${team.name}`],
+      { encoding: 'utf8', timeout: 300000, maxBuffer: 20 * 1024 * 1024 }
     );
     // Extract summary and raw data sections from dry-run output
     const summaryStart = result.indexOf('---\n');
     const summaryEnd = result.indexOf('\n---', summaryStart + 4);
     const rawStart = result.indexOf('Raw:');
 
-    if (summaryStart !== -1 && summaryEnd !== -1) {
-      lastSummary = result.substring(summaryStart + 4, summaryEnd).trim();
-    }
-    if (rawStart !== -1) {
-      lastRawData = result.substring(rawStart).trim();
+    const summary = summaryStart !== -1 && summaryEnd !== -1
+      ? result.substring(summaryStart + 4, summaryEnd).trim()
+      : '';
+    const rawData = rawStart !== -1 ? result.substring(rawStart).trim() : '';
+
+    // The dry run wrote fresh records to the store
+    searchIndexes.delete(team.name);
+    // Only the default 24h window feeds the @mention prompt's "last daily summary"
+    if (hours === 24) {
+      if (summary) last.summary = summary;
+      if (rawData) last.rawData = rawData;
     }
-    return { summary: lastSummary, rawData: lastRawData };
+    return { summary, rawData };
   } catch (e) {
-    console.error(`[${new Date().toISOString()}] Data collection error:`, e.message);
-    return { summary: lastSummary, rawData: lastRawData };
+    console.error(`[${new Date().toISOString()}] Data collection error (${team.name}):`, e.message);
+    return { summary: last.summary, rawData: last.rawData };
   }
 }
 
-// Collect recent Linear data (optional)
-async function collectLinearData(hours = 24) {
-  if (!linearUtils) return lastLinearData;
+// Collect a team's recent Linear data (optional)
+function collectLinearData(team, hours = 24) {
+  return dedupe(`linear:${team.name}:${hours}`, () => runLinearCollection(team, hours));
+}
+
+async function runLinearCollection(team, hours) {
+  const last = snapshotFor(team);
+  if (!linearUtils) return last.linearData;
 
   const apiKey = process.env.LINEAR_API_KEY;
-  const teamId = CONFIG.linearTeamId;
-  if (!apiKey || !teamId) {
-    return lastLinearData;
+  if (!apiKey || linearTeamIds(team).length === 0) {
+    return last.linearData;
   }
   try {
-    const data = await linearUtils.fetchLinearActivity(apiKey, teamId, hours);
-    const authorMap = CONFIG.linearAuthorMap || {};
-    lastLinearData = linearUtils.formatLinearData(data, authorMap);
-    return lastLinearData;
+    const data = await fetchTeamLinearActivity(apiKey, team, hours);
+    recordLinearData(store, data);
+    searchIndexes.delete(team.name);
+    const authorMap = team.linearAuthorMap || {};
+    const formatted = linearUtils.formatLinearData(data, authorMap);
+    if (hours === 24) last.linearData = formatted;
+    return formatted;
   } catch (e) {
-    console.error(`[${new Date().toISOString()}] Linear data collection error:`, e.message);
-    return lastLinearData;
+    console.error(`[${new Date().toISOString()}] Linear data collection error (${team.name}):`, e.message);
+    return last.linearData;
   }
 }
 
-// Run LLM with a prompt (pipes via stdin)
-const LLM_CMD = CONFIG.llmCommand || 'claude -p -';
+// Run the "bot" LLM stage (provider chain from config.json)
+const llm = createLLM(CONFIG, {
+  log: (msg) => console.log(`[${new Date().toISOString()}] ${msg}`),
+});
 
-function askLLM(prompt) {
+async function askLLM(prompt, { onText } = {}) {
   try {
-    const result = execSync(LLM_CMD, {
-      input: prompt,
-      encoding: 'utf8',
-      timeout: 120000,
-    });
-    return result.trim();
+    return await llm.complete('bot', prompt, { onText });
   } catch (e) {
     console.error(`[${new Date().toISOString()}] LLM error:`, e.message);
     return null;
   }
 }
 
-// Handle @mentions
-app.event('app_mention', async ({ event, say }) => {
-  const question = event.text.replace(/<@[A-Z0-9]+>/g, '').trim();
+// Tickets joined to every stored commit and PR that references them. Live Linear
+// status when LINEAR_API_KEY is set, otherwise the last stored status.
+async function ticketLinksFor(ids, pattern) {
+  const apiKey = process.env.LINEAR_API_KEY;
+  const stored = linearUtils && !apiKey ? queryLinearData(store, {}) : { newIssues: [], activeIssues: [] };
+  return buildTicketLinks(queryGitData(store, {}), {
+    pattern,
+    ids,
+    issues: [...stored.newIssues, ...stored.activeIssues],
+    apiKey,
+    log: (msg) => console.log(`[${new Date().toISOString()}] ${msg}`),
+  });
+}
 
-  if (!question) {
-    await say({ text: 'What would you like to know about the team\'s dev activity?', thread_ts: event.ts });
-    return;
+// Search index per team over everything in the store plus the team's context file. Rebuilt
+// after the bot's own collections, and once it's a few minutes old to pick up webhook and cron writes.
+const searchIndexes = new Map();
+const SEARCH_INDEX_TTL_MS = 5 * 60 * 1000;
+const DEFAULT_SEARCH_RESULTS = 20;
+
+function searchIndexFor(team) {
+  const cached = searchIndexes.get(team.name);
+  if (cached && Date.now() - cached.builtAt < SEARCH_INDEX_TTL_MS) return cached.index;
+
+  const databaseIds = notionDatabaseIds(team);
+  const docs = buildSearchDocuments({
+    gitData: filterGitDataForTeam(queryGitData(store, {}), team),
+    linearData: linearUtils ? filterLinearDataForTeam(queryLinearData(store, {}), team) : null,
+    specs: store.query('specs').filter((spec) => databaseIds.includes(spec.databaseId)),
+    context: readContext(team, SCRIPT_DIR),
+    linearOrg: team.linearOrg,
+    authorMap: team.authorMap || {},
+    linearAuthorMap: team.linearAuthorMap || {},
+  });
+  const index = createSearchIndex(docs);
+  searchIndexes.set(team.name, { index, builtAt: Date.now() });
+  console.log(`[${new Date().toISOString()}] Search index${team.multi ? ` (${team.name})` : ''}: ${index.size} documents`);
+  return index;
+}
+
+// Threads the bot has answered in (channel:thread_ts → last answer time), so
+// follow-ups there can skip the @mention when threadFollowUps is on
+const engagedThreads = new Map();
+const THREAD_ENGAGEMENT_MS = 24 * 60 * 60 * 1000;
+let botUserId = null;
+
+function markThreadEngaged(channel, threadTs) {
+  const now = Date.now();
+  for (const [key, at] of engagedThreads) {
+    if (now - at > THREAD_ENGAGEMENT_MS) engagedThreads.delete(key);
   }
+  engagedThreads.set(`${channel}:${threadTs}`, now);
+}
 
-  console.log(`[${new Date().toISOString()}] Question from <@${event.user}>: ${question}`);
+function isThreadEngaged(channel, threadTs) {
+  const at = engagedThreads.get(`${channel}:${threadTs}`);
+  return Boolean(at) && Date.now() - at <= THREAD_ENGAGEMENT_MS;
+}
 
-  // React with eyes to show we're working on it
+// Prior turns of a thread, oldest first, up to (not including) the message being answered
+async function fetchThreadHistory(channel, threadTs, currentTs) {
+  const limit = CONFIG.threadHistoryLimit || 20;
   try {
-    await app.client.reactions.add({
+    const res = await app.client.conversations.replies({
       token: CONFIG.slackBotToken,
-      channel: event.channel,
-      name: 'eyes',
-      timestamp: event.ts,
+      channel,
+      ts: threadTs,
+      limit: 200,
     });
+    return (res.messages || [])
+      .filter((m) => m.text && parseFloat(m.ts) < parseFloat(currentTs))
+      .slice(-limit)
+      .map((m) => {
+        const fromBot = botUserId ? m.user === botUserId : Boolean(m.bot_id);
+        const text = m.text.replace(/<@[A-Z0-9]+>/g, '').trim();
+        return {
+          role: fromBot ? 'assistant' : 'user',
+          user: m.user,
+          text: text.length > 2000 ? `${text.slice(0, 2000)}…` : text,
+        };
+      });
   } catch (e) {
-    // Ignore reaction errors
+    console.error(`[${new Date().toISOString()}] Thread history error:`, e.message);
+    return [];
   }
+}
+
+function formatThreadHistory(turns) {
+  return turns
+    .map((t) => (t.role === 'assistant' ? `You: ${t.text}` : `User (<@${t.user}>): ${t.text}`))
+    .join('\n\n');
+}
+
+// Minimum gap between chat.update calls while an answer streams in (Slack rate-limits edits)
+const STREAM_UPDATE_MS = CONFIG.streamUpdateMs || 1500;
+
+// A reply posted straight away and edited in place as the answer progresses.
+// Updates are serialized so they land in order; streamed text is throttled.
+function createProgressMessage(channel, threadTs) {
+  let ts = null;
+  let queue = Promise.resolve();
+  let pending = null;
+  let timer = null;
+  let lastSent = 0;
+
+  const send = (text) => {
+    lastSent = Date.now();
+    queue = queue
+      .then(async () => {
+        if (ts) {
+          await app.client.chat.update({ token: CONFIG.slackBotToken, channel, ts, text });
+        } else {
+          const res = await app.client.chat.postMessage({ token: CONFIG.slackBotToken, channel, thread_ts: threadTs, text });
+          ts = res.ts;
+        }
+      })
+      .catch((e) => console.error(`[${new Date().toISOString()}] Progress message error:`, e.message));
+    return queue;
+  };
+
+  const flush = () => {
+    timer = null;
+    if (pending !== null) send(`${pending} …`);
+    pending = null;
+  };
+
+  return {
+    // A stage line like "Collecting data…", shown in italics
+    status: (text) => send(`_${text}_`),
+    // Partial answer text — coalesced to one edit per STREAM_UPDATE_MS
+    stream(text) {
+      pending = text;
+      if (!timer) timer = setTimeout(flush, Math.max(0, STREAM_UPDATE_MS - (Date.now() - lastSent)));
+    },
+    finish(text) {
+      clearTimeout(timer);
+      timer = null;
+      pending = null;
+      return send(text);
+    },
+  };
+}
+
+// Answer a question in its thread — shared by @mentions and un-mentioned thread follow-ups
+async function answerQuestion({ channel, ts, threadTs, user, question }) {
+  const team = teamForChannel(TEAMS, channel);
+  console.log(`[${new Date().toISOString()}] Question from <@${user}>${team.multi ? ` (${team.name})` : ''}: ${question}`);
+
+  const progress = createProgressMessage(channel, threadTs);
+  progress.status('Collecting data…');
+
+  try {
+    const answer = await buildAndAsk({ team, channel, ts, threadTs, question, progress });
+    if (answer) {
+      await progress.finish(answer);
+      markThreadEngaged(channel, threadTs);
+    } else {
+      await progress.finish('Sorry, I couldn\'t generate a response. Try again in a moment.');
+    }
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Answer error:`, e.message);
+    await progress.finish('Sorry, something went wrong while answering. Try again in a moment.');
+  }
+}
+
+// Map-reduce prompts for store data too large for one answer (see prompt-utils): each slice
+// keeps what bears on the question
+function condensePrompt(question, section, text, labels, words) {
+  return `You are condensing one slice of a team's ${section === 'linear data' ? 'Linear ticket' : 'GitHub'} activity so a later prompt can answer a question from it. This slice covers: ${labels.join(', ')}.
+
+QUESTION: ${question}
+
+${text}
+
+TASK: Rewrite this slice as plain-text notes of at most ${words} words. Keep everything that could bear on the question in full — names, repos, PR numbers and URLs, ticket identifiers and statuses, dates and counts. Reduce the rest to one line per person. Don't add anything that isn't in the data.
+
+Output ONLY the notes.`;
+}
+
+function mergePrompt(question, section, text, words) {
+  return `You are merging notes on a team's ${section === 'linear data' ? 'Linear ticket' : 'GitHub'} activity, condensed separately, into one set of notes that a later prompt will answer a question from.
+
+QUESTION: ${question}
+
+${text}
+
+TASK: Merge these into plain-text notes of at most ${words} words. Keep everything that bears on the question in full, with its links; shorten the rest.
+
+Output ONLY the notes.`;
+}
+
+// Workflow runs are read at least this far back, so a red streak shows from where it began
+const BUILD_LOOKBACK_MS = 7 * 24 * 60 * 60 * 1000;
+
+async function buildAndAsk({ team, channel, ts, threadTs, question, progress }) {
+  // Earlier Q&A in this thread, so follow-ups like "and what about Bob?" make sense
+  const history = threadTs !== ts ? await fetchThreadHistory(channel, threadTs, ts) : [];
 
   // Collect fresh data if we don't have any
-  if (!lastRawData) {
-    collectRecentData(24);
+  const last = snapshotFor(team);
+  if (!last.rawData) {
+    await collectRecentData(team, 24);
   }
-  if (!lastLinearData && linearUtils) {
-    await collectLinearData(24);
+  if (!last.linearData && linearUtils) {
+    await collectLinearData(team, 24);
   }
 
+  // Pull the time range the question is about from the activity store,
+  // falling back to the in-memory snapshot when the store has nothing yet
+  const range = resolveTimeRange(question);
+  let rangeRawData = '';
+  let rangeLinearData = '';
+  let gitGroups = null;
+  let linearGroups = null;
+  let buildText = '';
+  try {
+    const gitData = filterGitDataForTeam(queryGitData(store, range), team);
+    if (Object.values(gitData).some((records) => records.length > 0)) {
+      const detailOptions = { detailTokens: team.prDetailTokens };
+      rangeRawData = formatRawData(gitData, team.authorMap || {}, detailOptions);
+      gitGroups = () => formatRawDataByRepo(gitData, team.authorMap || {}, detailOptions);
+    }
+    if (linearUtils) {
+      const linearData = filterLinearDataForTeam(queryLinearData(store, range), team);
+      if (linearData.newIssues.length + linearData.activeIssues.length + linearData.recentComments.length > 0) {
+        rangeLinearData = linearUtils.formatLinearData(linearData, team.linearAuthorMap || {});
+        linearGroups = () => linearUtils.formatLinearDataByAssignee(linearData, team.linearAuthorMap || {});
+      }
+    }
+    // CI state for "why is main red?" — what's red now, even if it went red before the range
+    const runsFrom = new Date(Math.min(range.from.getTime(), Date.now() - BUILD_LOOKBACK_MS));
+    const builds = filterGitDataForTeam({
+      workflowRuns: store.query('workflowRuns', { from: runsFrom }),
+      deployments: store.query('deployments', range),
+    }, team);
+    const health = buildHealth(builds, range);
+    if (hasBuildHealth(health)) buildText = formatBuildHealth(health, team.authorMap || {});
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] Activity store query error:`, e.message);
+  }
+  // Tickets named in the question, with all their linked GitHub activity and status mismatches
+  let ticketText = '';
+  const ticketIds = extractTicketIds(question, team.ticketPattern);
+  if (ticketIds.length > 0) {
+    try {
+      ticketText = formatTicketLinks(await ticketLinksFor(ticketIds, team.ticketPattern));
+    } catch (e) {
+      console.error(`[${new Date().toISOString()}] Ticket link error:`, e.message);
+    }
+  }
+
+  // The stored items that match the question, instead of everything collected. A question
+  // that names a range only searches that range; without search hits the snapshot is used.
+  let results = [];
+  const searchLimit = team.searchResults ?? DEFAULT_SEARCH_RESULTS;
+  if (searchLimit > 0) {
+    try {
+      results = searchIndexFor(team).search(question, {
+        limit: searchLimit,
+        ...(range.isDefault ? {} : { from: range.from, to: range.to }),
+      });
+    } catch (e) {
+      console.error(`[${new Date().toISOString()}] Search error:`, e.message);
+    }
+  }
+  const retrieved = results.length > 0;
+
+  // With search hits, the full data only comes along for a question about a named range
+  // ("what shipped last week?") — otherwise the matching items are enough
+  const withFullData = !retrieved || !range.isDefault;
+  const gitDataText = withFullData ? rangeRawData || last.rawData : '';
+  const linearDataText = withFullData ? rangeLinearData || last.linearData : '';
+  const hasLinear = Boolean(linearDataText) || results.some(({ doc }) => doc.type === 'ticket' || doc.type === 'ticketComment');
+  console.log(`[${new Date().toISOString()}] Answering for ${range.label} (${range.from.toISOString()} → ${range.to.toISOString()}), ${results.length} search results`);
+
   // Build author mapping strings
-  const gitAuthorLines = CONFIG.authorMap
-    ? Object.entries(CONFIG.authorMap).map(([k, v]) => `  ${k} → ${v}`).join('\n')
-    : '';
-  const linearAuthorLines = CONFIG.linearAuthorMap
-    ? Object.entries(CONFIG.linearAuthorMap).map(([k, v]) => `  ${k} → ${v}`).join('\n')
-    : '';
+  const gitAuthorLines = Object.entries(team.authorMap || {}).map(([k, v]) => `  ${k} → ${v}`).join('\n');
+  const linearAuthorLines = Object.entries(team.linearAuthorMap || {}).map(([k, v]) => `  ${k} → ${v}`).join('\n');
+
+  const linearOrg = team.linearOrg || 'your-org';
+
+  // Fit everything into the prompt budget — store data too large is condensed per repo or
+  // person with the question in mind, the rest is cut (the oldest thread messages first)
+  const fitted = await fitPrompt([
+    { name: 'context', text: retrieved ? '' : readContext(team, SCRIPT_DIR), weight: 1 },
+    { name: 'relevant items', text: formatSearchResults(results), weight: 3 },
+    { name: 'last summary', text: last.summary, weight: 1 },
+    { name: 'git data', text: gitDataText, weight: 3, groups: gitGroups },
+    { name: 'linear data', text: linearDataText, weight: 2, groups: linearGroups },
+    { name: 'build health', text: buildText, weight: 1 },
+    { name: 'tickets', text: ticketText, weight: 1 },
+    { name: 'thread', text: history.length > 0 ? formatThreadHistory(history) : '', weight: 1, keep: 'end' },
+  ], {
+    budget: promptBudget(team),
+    llm,
+    stage: llm.hasStage('preprocess') ? 'preprocess' : 'bot',
+    mapPrompt: (section, text, labels, words) => condensePrompt(question, section, text, labels, words),
+    reducePrompt: (section, text, words) => mergePrompt(question, section, text, words),
+    log: (msg) => console.log(`[${new Date().toISOString()}] ${msg}`),
+  });
+  const { context } = fitted.texts;
 
-  const linearOrg = CONFIG.linearOrg || 'your-org';
+  const dataSections = [];
+  if (gitDataText || !retrieved) {
+    dataSections.push(`RAW COMMIT/PR DATA (${range.label}${fitted.compressed.includes('git data') ? ', condensed' : ''}):\n${fitted.texts['git data'] || '(no data available yet)'}`);
+  }
+  if (linearDataText || !retrieved) {
+    dataSections.push(`LINEAR TICKET ACTIVITY (${range.label}${fitted.compressed.includes('linear data') ? ', condensed' : ''}):\n${fitted.texts['linear data'] || '(no Linear data available)'}`);
+  }
 
   const prompt = `You are a dev team assistant in a Slack channel. Answer the following question about the team's recent development activity.
 
-PROJECT CONTEXT:
-${CONTEXT}
+${retrieved ? `RELEVANT ITEMS (stored GitHub activity, Linear tickets, Notion specs and project context that match the question${range.isDefault ? '' : `, ${range.label}`} — best match first):
+${fitted.texts['relevant items']}` : `PROJECT CONTEXT:
+${context}`}
 
 GitHub author mapping:
 ${gitAuthorLines}
 ${linearAuthorLines ? `\nLinear author mapping:\n${linearAuthorLines}` : ''}
 
 LAST DAILY SUMMARY:
-${lastSummary || '(no summary available yet)'}
-
-RAW COMMIT/PR DATA (last 24h):
-${lastRawData || '(no data available yet)'}
+${fitted.texts['last summary'] || '(no summary available yet)'}
 
-LINEAR TICKET ACTIVITY (last 24h):
-${lastLinearData || '(no Linear data available)'}
-
-USER QUESTION: ${question}
+${dataSections.join('\n\n')}
+${buildText ? `\n${fitted.texts['build health']}\n` : ''}${ticketText ? `\nTICKETS IN THE QUESTION (current status + every stored commit/PR referencing them; MISMATCH = status and PRs disagree):\n${fitted.texts.tickets}\n` : ''}
+${history.length > 0 ? `CONVERSATION SO FAR (this Slack thread, oldest first):\n${fitted.texts.thread}\n\n` : ''}USER QUESTION: ${question}
 
 RULES:
 - Answer concisely using Slack mrkdwn formatting
 - Use display names (not GitHub usernames) when referring to team members
 - You have both GitHub (commits, PRs) and Linear (tickets, comments) data — use whichever is relevant
-${lastLinearData ? `- Link Linear tickets as: <https://linear.app/${linearOrg}/issue/IDENTIFIER|IDENTIFIER>` : ''}
-- If you don't have enough data to answer, say so
+${retrieved ? '- Base the answer on RELEVANT ITEMS and cite each item you use inline as a Slack link to its URL, e.g. <https://github.com/org/api/pull/42|api #42> or <https://linear.app/org/issue/PROJ-12|PROJ-12>; cite items without a URL by their title. Not every item is relevant — skip the ones that don\'t bear on the question\n' : ''}${hasLinear ? `- Link Linear tickets as: <https://linear.app/${linearOrg}/issue/IDENTIFIER|IDENTIFIER>` : ''}
+${linearDataText ? '- For status changes use TRANSITIONS — it lists the exact moves; BACKWARDS marks a ticket that went back to an earlier status' : ''}
+${history.length > 0 ? '- This is a follow-up in an ongoing thread — use the conversation so far to resolve references like "he", "that PR" or "the same repo"\n' : ''}${buildText ? '- For build and deploy questions ("why is main red?") use BUILD HEALTH — the failing workflow and jobs, since when, the first failing commit and who pushed it, with a link to the run. If nothing is RED NOW, say the branch is green and when it last failed\n' : ''}- If you don't have enough data to answer, say so
 - Do NOT wrap output in code blocks`;
 
-  const answer = askLLM(prompt);
+  progress.status('Thinking…');
+  return askLLM(prompt, { onText: (text) => progress.stream(text) });
+}
 
-  // Remove eyes reaction
-  try {
-    await app.client.reactions.remove({
-      token: CONFIG.slackBotToken,
-      channel: event.channel,
-      name: 'eyes',
-      timestamp: event.ts,
-    });
-  } catch (e) {
-    // Ignore
+// Handle @mentions
+app.event('app_mention', async ({ event, say }) => {
+  const question = event.text.replace(/<@[A-Z0-9]+>/g, '').trim();
+  const threadTs = event.thread_ts || event.ts;
+
+  if (!question) {
+    await say({ text: 'What would you like to know about the team\'s dev activity?', thread_ts: threadTs });
+    return;
   }
 
-  if (answer) {
-    await say({ text: answer, thread_ts: event.ts });
-  } else {
-    await say({ text: 'Sorry, I couldn\'t generate a response. Try again in a moment.', thread_ts: event.ts });
+  await answerQuestion({ channel: event.channel, ts: event.ts, threadTs, user: event.user, question });
+});
+
+// Follow-ups in a thread the bot already answered in, without a re-mention (opt-in)
+app.message(async ({ message }) => {
+  if (!CONFIG.threadFollowUps) return;
+  if (message.subtype || message.bot_id || !message.thread_ts || !message.text) return;
+  // Mentions are handled by app_mention
+  if (botUserId && message.text.includes(`<@${botUserId}>`)) return;
+  if (!isThreadEngaged(message.channel, message.thread_ts)) return;
+
+  const question = message.text.trim();
+  await answerQuestion({
+    channel: message.channel,
+    ts: message.ts,
+    threadTs: message.thread_ts,
+    user: message.user,
+    question,
+  });
+});
+
+
+// Slash command: /devbot summary [hours] | who <name> [hours] | repo <name> [hours] | ticket <id> | runs [job] | digest [on|off] | metrics [days]
+// Replies are ephemeral Block Kit views built from the activity store.
+const DEVBOT_USAGE = [
+  '*Usage:*',
+  '• `/devbot summary [hours]` — fresh activity summary (default 24h)',
+  '• `/devbot who <name> [hours]` — one person\'s GitHub + Linear activity',
+  '• `/devbot repo <name> [hours]` — one repo\'s activity',
+  '• `/devbot ticket <id>` — a Linear ticket with the commits and PRs that reference it',
+  '• `/devbot runs [job]` — scheduled jobs with their last and next runs, or one job\'s run history',
+  '• `/devbot digest [on|off]` — subscribe to a personal DM digest of your reviews, PRs, tickets and mentions',
+  '• `/devbot metrics [days]` — cycle time, review latency, PR size, merge rate and lead time (default 30 days)',
+].join('\n');
+
+// Split "<name words...> [hours]" — a trailing number is the lookback window
+function parseTargetArgs(args) {
+  const last = args[args.length - 1];
+  const hours = /^\d+$/.test(last || '') ? parseInt(args.pop(), 10) : 24;
+  return { target: args.join(' '), hours: Math.min(Math.max(hours, 1), 24 * 90) };
+}
+
+function hoursRange(hours) {
+  const now = new Date();
+  return { from: new Date(now.getTime() - hours * 60 * 60 * 1000), to: now, label: `last ${hours}h` };
+}
+
+const hasGitActivity = (data) => Object.values(data).some((records) => records.length > 0);
+
+app.command('/devbot', async ({ command, ack, respond }) => {
+  await ack();
+
+  const [subcommand, ...args] = (command.text || '').trim().split(/\s+/).filter(Boolean);
+  const reply = (payload) => respond({ response_type: 'ephemeral', ...payload });
+  const team = teamForChannel(TEAMS, command.channel_id);
+  const authorMap = team.authorMap || {};
+  const linearAuthorMap = team.linearAuthorMap || {};
+  const linearOrg = team.linearOrg || 'your-org';
+
+  console.log(`[${new Date().toISOString()}] /devbot ${command.text} from <@${command.user_id}>`);
+
+  try {
+    if (subcommand === 'summary') {
+      const { hours } = parseTargetArgs(args);
+      await reply({ text: `Collecting the last ${hours}h of activity… this can take a minute.` });
+
+      const { summary } = await collectRecentData(team, hours);
+      await collectLinearData(team, hours);
+
+      const range = hoursRange(hours);
+      const gitData = filterGitDataForTeam(queryGitData(store, range), team);
+      const linearData = linearUtils ? filterLinearDataForTeam(queryLinearData(store, range), team) : null;
+      await reply({
+        text: `Dev activity — ${range.label}`,
+        blocks: renderSummaryView({ gitData, linearData, label: range.label, authorMap, linearAuthorMap, linearOrg, summary }),
+      });
+      return;
+    }
+
+    if (subcommand === 'ticket') {
+      const id = (args[0] || '').toUpperCase();
+      if (!/^[A-Z][A-Z0-9]*-\d+$/.test(id)) {
+        await reply({ text: DEVBOT_USAGE });
+        return;
+      }
+      // Any ID-shaped string works here, even without ticketPattern configured
+      const [ticket] = await ticketLinksFor([id], team.ticketPattern || '[A-Z][A-Z0-9]*-\\d+');
+      await reply({
+        text: `${id} — linked activity`,
+        blocks: renderTicketView({ ticket, label: 'all stored activity', authorMap, linearAuthorMap, linearOrg }),
+      });
+      return;
+    }
+
+    if (subcommand === 'runs') {
+      const jobs = JOBS.map((j) => {
+        const next = nextRun(j);
+        return { name: j.name, cron: j.cron.expr, timezone: j.timezone, next: next ? slotLabel(next, j.timezone) : null };
+      });
+      const job = args[0] ? jobs.find((j) => j.name.toLowerCase() === args[0].toLowerCase()) : null;
+      if (args[0] && !job) {
+        await reply({ text: `No scheduled job named *${args[0]}*. Jobs: ${jobs.map((j) => j.name).join(', ') || 'none'}` });
+        return;
+      }
+      const runs = queryJobRuns(store, { job: job?.name, limit: 200 });
+      await reply({ text: job ? `Runs — ${job.name}` : 'Scheduled jobs', blocks: renderJobRuns({ jobs, runs, job }) });
+      return;
+    }
+
+    if (subcommand === 'digest') {
+      const action = (args[0] || 'status').toLowerCase();
+      // Identities come from every team's maps — a person's digest covers each team they're mapped in
+      const { githubLogins, linearNames } = personIdentities(TEAMS, command.user_id);
+      const matched = [
+        githubLogins.length && `GitHub ${githubLogins.map((l) => `\`${l}\``).join(', ')}`,
+        linearNames.length && `Linear ${linearNames.map((l) => `\`${l}\``).join(', ')}`,
+      ].filter(Boolean).join(' · ');
+
+      if (action === 'on') {
+        if (!matched) {
+          await reply({ text: `I can't tell which GitHub login or Linear name is yours. Ask an admin to add your Slack ID (\`${command.user_id}\`) to \`slackUserMap\` (GitHub) or \`linearSlackUserMap\` (Linear) in config.json.` });
+          return;
+        }
+        digestSubscriptions.subscribe(command.user_id);
+        await reply({ text: `:white_check_mark: Subscribed. Each time the personal digest runs you'll get a DM with PRs waiting on your review, feedback on your PRs, your changed Linear tickets and mentions of you — nothing when there's nothing new.\nMatched as: ${matched}. \`/devbot digest off\` to stop.` });
+        return;
+      }
+      if (action === 'off') {
+        digestSubscriptions.unsubscribe(command.user_id);
+        await reply({ text: 'Unsubscribed from personal digests.' });
+        return;
+      }
+      if (action === 'status') {
+        const sub = digestSubscriptions.get(command.user_id);
+        const state = sub ? `subscribed since ${sub.subscribedAt.slice(0, 10)}` : 'not subscribed';
+        await reply({ text: `Personal digest: ${state}.\nMatched as: ${matched || '_nothing yet — ask an admin to add you to slackUserMap or linearSlackUserMap_'}\n\`/devbot digest on\` or \`/devbot digest off\`` });
+        return;
+      }
+      await reply({ text: DEVBOT_USAGE });
+      return;
+    }
+
+    if (subcommand === 'metrics') {
+      const days = /^\d+$/.test(args[0] || '') ? Math.min(Math.max(parseInt(args[0], 10), 1), 180) : 30;
+      const now = new Date();
+      const range = { from: new Date(now.getTime() - days * 24 * 60 * 60 * 1000), to: now };
+      // The weekly trend shows 8 weeks, each with a 4-week rolling view
+      const from = new Date(Math.min(range.from.getTime(), now.getTime() - 11 * 7 * 24 * 60 * 60 * 1000));
+      const gitData = filterGitDataForTeam(queryGitData(store, { from }), team);
+      let linearData = linearUtils ? filterLinearDataForTeam(queryLinearData(store, { from }), team) : null;
+      if (linearData && linearData.newIssues.length + linearData.activeIssues.length === 0) linearData = null;
+      const maps = { authorMap, linearAuthorMap };
+      await reply({
+        text: `Engineering metrics — last ${days} days`,
+        blocks: renderMetricsView({
+          metrics: computeMetrics({ gitData, linearData, range, ...maps }),
+          trend: computeTrend({ gitData, linearData, weeks: 8, now, ...maps }),
+          label: `last ${days} days`,
+        }),
+      });
+      return;
+    }
+
+    if (subcommand === 'who' || subcommand === 'repo') {
+      const { target, hours } = parseTargetArgs(args);
+      if (!target) {
+        await reply({ text: DEVBOT_USAGE });
+        return;
+      }
+
+      const range = hoursRange(hours);
+      const allGitData = filterGitDataForTeam(queryGitData(store, range), team);
+
+      if (subcommand === 'who') {
+        const gitData = filterGitDataByPerson(allGitData, target, authorMap);
+        const linearData = linearUtils
+          ? linearUtils.filterLinearDataByPerson(filterLinearDataForTeam(queryLinearData(store, range), team), target, linearAuthorMap)
+          : null;
+        const linearCount = linearData ? linearData.newIssues.length + linearData.activeIssues.length + linearData.recentComments.length : 0;
+        if (!hasGitActivity(gitData) && linearCount === 0) {
+          await reply({ text: `No activity found for *${target}* in the ${range.label}.` });
+          return;
+        }
+        await reply({
+          text: `${target} — ${range.label}`,
+          blocks: renderPersonView({ name: target, gitData, linearData, label: range.label, authorMap, linearAuthorMap, linearOrg }),
+        });
+        return;
+      }
+
+      const gitData = filterGitDataByRepo(allGitData, target);
+      if (!hasGitActivity(gitData)) {
+        await reply({ text: `No activity found in *${target}* in the ${range.label}.` });
+        return;
+      }
+      await reply({
+        text: `${target} — ${range.label}`,
+        blocks: renderRepoView({ repo: target, gitData, label: range.label, authorMap }),
+      });
+      return;
+    }
+
+    await reply({ text: DEVBOT_USAGE });
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] /devbot error:`, e.message);
+    await reply({ text: `Sorry, something went wrong: ${e.message}` });
   }
 });
 
@@ -185,11 +733,57 @@ ${lastLinearData ? `- Link Linear tickets as: <https://linear.app/${linearOrg}/i
   await app.start();
   console.log(`[${new Date().toISOString()}] Bot is running (Socket Mode)`);
 
-  collectRecentData(24);
-  console.log(`[${new Date().toISOString()}] Initial git data loaded`);
+  try {
+    const auth = await app.client.auth.test({ token: CONFIG.slackBotToken });
+    botUserId = auth.user_id;
+  } catch (e) {
+    console.error(`[${new Date().toISOString()}] auth.test failed:`, e.message);
+  }
 
-  if (linearUtils && process.env.LINEAR_API_KEY && CONFIG.linearTeamId) {
-    await collectLinearData(24);
-    console.log(`[${new Date().toISOString()}] Initial Linear data loaded`);
+  // Optional GitHub webhook receiver — deliveries go straight into the activity store
+  const webhookSecret = process.env.GITHUB_WEBHOOK_SECRET || CONFIG.githubWebhookSecret;
+  if (webhookSecret) {
+    const port = CONFIG.githubWebhookPort || 3001;
+    const webhookPath = CONFIG.githubWebhookPath || '/github/webhook';
+    // Each delivery goes through the filters of the first team that owns its repo (the first
+    // team's when none does), as that team's scans would
+    const teamFilters = TEAMS.map((team) => ({ owns: teamRepoMatcher(team), filter: createActivityFilter(team.filters) }));
+    http.createServer(createWebhookHandler({
+      secret: webhookSecret,
+      store,
+      filterFor: (fullName) => ((fullName && teamFilters.find((t) => t.owns(fullName))) || teamFilters[0]).filter,
+      path: webhookPath,
+      log: (msg) => console.log(`[${new Date().toISOString()}] ${msg}`),
+    })).listen(port, () => {
+      console.log(`[${new Date().toISOString()}] GitHub webhooks listening on :${port}${webhookPath}`);
+    });
+  }
+
+  // Built-in scheduler — runs the summaries and digests instead of cron.
+  // Set scheduler.runInBot to false when scheduler.js runs them instead.
+  if (JOBS.length > 0 && CONFIG.scheduler?.runInBot !== false) {
+    const scheduler = createScheduler({
+      jobs: JOBS,
+      store,
+      scriptDir: SCRIPT_DIR,
+      stateFile: path.join(DATA_DIR, 'scheduler-state.json'),
+      lockDir: path.join(DATA_DIR, 'locks'),
+      logDir: path.join(SCRIPT_DIR, 'logs'),
+      catchUpHours: CONFIG.scheduler?.catchUpHours,
+      log: (msg) => console.log(`[${new Date().toISOString()}] ${msg}`),
+    });
+    scheduler.start();
+    console.log(`[${new Date().toISOString()}] Scheduler running ${JOBS.length} job${JOBS.length === 1 ? '' : 's'}: ${JOBS.map((j) => j.name).join(', ')}`);
+  }
+
+  for (const team of TEAMS) {
+    const label = team.multi ? ` for ${team.name}` : '';
+    await collectRecentData(team, 24);
+    console.log(`[${new Date().toISOString()}] Initial git data loaded${label}`);
+
+    if (linearUtils && process.env.LINEAR_API_KEY && linearTeamIds(team).length > 0) {
+      await collectLinearData(team, 24);
+      console.log(`[${new Date().toISOString()}] Initial Linear data loaded${label}`);
+    }
   }
 })();
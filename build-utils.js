@@ -0,0 +1,200 @@
+const { hoursLabel } = require('./period-utils');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const FAILED_CONCLUSIONS = new Set(['failure', 'timed_out', 'startup_failure']);
+const FAILED_DEPLOY_STATES = new Set(['failure', 'error']);
+
+const isFailed = (run) => FAILED_CONCLUSIONS.has(run.conclusion);
+const isPassed = (run) => run.conclusion === 'success';
+const repoOf = (record) => record.fullRepo || record.repo;
+const shortSha = (sha) => (sha || '').slice(0, 7);
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+function toTime(value) {
+  const t = value ? Date.parse(value) : NaN;
+  return Number.isNaN(t) ? null : t;
+}
+
+function inRange(value, range) {
+  const t = toTime(value);
+  return t !== null && t >= range.from.getTime() && t < range.to.getTime();
+}
+
+function groupBy(records, keyFn) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyFn(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+  return groups;
+}
+
+/**
+ * Stretches of consecutive failed runs per repo, branch and workflow, oldest first. A streak
+ * starts at its first failed run and ends when a later run of the same workflow passes;
+ * cancelled and skipped runs don't break it. Returns [{ repo, fullRepo, branch, workflow,
+ * since, until, ongoing, hours, failures, firstRun, lastRun }] — until is null while ongoing.
+ */
+function failureStreaks(runs, now = new Date()) {
+  const streaks = [];
+  const finished = runs.filter((r) => r.status === 'completed' && (isFailed(r) || isPassed(r)));
+  for (const group of groupBy(finished, (r) => `${repoOf(r)}|${r.branch}|${r.workflow}`).values()) {
+    group.sort((a, b) => toTime(a.createdAt) - toTime(b.createdAt));
+    let current = null;
+    for (const run of group) {
+      if (isFailed(run)) {
+        if (!current) current = { repo: run.repo, fullRepo: run.fullRepo, branch: run.branch, workflow: run.workflow, since: run.createdAt, runs: [] };
+        current.runs.push(run);
+      } else if (current) {
+        streaks.push({ ...current, until: run.updatedAt || run.createdAt, fixedBy: run });
+        current = null;
+      }
+    }
+    if (current) streaks.push({ ...current, until: null });
+  }
+
+  return streaks
+    .map(({ runs: failed, ...streak }) => ({
+      ...streak,
+      ongoing: streak.until === null,
+      hours: ((streak.until ? toTime(streak.until) : now.getTime()) - toTime(streak.since)) / HOUR_MS,
+      failures: failed.length,
+      firstRun: failed[0],
+      lastRun: failed[failed.length - 1],
+    }))
+    .sort((a, b) => toTime(a.since) - toTime(b.since));
+}
+
+/**
+ * Runs that failed and then passed without a code change — re-run attempts that succeeded
+ * ("retry"), or a failed and a later passing run of the same workflow on the same commit
+ * ("rerun"). Returns [{ repo, fullRepo, workflow, headSha, kind, jobs, at, url }].
+ */
+function flakyRuns(runs) {
+  const flaky = [];
+  for (const run of runs) {
+    if (isPassed(run) && run.attempt > 1) {
+      flaky.push({ repo: run.repo, fullRepo: run.fullRepo, workflow: run.workflow, headSha: run.headSha, kind: 'retry', attempts: run.attempt, jobs: run.retriedJobs || [], at: run.updatedAt || run.createdAt, url: run.url });
+    }
+  }
+  const bySha = groupBy(runs.filter((r) => r.headSha && (isFailed(r) || isPassed(r))), (r) => `${repoOf(r)}|${r.workflow}|${r.headSha}`);
+  for (const group of bySha.values()) {
+    group.sort((a, b) => toTime(a.createdAt) - toTime(b.createdAt));
+    const failed = group.find(isFailed);
+    const passed = failed && group.find((r) => isPassed(r) && toTime(r.createdAt) > toTime(failed.createdAt));
+    if (!passed) continue;
+    flaky.push({ repo: passed.repo, fullRepo: passed.fullRepo, workflow: passed.workflow, headSha: passed.headSha, kind: 'rerun', attempts: group.length, jobs: (failed.failedJobs || []).map((j) => j.name), at: passed.updatedAt || passed.createdAt, url: passed.url });
+  }
+  return flaky.sort((a, b) => toTime(a.at) - toTime(b.at));
+}
+
+/**
+ * CI and deployment health for one window from collectGitData's workflowRuns and deployments.
+ * Runs from before the window (collectGitData fetches a lead-in) only place a streak's start.
+ * Returns { runs, passed, failed, workflows, streaks, red, flaky, deployments, environments }:
+ *   workflows     per repo + workflow: { runs, passed, failed, latest } for runs in range
+ *   streaks       failure streaks that overlap the window; red is the ones still ongoing
+ *   deployments   deployments created or given a new status in range, newest first
+ *   environments  the latest deployment per repo + environment
+ */
+function buildHealth(data, range, now = new Date()) {
+  const allRuns = data.workflowRuns || [];
+  const runs = allRuns.filter((r) => inRange(r.createdAt, range));
+
+  const workflows = [...groupBy(runs, (r) => `${repoOf(r)}|${r.workflow}`).values()].map((group) => {
+    const latest = group.reduce((a, b) => (toTime(b.createdAt) > toTime(a.createdAt) ? b : a));
+    return {
+      repo: latest.repo,
+      fullRepo: latest.fullRepo,
+      workflow: latest.workflow,
+      runs: group.length,
+      passed: group.filter(isPassed).length,
+      failed: group.filter(isFailed).length,
+      latest,
+    };
+  });
+
+  const streaks = failureStreaks(allRuns, now).filter((s) => toTime(s.since) < range.to.getTime()
+    && (s.ongoing || toTime(s.until) >= range.from.getTime()));
+
+  const deployments = (data.deployments || [])
+    .filter((d) => inRange(d.statusAt || d.createdAt, range))
+    .sort((a, b) => toTime(b.createdAt) - toTime(a.createdAt));
+  const environments = [...groupBy(deployments, (d) => `${repoOf(d)}|${d.environment}`).values()].map((group) => group[0]);
+
+  return {
+    runs: runs.length,
+    passed: runs.filter(isPassed).length,
+    failed: runs.filter(isFailed).length,
+    workflows,
+    streaks,
+    red: streaks.filter((s) => s.ongoing),
+    flaky: flakyRuns(allRuns).filter((f) => inRange(f.at, range)),
+    deployments,
+    environments,
+  };
+}
+
+/**
+ * Whether there's anything to report — no runs, streaks or deployments means CI isn't set up here.
+ */
+function hasBuildHealth(health) {
+  return health.runs > 0 || health.streaks.length > 0 || health.deployments.length > 0;
+}
+
+const timeLabel = (iso) => (iso ? `${iso.slice(0, 16).replace('T', ' ')} UTC` : '?');
+
+function jobsText(jobs) {
+  return jobs.map((job) => (job.step ? `${job.name} (step: ${job.step})` : job.name)).join(', ');
+}
+
+/**
+ * Build health as plain text for prompts — enough for the LLM to say why a branch is red:
+ * when it went red, the first failing commit and who pushed it, and the failing jobs and steps.
+ */
+function formatBuildHealth(health, authorMap = {}) {
+  const n = (login) => authorMap[login] || login;
+  const lines = ['BUILD HEALTH (GitHub Actions on default branches):'];
+  lines.push(`- Runs: ${health.runs} (${health.passed} passed, ${health.failed} failed)`);
+
+  for (const s of health.streaks) {
+    const first = s.firstRun;
+    const culprit = `first failing commit ${shortSha(first.headSha)} "${first.commitMessage}" pushed by ${n(first.actor)}`;
+    const jobs = s.lastRun.failedJobs?.length ? `; failing jobs: ${jobsText(s.lastRun.failedJobs)}` : '';
+    if (s.ongoing) {
+      lines.push(`- RED NOW: [${s.repo}] ${s.branch} — ${s.workflow} failing since ${timeLabel(s.since)} (${hoursLabel(s.hours)}, ${plural(s.failures, 'failed run')}); ${culprit}${jobs} | ${s.lastRun.url}`);
+    } else {
+      lines.push(`- Was red: [${s.repo}] ${s.branch} — ${s.workflow} failed for ${hoursLabel(s.hours)} (${timeLabel(s.since)} → ${timeLabel(s.until)}, ${plural(s.failures, 'failed run')}); ${culprit}${jobs}; green again with ${shortSha(s.fixedBy.headSha)} "${s.fixedBy.commitMessage}" by ${n(s.fixedBy.actor)} | ${s.fixedBy.url}`);
+    }
+  }
+
+  for (const f of health.flaky) {
+    const how = f.kind === 'retry' ? `passed on attempt ${f.attempts}` : 'failed then passed on the same commit';
+    lines.push(`- Flaky: [${f.repo}] ${f.workflow} ${how} (${shortSha(f.headSha)})${f.jobs.length ? `; jobs that failed first: ${f.jobs.join(', ')}` : ''} | ${f.url}`);
+  }
+
+  if (health.deployments.length > 0) {
+    lines.push('\nDEPLOYMENTS (latest per environment):');
+    for (const d of health.environments) {
+      // A status set well after the deploy (a later health check failing, a rollback) says when
+      const later = toTime(d.statusAt) - toTime(d.createdAt) > HOUR_MS ? `, ${d.state} since ${timeLabel(d.statusAt)}` : '';
+      lines.push(`- [${d.repo}] ${d.environment}: ${d.state} — ${d.ref} (${shortSha(d.sha)}) by ${n(d.creator)} at ${timeLabel(d.createdAt)}${later}${d.description ? ` — ${d.description}` : ''}${d.url ? ` | ${d.url}` : ''}`);
+    }
+    const failures = health.deployments.filter((d) => FAILED_DEPLOY_STATES.has(d.state));
+    if (failures.length > 0) lines.push(`- Failed deployments in the window: ${failures.length} (${failures.map((d) => `${d.repo} ${d.environment} ${shortSha(d.sha)}`).join(', ')})`);
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  FAILED_CONCLUSIONS,
+  FAILED_DEPLOY_STATES,
+  failureStreaks,
+  flakyRuns,
+  buildHealth,
+  hasBuildHealth,
+  formatBuildHealth,
+};
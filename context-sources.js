@@ -0,0 +1,549 @@
+const fs = require('fs');
+const path = require('path');
+const { createGitHubClient, resolveGitHubToken } = require('./github-client');
+const { mapLinearName } = require('./linear-utils');
+const { linearTeamIds, teamSuffix } = require('./team-utils');
+const { notionRequest, fetchPageMarkdown, lineDiff, openSpecCache } = require('./notion-utils');
+const { cursorKey, resolveWindow } = require('./cursor-utils');
+const { openActivityStore } = require('./activity-store');
+const { truncateToTokens } = require('./prompt-utils');
+const { renderSpecChangeDigest } = require('./slack-blocks');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Specs edited in the last week are always listed; a missed build widens that to the last
+// successful one, up to a month back
+const SPEC_DAYS = 7;
+const SPEC_MAX_DAYS = 30;
+// Spec text kept in the activity store for the bot's search
+const SPEC_STORE_CHARS = 20000;
+// How much of a spec the summary prompt sees
+const SPEC_SUMMARY_TOKENS = 8000;
+// Cached page content the next build diffs against, and how much of the diff the LLM sees
+const SPEC_CACHE_CHARS = 50000;
+const SPEC_DIFF_TOKENS = 4000;
+
+const MARKDOWN_FILE = /\.(md|markdown)$/i;
+
+/**
+ * Text cut to maxChars on a line boundary, saying so.
+ */
+function capText(text, maxChars) {
+  if (!maxChars || text.length <= maxChars) return text;
+  const cut = text.lastIndexOf('\n', maxChars);
+  return `${text.slice(0, cut > 0 ? cut : maxChars).trimEnd()}\n\n_(… cut to this source's ${maxChars}-character limit)_`;
+}
+
+// A document's own headings sit below the "### <document>" heading it's listed under
+const nestHeadings = (text) => text.replace(/^(#{1,6}) /gm, (m, hashes) => `${'#'.repeat(Math.min(6, hashes.length + 3))} `);
+
+function documentSection(title, text, maxChars) {
+  return `### ${title}\n\n${capText(nestHeadings(text.trim()), maxChars)}`;
+}
+
+// --- Linear: active tickets ---
+
+async function fetchActiveTickets(apiKey, teamId, states) {
+  const query = `
+    query($teamId: String!, $states: [String!]) {
+      team(id: $teamId) {
+        issues(
+          filter: {
+            state: { name: { in: $states } }
+          }
+          first: 100
+          orderBy: updatedAt
+        ) {
+          nodes {
+            identifier
+            title
+            state { name }
+            assignee { displayName }
+          }
+        }
+      }
+    }
+  `;
+
+  const res = await fetch('https://api.linear.app/graphql', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': apiKey,
+    },
+    body: JSON.stringify({ query, variables: { teamId, states } }),
+  });
+
+  if (!res.ok) throw new Error(`Linear API error: ${res.status}`);
+  const json = await res.json();
+  if (json.errors) throw new Error(`Linear GraphQL errors: ${JSON.stringify(json.errors)}`);
+
+  return json.data.team.issues.nodes;
+}
+
+async function collectLinear(options, { team, log }) {
+  const apiKey = process.env.LINEAR_API_KEY;
+  const teamIds = options.teamIds || linearTeamIds(team);
+  if (!apiKey || teamIds.length === 0) {
+    log('Skipping Linear (no LINEAR_API_KEY or linearTeamId)');
+    return null;
+  }
+
+  log('Fetching active Linear tickets...');
+  const issues = [];
+  for (const teamId of teamIds) issues.push(...await fetchActiveTickets(apiKey, teamId, options.states));
+  log(`Found ${issues.length} active tickets`);
+  const authorMap = team.linearAuthorMap || {};
+  return {
+    body: issues.map((i) => `- ${i.identifier}: ${i.title} — ${i.state.name} — ${mapLinearName(i.assignee?.displayName, authorMap)}`).join('\n'),
+  };
+}
+
+// --- Notion: recently edited specs ---
+
+async function fetchNotionSpecs(notionApiKey, databaseId, since) {
+  const json = await notionRequest(notionApiKey, `databases/${databaseId}/query`, {
+    method: 'POST',
+    body: {
+      filter: {
+        property: 'Last edited time',
+        last_edited_time: { on_or_after: since },
+      },
+      page_size: 10,
+      sorts: [{ timestamp: 'last_edited_time', direction: 'descending' }],
+    },
+  });
+  return json.results;
+}
+
+function getPageTitle(page) {
+  for (const key of Object.keys(page.properties)) {
+    const prop = page.properties[key];
+    if (prop.type === 'title' && prop.title?.length > 0) {
+      return prop.title.map((t) => t.plain_text).join('');
+    }
+  }
+  return 'Untitled';
+}
+
+async function summarizeSpec(llm, title, content) {
+  const prompt = `Summarize this product spec in 3-5 bullet points: what it does, current status, and key decisions made. Be concise.\n\nTitle: ${title}\n\nContent (Markdown):\n${truncateToTokens(content, SPEC_SUMMARY_TOKENS)}`;
+
+  return llm.complete('specSummary', prompt, { maxTokens: 300 });
+}
+
+async function summarizeSpecChange(llm, title, previousSummary, diff) {
+  const prompt = `A product spec was edited. Say what changed in 1-3 bullet points — decisions, scope, requirements or status that were added, removed or reversed. Skip typo and formatting fixes; if that's all there is, say "Minor edits only". Be concise.
+
+Title: ${title}
+
+Summary of the previous version:
+${previousSummary}
+
+Changed lines (- removed, + added, Markdown):
+${truncateToTokens(diff.join('\n'), SPEC_DIFF_TOKENS)}`;
+
+  return llm.complete('specSummary', prompt, { maxTokens: 200 });
+}
+
+const excerptOf = (content, chars) => content.slice(0, chars).replace(/\n+/g, ' ');
+
+// A page's summary: from the specSummary stage, or a raw excerpt without one (or when it fails,
+// which leaves the page to be summarized again next build)
+async function summaryFor({ llm, log }, title, content) {
+  if (content.length < 50) return { summary: '_Page has minimal content._', summarizedBy: 'placeholder' };
+  if (llm.hasStage('specSummary')) {
+    try {
+      return { summary: await summarizeSpec(llm, title, content), summarizedBy: 'llm' };
+    } catch (e) {
+      log(`    Summary failed (non-fatal), using an excerpt: ${e.message}`);
+    }
+  }
+  return { summary: `${excerptOf(content, 300)}...`, summarizedBy: 'excerpt' };
+}
+
+async function changeSummaryFor({ llm, log }, title, previousSummary, diff) {
+  const added = diff.filter((l) => l.startsWith('+')).length;
+  const removed = diff.length - added;
+  if (llm.hasStage('specSummary')) {
+    try {
+      return await summarizeSpecChange(llm, title, previousSummary, diff);
+    } catch (e) {
+      log(`    Change summary failed (non-fatal), listing lines: ${e.message}`);
+    }
+  }
+  const shown = diff.slice(0, 5).map((l) => l.slice(0, 150));
+  return [`${added} lines added, ${removed} removed:`, ...shown, diff.length > 5 ? `…and ${diff.length - 5} more` : ''].filter(Boolean).join('\n');
+}
+
+/**
+ * One spec page against its cache entry from the last build. An unchanged page (same
+ * last_edited_time, or same content after an edit that didn't touch the text) keeps its cached
+ * summary without fetching or summarizing; a changed one is re-summarized and its diff described.
+ * Returns { entry, change } — entry is the page's new cache entry, change is { kind: 'new' |
+ * 'changed', whatChanged, added, removed } for the spec-change digest, or null.
+ */
+async function summarizePage(ctx, notionApiKey, page, title, cached, since) {
+  const { llm, log } = ctx;
+  const editedAt = page.last_edited_time;
+  const meta = { title, url: page.url || '', editedAt };
+  // Excerpts are replaced once a specSummary provider is configured
+  const upgrade = cached?.summarizedBy === 'excerpt' && llm.hasStage('specSummary');
+  if (cached && cached.editedAt === editedAt && !upgrade) {
+    log('    Unchanged since the last build — cached summary');
+    return { entry: { ...cached, ...meta }, change: null };
+  }
+
+  const rendered = await fetchPageMarkdown(notionApiKey, page.id);
+  const content = rendered.markdown.slice(0, SPEC_CACHE_CHARS);
+  log(`    ${rendered.blocks} blocks${rendered.truncated ? ' (page cut short)' : ''}`);
+  if (cached && cached.content === content && !upgrade) {
+    log('    Edited, but the content is the same — cached summary');
+    return { entry: { ...cached, ...meta }, change: null };
+  }
+
+  const { summary, summarizedBy } = await summaryFor(ctx, title, content);
+  let change = null;
+  if (cached && cached.content !== content) {
+    const diff = lineDiff(cached.content, content);
+    const added = diff.filter((l) => l.startsWith('+')).length;
+    log(`    Changed: +${added}/-${diff.length - added} lines`);
+    change = { kind: 'changed', whatChanged: await changeSummaryFor(ctx, title, cached.summary, diff), added, removed: diff.length - added };
+  } else if (!cached && Date.parse(page.created_time) >= since.getTime()) {
+    // Only pages created in the window count as new — the rest are just seen for the first time
+    change = { kind: 'new', whatChanged: summary, added: content.split('\n').filter((l) => l.trim()).length, removed: 0 };
+  }
+
+  return {
+    entry: {
+      ...meta,
+      content,
+      summary,
+      summarizedBy,
+      change: change?.kind === 'changed' ? { summary: change.whatChanged, at: editedAt } : cached?.change || null,
+    },
+    change,
+  };
+}
+
+function specDigestMessage(team, changes) {
+  const today = new Date().toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+  return renderSpecChangeDigest(changes, { title: `Spec changes${teamSuffix(team)} — ${today}` });
+}
+
+// Post the spec-change digest to Slack. Throws on failure.
+async function postSpecDigest(team, changes, log) {
+  const settings = team.specChanges || {};
+  const webhookUrl = settings.slackWebhookUrl || team.slackWebhookUrl;
+  if (!webhookUrl || webhookUrl.includes('XXXXX')) {
+    log('Skipping spec-change digest (no slackWebhookUrl)');
+    return;
+  }
+  const res = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(specDigestMessage(team, changes)),
+  });
+  if (!res.ok) throw new Error(`Slack returned HTTP ${res.status}`);
+  log(`Posted spec-change digest (${changes.length} spec${changes.length === 1 ? '' : 's'})`);
+}
+
+async function collectNotion(options, ctx) {
+  const { team, config, storeDir, cursors, sinceArg, log } = ctx;
+  const notionApiKey = process.env.NOTION_API_KEY;
+  const databaseId = options.databaseId || team.notionDatabaseId;
+  if (!notionApiKey || !databaseId) {
+    log('Skipping Notion (no NOTION_API_KEY or notionDatabaseId)');
+    return null;
+  }
+
+  // Where the last successful build's fetch of this database left off (see cursor-utils)
+  const notionKey = cursorKey(databaseId === team.notionDatabaseId ? 'notion-specs' : `notion-specs:${databaseId}`, team);
+  const window = resolveWindow({
+    since: sinceArg,
+    cursor: cursors.get(notionKey),
+    defaultHours: SPEC_DAYS * 24,
+    maxHours: SPEC_MAX_DAYS * 24,
+  });
+  const weekAgo = new Date(Date.now() - SPEC_DAYS * DAY_MS);
+  const since = window.source === 'cursor' && window.from > weekAgo ? weekAgo : window.from;
+  log(`Fetching Notion specs edited since ${since.toISOString()}...`);
+  const pages = await fetchNotionSpecs(notionApiKey, databaseId, since.toISOString());
+  log(`Found ${pages.length} recently edited specs`);
+
+  // Each spec's last content and summary (see summarizePage), saved once the build succeeds
+  const specCache = openSpecCache(storeDir, { retentionDays: config.storeRetentionDays });
+  const cacheEntries = {};
+  const specChanges = [];
+  const specSummaries = [];
+  const specRecords = [];
+
+  for (const page of pages) {
+    const title = getPageTitle(page);
+    const key = `${notionKey}:${page.id}`;
+    log(`  Summarizing: ${title}`);
+
+    try {
+      const { entry, change } = await summarizePage(ctx, notionApiKey, page, title, specCache.get(key), since);
+      cacheEntries[key] = entry;
+      if (change) specChanges.push({ key, title, url: entry.url, ...change });
+      specRecords.push({
+        id: page.id,
+        databaseId,
+        title,
+        url: entry.url,
+        text: entry.content.slice(0, SPEC_STORE_CHARS),
+        editedAt: page.last_edited_time,
+        fetchedAt: new Date().toISOString(),
+      });
+      const changed = entry.change ? `\n\n_What changed (${entry.change.at.slice(0, 10)}):_\n${entry.change.summary}` : '';
+      specSummaries.push(`### ${title}\n\n${entry.summary}${changed}`);
+    } catch (e) {
+      log(`  Error for "${title}" (non-fatal): ${e.message}`);
+      specSummaries.push(`### ${title}\n\n_Could not fetch content._`);
+    }
+  }
+
+  // Full spec text for the bot's search — also on dry runs, like the summary scripts
+  if (specRecords.length > 0) {
+    try {
+      const store = openActivityStore(storeDir, { retentionDays: config.storeRetentionDays });
+      store.upsert('specs', specRecords);
+      log(`Activity store: ${specRecords.length} specs in ${storeDir}`);
+    } catch (e) {
+      log(`Activity store write failed (non-fatal): ${e.message}`);
+    }
+  }
+
+  const digestEnabled = team.specChanges?.digest !== false && specChanges.length > 0;
+
+  async function finish({ dryRun }) {
+    if (dryRun) {
+      if (digestEnabled) {
+        log('DRY RUN — would post spec-change digest:');
+        console.log('---');
+        console.log(specDigestMessage(team, specChanges).text);
+        console.log('---');
+      }
+      return;
+    }
+
+    // A digest that didn't go out leaves its pages uncached, so the next build reports them again
+    let unsent = [];
+    if (digestEnabled) {
+      try {
+        await postSpecDigest(team, specChanges, log);
+      } catch (e) {
+        log(`Spec-change digest failed (non-fatal): ${e.message}`);
+        unsent = specChanges.map((c) => c.key);
+      }
+    }
+    if (Object.keys(cacheEntries).length > 0) {
+      try {
+        for (const key of unsent) delete cacheEntries[key];
+        specCache.set(cacheEntries);
+      } catch (e) {
+        log(`Spec cache write failed (non-fatal): ${e.message}`);
+      }
+    }
+    try {
+      cursors.set(notionKey, window.to.toISOString());
+    } catch (e) {
+      log(`Cursor write failed (non-fatal): ${e.message}`);
+    }
+  }
+
+  return { body: specSummaries.join('\n\n'), finish };
+}
+
+// --- GitHub: README and ADR files from repos ---
+
+async function collectGitHub(options, { team, log }) {
+  const token = resolveGitHubToken();
+  if (!token) {
+    log('Skipping GitHub docs (no GitHub token — set GITHUB_TOKEN or run gh auth login)');
+    return null;
+  }
+  const client = createGitHubClient({ token, baseUrl: process.env.GITHUB_API_URL || team.githubApiUrl });
+  const notFound = (e) => /GitHub API error: 404 /.test(e.message);
+
+  const docs = [];
+  for (const repo of options.repos.map((r) => (r.includes('/') ? r : `${team.org}/${r}`))) {
+    for (const docPath of options.paths) {
+      let listing;
+      try {
+        listing = await client.get(`repos/${repo}/contents/${docPath}`);
+      } catch (e) {
+        if (notFound(e)) continue;
+        throw e;
+      }
+      // A directory (docs/adr) lists its Markdown files; the latest-numbered records come first
+      const files = Array.isArray(listing)
+        ? listing.filter((f) => f.type === 'file' && MARKDOWN_FILE.test(f.name)).sort((a, b) => b.name.localeCompare(a.name)).slice(0, options.maxFiles)
+        : [listing];
+      for (const file of files) {
+        const data = file.content !== undefined ? file : await client.get(`repos/${repo}/contents/${file.path}`);
+        const text = Buffer.from(data.content || '', data.encoding === 'base64' ? 'base64' : 'utf8').toString('utf8');
+        docs.push(documentSection(`[${repo}: ${data.path}](${data.html_url})`, text, options.maxFileChars));
+      }
+    }
+  }
+  log(`Found ${docs.length} GitHub docs`);
+  return { body: docs.join('\n\n') };
+}
+
+// --- Local Markdown directory ---
+
+function listMarkdownFiles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.') || entry.name === 'node_modules') continue;
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...listMarkdownFiles(full));
+    else if (MARKDOWN_FILE.test(entry.name)) files.push(full);
+  }
+  return files;
+}
+
+async function collectMarkdown(options, { scriptDir, log }) {
+  const dir = path.resolve(scriptDir, options.dir);
+  if (!fs.existsSync(dir)) throw new Error(`directory not found: ${options.dir}`);
+  const files = listMarkdownFiles(dir).sort().slice(0, options.maxFiles);
+  log(`Found ${files.length} Markdown files in ${options.dir}`);
+  return {
+    body: files.map((file) => documentSection(path.relative(dir, file), fs.readFileSync(file, 'utf8'), options.maxFileChars)).join('\n\n'),
+  };
+}
+
+// --- Confluence (Cloud or Server/Data Center REST API) ---
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': '\'', apos: '\'', nbsp: ' ' };
+
+/**
+ * Confluence storage-format XHTML as rough Markdown — headings, list items and paragraphs.
+ */
+function htmlToMarkdown(html) {
+  return String(html || '')
+    .replace(/<h([1-6])[^>]*>/gi, (m, level) => `\n\n${'#'.repeat(Number(level))} `)
+    .replace(/<\/h[1-6]>/gi, '\n\n')
+    .replace(/<li[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/t[dh]>/gi, ' | ')
+    .replace(/<\/(p|div|tr|ul|ol|table|pre|blockquote)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(amp|lt|gt|quot|#39|apos|nbsp);/g, (m, name) => HTML_ENTITIES[name])
+    .split('\n').map((l) => l.trimEnd()).join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+async function collectConfluence(options, { log }) {
+  const token = process.env[options.tokenEnv];
+  if (!token) {
+    log(`Skipping Confluence (no ${options.tokenEnv})`);
+    return null;
+  }
+  // Cloud takes email + API token as basic auth; Server and Data Center take a personal access token
+  const email = process.env[options.emailEnv];
+  const auth = email ? `Basic ${Buffer.from(`${email}:${token}`).toString('base64')}` : `Bearer ${token}`;
+  const root = options.baseUrl.replace(/\/+$/, '');
+  const cql = options.cql || `space = "${options.spaceKey}" and type = page order by lastmodified desc`;
+
+  const pages = [];
+  let next = `/rest/api/content/search?cql=${encodeURIComponent(cql)}&expand=body.storage,version&limit=${Math.min(options.limit, 25)}`;
+  while (next && pages.length < options.limit) {
+    const res = await fetch(`${root}${next}`, { headers: { 'Authorization': auth, 'Accept': 'application/json' } });
+    if (!res.ok) throw new Error(`Confluence API error: ${res.status} — ${(await res.text()).slice(0, 200)}`);
+    const json = await res.json();
+    pages.push(...json.results);
+    next = json._links?.next || null;
+  }
+  log(`Found ${pages.length} Confluence pages`);
+
+  return {
+    body: pages.slice(0, options.limit).map((page) => {
+      const updated = page.version?.when ? ` (updated ${page.version.when.slice(0, 10)}${page.version.by?.displayName ? ` by ${page.version.by.displayName}` : ''})` : '';
+      const link = page._links?.webui ? `[${page.title}](${root}${page._links.webui})` : page.title;
+      return documentSection(`${link}${updated}`, htmlToMarkdown(page.body?.storage?.value), options.maxFileChars);
+    }).join('\n\n'),
+  };
+}
+
+// --- Registry ---
+
+// Each type: defaults for its options (title is the context.md heading, maxChars caps its section),
+// required option names, and collect(options, ctx) → { body, finish } or null when not configured
+const SOURCE_TYPES = {
+  linear: {
+    defaults: { title: 'Active Tickets (Linear)', maxChars: 10000, states: ['In Progress', 'Todo', 'In Review'] },
+    required: [],
+    collect: collectLinear,
+  },
+  notion: {
+    defaults: { title: 'Recent Specs (Notion)', maxChars: 20000 },
+    required: [],
+    collect: collectNotion,
+  },
+  github: {
+    defaults: { title: 'Repo Docs (GitHub)', maxChars: 20000, paths: ['README.md', 'docs/adr'], maxFiles: 10, maxFileChars: 4000 },
+    required: ['repos'],
+    collect: collectGitHub,
+  },
+  markdown: {
+    defaults: { title: 'Docs', maxChars: 20000, maxFiles: 50, maxFileChars: 4000 },
+    required: ['dir'],
+    collect: collectMarkdown,
+  },
+  confluence: {
+    defaults: { title: 'Confluence', maxChars: 20000, limit: 10, maxFileChars: 4000, emailEnv: 'CONFLUENCE_EMAIL', tokenEnv: 'CONFLUENCE_API_TOKEN' },
+    required: ['baseUrl'],
+    collect: collectConfluence,
+  },
+};
+
+/**
+ * A team's context sources with their options filled in: its `contextSources` entries, or
+ * Linear and Notion when it has none (each skips itself when its keys aren't set).
+ * Throws on an unknown type or a missing required option.
+ */
+function resolveContextSources(team) {
+  const entries = Array.isArray(team.contextSources) ? team.contextSources : [{ type: 'linear' }, { type: 'notion' }];
+  return entries.map((entry, i) => {
+    const type = SOURCE_TYPES[entry.type];
+    if (!type) throw new Error(`contextSources[${i}]: unknown type "${entry.type}" (use ${Object.keys(SOURCE_TYPES).join(', ')})`);
+    const missing = type.required.filter((key) => !entry[key]);
+    if (entry.type === 'confluence' && !entry.spaceKey && !entry.cql) missing.push('spaceKey or cql');
+    if (missing.length > 0) throw new Error(`contextSources[${i}] (${entry.type}): missing ${missing.join(', ')}`);
+    return { ...type.defaults, ...entry };
+  });
+}
+
+/**
+ * The Notion databases a team's context is built from, for scoping stored specs to the team.
+ */
+function notionDatabaseIds(team) {
+  try {
+    return resolveContextSources(team).filter((s) => s.type === 'notion').map((s) => s.databaseId || team.notionDatabaseId).filter(Boolean);
+  } catch {
+    return team.notionDatabaseId ? [team.notionDatabaseId] : [];
+  }
+}
+
+/**
+ * Collect one source. ctx is { team, config, scriptDir, storeDir, cursors, sinceArg, llm, log }.
+ * Returns { title, body, finish } — body capped to the source's maxChars, finish({ dryRun })
+ * run once context.md is written (or printed on a dry run) — or null when the source skipped itself.
+ */
+async function collectContextSource(source, ctx) {
+  const result = await SOURCE_TYPES[source.type].collect(source, ctx);
+  if (!result) return null;
+  return { title: source.title, body: capText(result.body || '', source.maxChars), finish: result.finish || null };
+}
+
+module.exports = {
+  SOURCE_TYPES,
+  resolveContextSources,
+  notionDatabaseIds,
+  collectContextSource,
+  htmlToMarkdown,
+};
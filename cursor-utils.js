@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const { zonedParts } = require('./schedule-utils');
+
+const HOUR_MS = 60 * 60 * 1000;
+// A window longer than this reads as several days, and is summarized as one catch-up
+const MULTI_DAY_HOURS = 30;
+
+/**
+ * Per-source high-water marks in <dir>/cursors.json — where each collector's last successful
+ * run left off, so the next run starts there. Returns { get, set }.
+ */
+function openCursors(dir) {
+  const file = path.join(dir, 'cursors.json');
+
+  function readAll() {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  // Re-reads the file before writing so scripts running side by side don't drop each other's cursors
+  function set(key, at) {
+    const cursors = readAll();
+    cursors[key] = { at, updatedAt: new Date().toISOString() };
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(cursors, null, 2) + '\n', 'utf8');
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    get: (key) => readAll()[key]?.at || null,
+    set,
+  };
+}
+
+/**
+ * "git-summary", or "git-summary:<team>" when several teams are configured.
+ */
+function cursorKey(source, team) {
+  return team.multi ? `${source}:${team.name}` : source;
+}
+
+/**
+ * The timezone weekends and day labels are judged in: the team's, the scheduler's, then the server's.
+ */
+function teamTimezone(team) {
+  return team.timezone || team.scheduler?.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+}
+
+function isWeekend(date, timeZone) {
+  const { weekday } = zonedParts(date, timeZone);
+  return weekday === 0 || weekday === 6;
+}
+
+// The same time of day on the most recent Friday before `now`
+function lastFriday(now, timeZone) {
+  let t = now.getTime() - 24 * HOUR_MS;
+  for (let i = 0; i < 7 && zonedParts(new Date(t), timeZone).weekday !== 5; i++) t -= 24 * HOUR_MS;
+  return new Date(t);
+}
+
+/**
+ * A collection run's window, in order of precedence:
+ *   --since=<iso>  from that time
+ *   --hours=N      the last N hours
+ *   cursor         from where the last successful run left off, at most maxHours back
+ *   --catch-up     without a cursor, from the same time last Friday
+ *   default        the last defaultHours
+ * Returns { from, to, source } — `to` is now, and becomes the next cursor.
+ */
+function resolveWindow({ since = null, hours = null, cursor = null, catchUp = false, defaultHours = 24, maxHours = 24 * 7, timeZone, now = new Date() }) {
+  if (since) {
+    const from = new Date(since);
+    if (Number.isNaN(from.getTime())) throw new Error(`--since=${since} is not a date (use e.g. 2026-10-16 or 2026-10-16T06:00:00Z)`);
+    return { from, to: now, source: 'since' };
+  }
+  if (hours) return { from: new Date(now.getTime() - hours * HOUR_MS), to: now, source: 'hours' };
+  if (cursor) {
+    const oldest = now.getTime() - maxHours * HOUR_MS;
+    return { from: new Date(Math.max(Date.parse(cursor), oldest)), to: now, source: 'cursor' };
+  }
+  if (catchUp) return { from: lastFriday(now, timeZone), to: now, source: 'catch-up' };
+  return { from: new Date(now.getTime() - defaultHours * HOUR_MS), to: now, source: 'default' };
+}
+
+/**
+ * With `weekendCatchUp`, whether a daily run should post nothing and hold its window for Monday's
+ * catch-up. A hold with no cursor yet saves one at the window's start (not on dry runs), so Monday
+ * reaches back over the weekend instead of falling back to the default window.
+ */
+function holdForWeekend(team, window, { cursors, key, timeZone, dryRun = false, log = () => {} }) {
+  if (!team.weekendCatchUp || !['cursor', 'default'].includes(window.source) || !isWeekend(window.to, timeZone)) return false;
+  if (window.source === 'default' && !dryRun) {
+    try {
+      cursors.set(key, window.from.toISOString());
+    } catch (e) {
+      log(`Cursor write failed (non-fatal): ${e.message}`);
+    }
+  }
+  return true;
+}
+
+const DAY_FORMAT = { weekday: 'long', month: 'long', day: 'numeric' };
+
+/**
+ * How a summary names its window: { multiDay, heading, note, hours }.
+ * A single day is "Monday, October 19"; a longer window is "Friday, October 16 – Monday, October 19"
+ * with note "weekend catch-up" when it spans a weekend (or catch-up was asked for), "catch-up" otherwise.
+ */
+function describeWindow(window, timeZone, { catchUp = false } = {}) {
+  const hours = (window.to - window.from) / HOUR_MS;
+  const day = (date) => date.toLocaleDateString('en-US', { ...DAY_FORMAT, timeZone });
+  const multiDay = catchUp || hours > MULTI_DAY_HOURS;
+  if (!multiDay) return { multiDay, heading: day(window.to), note: '', hours };
+
+  let weekend = catchUp;
+  for (let t = window.from.getTime(); t <= window.to.getTime() && !weekend; t += 6 * HOUR_MS) {
+    weekend = isWeekend(new Date(t), timeZone);
+  }
+  return {
+    multiDay,
+    heading: `${day(window.from)} – ${day(window.to)}`,
+    note: weekend ? 'weekend catch-up' : 'catch-up',
+    hours,
+  };
+}
+
+module.exports = {
+  openCursors,
+  cursorKey,
+  teamTimezone,
+  isWeekend,
+  resolveWindow,
+  holdForWeekend,
+  describeWindow,
+};
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const path = require('path');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Who has opted in to personal digests, in <dir>/digest-subscriptions.json keyed by
+ * Slack user ID. Returns { list, get, subscribe, unsubscribe }.
+ */
+function openSubscriptions(dir) {
+  const file = path.join(dir, 'digest-subscriptions.json');
+
+  function readAll() {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  // Re-reads before writing — the bot and personal-digest.js share the file
+  function update(fn) {
+    const subs = readAll();
+    fn(subs);
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(subs, null, 2) + '\n', 'utf8');
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    list: () => Object.entries(readAll()).map(([userId, sub]) => ({ userId, ...sub })),
+    get: (userId) => readAll()[userId] || null,
+    subscribe: (userId) => update((subs) => {
+      subs[userId] = { subscribedAt: subs[userId]?.subscribedAt || new Date().toISOString() };
+    }),
+    unsubscribe: (userId) => update((subs) => {
+      delete subs[userId];
+    }),
+  };
+}
+
+/**
+ * The GitHub logins and Linear names a Slack user goes by across `teams`: the keys of
+ * slackUserMap and linearSlackUserMap that point at their ID. Returns { githubLogins, linearNames }.
+ */
+function personIdentities(teams, slackUserId) {
+  const keysFor = (key) => [...new Set(teams.flatMap((team) => Object.entries(team[key] || {})
+    .filter(([, id]) => id === slackUserId)
+    .map(([name]) => name)))];
+  return { githubLogins: keysFor('slackUserMap'), linearNames: keysFor('linearSlackUserMap') };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "@alice" in GitHub comments; "@alice" or a profile link in Linear's markdown
+function mentionMatcher(names, { linear = false } = {}) {
+  if (names.length === 0) return () => false;
+  const alternatives = names.map(escapeRegExp).join('|');
+  const re = linear
+    ? new RegExp(`(@|/profiles/)(${alternatives})(?![\\w-])`, 'i')
+    : new RegExp(`@(${alternatives})(?![\\w-])`, 'i');
+  return (body) => re.test(body || '');
+}
+
+const prKey = (fullRepo, number) => `${(fullRepo || '').toLowerCase()}#${number}`;
+
+/**
+ * One person's slice of the collected activity, given their GitHub logins and Linear names:
+ *   awaitingReview  open PRs (fetchOpenPullRequests) with a review requested from them, longest wait first
+ *   onTheirPRs      their PRs that others reviewed or commented on in the window: [{ pr, reviews, comments }]
+ *   tickets         Linear tickets assigned to them that changed: [{ issue, isNew, transitions, comments }]
+ *   mentions        GitHub and Linear comments by others that @-mention them — anywhere in a GitHub
+ *                   comment, through the `mentions` picked out at scan time
+ */
+function buildPersonalDigest({ gitData, openPRs = [], linearData = null, githubLogins = [], linearNames = [], now = new Date() }) {
+  const logins = new Set(githubLogins.map((l) => l.toLowerCase()));
+  const isMe = (login) => logins.has((login || '').toLowerCase());
+  const names = new Set(linearNames.map((n) => n.toLowerCase()));
+  const isMyLinear = (name) => names.has((name || '').toLowerCase());
+
+  const awaitingReview = openPRs
+    .filter((pr) => !pr.isDraft && !isMe(pr.author) && pr.requestedReviewers.some(isMe))
+    .map((pr) => {
+      // From their own review request — a later request to someone else doesn't reset it
+      const requestedAt = pr.requestedReviewers.filter(isMe).map((login) => pr.reviewRequestTimes?.[login]).filter(Boolean).sort()[0];
+      return { pr, waitHours: (now.getTime() - Date.parse(requestedAt || pr.createdAt)) / HOUR_MS };
+    })
+    .sort((a, b) => b.waitHours - a.waitHours);
+
+  // Their PRs from the window plus the ones still open, so reviews on older PRs count too
+  const mine = new Map();
+  for (const pr of [...gitData.prs, ...openPRs]) {
+    if (isMe(pr.author) && !mine.has(prKey(pr.fullRepo, pr.number))) {
+      mine.set(prKey(pr.fullRepo, pr.number), { pr, reviews: [], comments: [] });
+    }
+  }
+  for (const r of gitData.reviews) {
+    const entry = mine.get(prKey(r.fullRepo, r.prNumber));
+    if (entry && !isMe(r.reviewer)) entry.reviews.push(r);
+  }
+  const onMyPR = new Set();
+  for (const c of gitData.comments) {
+    const entry = mine.get(prKey(c.fullRepo, c.issueNumber));
+    if (entry && !isMe(c.author)) {
+      entry.comments.push(c);
+      onMyPR.add(c);
+    }
+  }
+  const onTheirPRs = [...mine.values()].filter((e) => e.reviews.length > 0 || e.comments.length > 0);
+
+  const tickets = [];
+  if (linearData) {
+    const newIds = new Set(linearData.newIssues.map((i) => i.identifier));
+    for (const issue of [...linearData.newIssues, ...linearData.activeIssues]) {
+      if (!isMyLinear(issue.assignee?.displayName)) continue;
+      tickets.push({
+        issue,
+        isNew: newIds.has(issue.identifier),
+        transitions: (linearData.transitions || []).filter((t) => t.issue === issue.identifier),
+        comments: linearData.recentComments.filter((c) => c.issue === issue.identifier && !isMyLinear(c.author)),
+      });
+    }
+  }
+
+  // Comments already shown under their PRs or tickets aren't repeated as mentions
+  // Records stored before comments carried `mentions` fall back to their first line
+  const mentionsGit = mentionMatcher(githubLogins);
+  const mentionsMe = (c) => (c.mentions ? c.mentions.some(isMe) : mentionsGit(c.body));
+  const mentionsLinear = mentionMatcher(linearNames, { linear: true });
+  const myTickets = new Set(tickets.map((t) => t.issue.identifier));
+  const mentions = [
+    ...gitData.comments
+      .filter((c) => !isMe(c.author) && !onMyPR.has(c) && mentionsMe(c))
+      .map((c) => ({
+        source: 'github',
+        author: c.author,
+        body: c.body,
+        label: `${c.repo} #${c.issueNumber}`,
+        url: `https://github.com/${c.fullRepo}/issues/${c.issueNumber}`,
+        createdAt: c.createdAt,
+      })),
+    ...(linearData?.recentComments || [])
+      .filter((c) => !isMyLinear(c.author) && !myTickets.has(c.issue) && mentionsLinear(c.body))
+      .map((c) => ({ source: 'linear', author: c.author, body: c.body, issue: c.issue, label: c.issue, createdAt: c.createdAt })),
+  ].sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  return { awaitingReview, onTheirPRs, tickets, mentions };
+}
+
+/**
+ * Total items in a digest — 0 means there's nothing worth a DM.
+ */
+function digestCount(digest) {
+  return digest.awaitingReview.length + digest.onTheirPRs.length + digest.tickets.length + digest.mentions.length;
+}
+
+module.exports = {
+  openSubscriptions,
+  personIdentities,
+  buildPersonalDigest,
+  digestCount,
+};
@@ -0,0 +1,159 @@
+// Only * and ? are wildcards; matching is case-insensitive like GitHub repo names
+function globToRegExp(glob) {
+  const pattern = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
+// Predicate for "matches any of these globs"; an empty list matches nothing
+function globMatcher(globs) {
+  const res = (globs || []).map(globToRegExp);
+  return (value) => res.some((re) => re.test(value || ''));
+}
+
+const DEFAULT_FILTERS = {
+  includeRepos: [],
+  excludeRepos: [],
+  skipArchived: true,
+  skipForks: true,
+  excludeAuthors: ['*[bot]', 'dependabot*', 'renovate*'],
+  includeBranches: [],
+  excludeBranches: [],
+  squashMerges: true,
+};
+
+// What each count means in the "Filtered out: ..." line (singular, plural), in display order
+const COUNT_LABELS = {
+  archivedRepos: ['archived repo', 'archived repos'],
+  forkRepos: ['fork', 'forks'],
+  excludedRepos: ['excluded repo', 'excluded repos'],
+  skippedBranches: ['skipped branch', 'skipped branches'],
+  branchCommits: ['commit on a skipped branch', 'commits on skipped branches'],
+  botCommits: ['bot commit', 'bot commits'],
+  mergeCommits: ['merge commit', 'merge commits'],
+  botPRs: ['bot PR', 'bot PRs'],
+  botReviews: ['bot review', 'bot reviews'],
+  botComments: ['bot comment', 'bot comments'],
+  botIssues: ['bot issue', 'bot issues'],
+  branchEvents: ['branch event', 'branch events'],
+};
+
+// Merge commits carry two parents; webhook push payloads don't list parents, so fall back to
+// the messages git and GitHub write for them
+const MERGE_MESSAGE = /^Merge (pull request #\d+ from |branch '|remote-tracking branch '|tag ')/;
+
+function isMergeCommit(commit) {
+  return commit.merge === true || MERGE_MESSAGE.test(commit.message || '');
+}
+
+/**
+ * Noise filter for GitHub activity, configured by `filters` in config.json:
+ *   includeRepos / excludeRepos        repo globs ("api", "web-*", "org/tools-?"); include defaults to all
+ *   skipArchived / skipForks           drop archived repos and forks (default true)
+ *   excludeAuthors                     login globs whose commits, PRs, reviews, comments and issues are dropped
+ *                                      (default: "*[bot]", "dependabot*", "renovate*")
+ *   includeBranches / excludeBranches  branch globs whose commits are scanned; include defaults to all
+ *   squashMerges                       drop merge commits — their work is counted by its own commits and PR (default true)
+ * Every dropped item is tallied in `counts`; summary() describes them.
+ * Returns { settings, repo, branch, apply, openPRs, counts, summary }.
+ */
+function createActivityFilter(filters = {}) {
+  const settings = { ...DEFAULT_FILTERS, ...filters };
+  const includeRepo = globMatcher(settings.includeRepos);
+  const excludeRepo = globMatcher(settings.excludeRepos);
+  const includeBranch = globMatcher(settings.includeBranches);
+  const excludeBranch = globMatcher(settings.excludeBranches);
+  const botAuthor = globMatcher(settings.excludeAuthors);
+  const counts = Object.fromEntries(Object.keys(COUNT_LABELS).map((key) => [key, 0]));
+
+  // Globs with a slash match the full name, others the bare repo name
+  const repoMatches = (matches, globs, fullName) => globs.length > 0
+    && (matches(fullName) || (globs.some((g) => !g.includes('/')) && matches(fullName.split('/').pop())));
+
+  /**
+   * Whether to scan a repo, given { fullName, archived, fork, extra }.
+   * extraRepos (`extra`) skip includeRepos but still honour excludeRepos.
+   */
+  function repo({ fullName, archived = false, fork = false, extra = false }) {
+    if (settings.skipArchived && archived) {
+      counts.archivedRepos++;
+      return false;
+    }
+    if (settings.skipForks && fork) {
+      counts.forkRepos++;
+      return false;
+    }
+    const included = extra || settings.includeRepos.length === 0 || repoMatches(includeRepo, settings.includeRepos, fullName);
+    if (!included || repoMatches(excludeRepo, settings.excludeRepos, fullName)) {
+      counts.excludedRepos++;
+      return false;
+    }
+    return true;
+  }
+
+  const branchAllowed = (name) => (settings.includeBranches.length === 0 || includeBranch(name)) && !excludeBranch(name);
+
+  /**
+   * Whether to scan a branch's commits.
+   */
+  function branch(name) {
+    if (branchAllowed(name)) return true;
+    counts.skippedBranches++;
+    return false;
+  }
+
+  function drop(records, countKey, test) {
+    return records.filter((r) => {
+      if (!test(r)) return true;
+      counts[countKey]++;
+      return false;
+    });
+  }
+
+  /**
+   * Drop bot-authored records, merge commits and activity on filtered branches from
+   * collectGitData-shaped data. Returns a new object; the input is untouched.
+   */
+  function apply(data) {
+    let commits = drop(data.commits || [], 'botCommits', (c) => botAuthor(c.author));
+    if (settings.squashMerges) commits = drop(commits, 'mergeCommits', isMergeCommit);
+    // Webhook pushes arrive per branch, so their commits are branch-filtered here instead of at scan time
+    commits = drop(commits, 'branchCommits', (c) => c.branch && !branchAllowed(c.branch));
+
+    return {
+      ...data,
+      commits,
+      prs: drop(data.prs || [], 'botPRs', (pr) => botAuthor(pr.author)),
+      reviews: drop(data.reviews || [], 'botReviews', (r) => botAuthor(r.reviewer)),
+      comments: drop(data.comments || [], 'botComments', (c) => botAuthor(c.author)),
+      issues: drop(data.issues || [], 'botIssues', (i) => botAuthor(i.author)),
+      branchEvents: drop(data.branchEvents || [], 'branchEvents', (b) => botAuthor(b.author) || !branchAllowed(b.branch)),
+    };
+  }
+
+  /**
+   * Drop bot-authored PRs from fetchOpenPullRequests' list — dependabot and renovate PRs are the
+   * stalest ones, and nobody is waiting on a person to review them.
+   */
+  function openPRs(prs) {
+    return drop(prs, 'botPRs', (pr) => botAuthor(pr.author));
+  }
+
+  /**
+   * "2 archived repos, 1 fork, 14 bot commits, ..." — '' when nothing was filtered.
+   */
+  function summary() {
+    return Object.entries(COUNT_LABELS)
+      .filter(([key]) => counts[key] > 0)
+      .map(([key, [one, many]]) => `${counts[key]} ${counts[key] === 1 ? one : many}`)
+      .join(', ');
+  }
+
+  return { settings, repo, branch, apply, openPRs, counts, summary };
+}
+
+module.exports = {
+  globToRegExp,
+  globMatcher,
+  isMergeCommit,
+  createActivityFilter,
+};
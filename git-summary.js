@@ -1,327 +1,76 @@
 #!/usr/bin/env node
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
+const { createLLM } = require('./llm-provider');
+const { createGitHubClient, resolveGitHubToken } = require('./github-client');
+const { collectGitData, formatRawData, formatRawDataByRepo } = require('./github-utils');
+const { createActivityFilter } = require('./filter-utils');
+const { openActivityStore, recordGitData } = require('./activity-store');
+const { fetchCycles } = require('./linear-utils');
+const { buildTicketLinks, formatTicketLinks } = require('./ticket-utils');
+const { GIT_SUMMARY_SCHEMA, completeStructured } = require('./summary-schema');
+const { renderGitSummary } = require('./slack-blocks');
+const {
+  resolveTeams,
+  selectTeams,
+  teamSuffix,
+  linearTeamIds,
+  readContext,
+  teamRepoMatcher,
+} = require('./team-utils');
+const {
+  PERIODS,
+  resolvePeriod,
+  filterGitData,
+  computeGitStats,
+  formatGitTrends,
+} = require('./period-utils');
+const { computeMetrics, formatMetrics } = require('./metrics-utils');
+const { buildHealth, hasBuildHealth, formatBuildHealth } = require('./build-utils');
+const { promptBudget, fitPrompt } = require('./prompt-utils');
+const {
+  openCursors,
+  cursorKey,
+  teamTimezone,
+  holdForWeekend,
+  resolveWindow,
+  describeWindow,
+} = require('./cursor-utils');
 
 const SCRIPT_DIR = __dirname;
 const CONFIG = JSON.parse(fs.readFileSync(path.join(SCRIPT_DIR, 'config.json'), 'utf8'));
+const STORE_DIR = path.resolve(SCRIPT_DIR, CONFIG.dataDir || 'data');
 
 // Parse args
 let dryRun = false;
-let lookbackHours = 24;
+let lookbackHours = null;
+let sinceArg = null;
+let catchUp = false;
+let period = null;
+let teamName = null;
 
 for (const arg of process.argv.slice(2)) {
   if (arg === '--dry-run') dryRun = true;
+  if (arg === '--catch-up') catchUp = true;
   if (arg.startsWith('--hours=')) lookbackHours = parseInt(arg.split('=')[1], 10);
+  if (arg.startsWith('--since=')) sinceArg = arg.slice('--since='.length);
+  if (arg.startsWith('--period=')) period = arg.split('=')[1];
+  if (arg.startsWith('--team=')) teamName = arg.split('=')[1];
 }
 
 const log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`);
+const llm = createLLM(CONFIG, { log });
 
-// --- Data collection via gh CLI ---
-
-function gh(args) {
-  try {
-    return execSync(`gh ${args}`, { encoding: 'utf8', timeout: 30000 }).trim();
-  } catch (e) {
-    return '';
-  }
-}
-
-function ghJSON(args) {
-  const raw = gh(args);
-  if (!raw) return null;
-  try {
-    return JSON.parse(raw);
-  } catch {
-    return null;
-  }
-}
-
-function collectGitData() {
-  const org = CONFIG.org;
-  const extraRepos = CONFIG.extraRepos || [];
-  const since = new Date(Date.now() - lookbackHours * 60 * 60 * 1000).toISOString();
-
-  // Get all repos in org
-  const orgRepos = gh(`api "orgs/${org}/repos" --paginate --jq ".[].name"`)
-    .split('\n')
-    .filter(Boolean)
-    .map((r) => `${org}/${r}`);
-
-  const allRepos = [...orgRepos, ...extraRepos];
-  log(`Found ${allRepos.length} repos to scan`);
-
-  const data = {
-    commits: [],
-    prs: [],
-    reviews: [],
-    comments: [],
-    issues: [],
-    releases: [],
-    branchEvents: [],
-    memberEvents: [],
-  };
-  const seenSHAs = new Set();
-
-  for (const fullRepo of allRepos) {
-    const repoName = fullRepo.split('/').pop();
-    log(`Scanning ${fullRepo}...`);
-
-    // Get branches
-    const branches = gh(`api "repos/${fullRepo}/branches" --paginate --jq ".[].name"`)
-      .split('\n')
-      .filter(Boolean);
-
-    if (branches.length === 0) {
-      log(`  No branches in ${fullRepo}, skipping`);
-      continue;
-    }
-
-    // 1. Commits from all branches, deduplicated by SHA
-    for (const branch of branches) {
-      const raw = gh(`api "repos/${fullRepo}/commits?since=${since}&sha=${branch}&per_page=100" --jq '.[] | [.sha, (.author.login // .commit.author.name // "unknown"), (.commit.message | split("\\n") | .[0])] | @tsv'`);
-      if (!raw) continue;
-
-      for (const line of raw.split('\n')) {
-        if (!line) continue;
-        const [sha, author, ...msgParts] = line.split('\t');
-        const message = msgParts.join('\t');
-        if (!sha || seenSHAs.has(sha)) continue;
-        seenSHAs.add(sha);
-        data.commits.push({
-          repo: repoName,
-          fullRepo,
-          author,
-          branch,
-          message,
-          url: `https://github.com/${fullRepo}/commit/${sha}`,
-        });
-      }
-    }
-
-    // 2. PRs with reviews (created, merged, or closed in window)
-    // Don't use updatedAt — bots (CI, Vercel, etc.) bump it constantly
-    const prs = ghJSON(`pr list --repo "${fullRepo}" --state all --json number,title,author,state,createdAt,mergedAt,closedAt,reviews --limit 50`);
-    if (prs) {
-      for (const pr of prs) {
-        const inWindow = pr.createdAt >= since
-          || (pr.mergedAt && pr.mergedAt >= since)
-          || (pr.closedAt && pr.closedAt >= since);
-        if (!inWindow) continue;
-
-        data.prs.push({
-          repo: repoName,
-          fullRepo,
-          number: pr.number,
-          title: pr.title,
-          author: pr.author?.login || 'unknown',
-          state: pr.state,
-          createdAt: pr.createdAt?.slice(0, 10) || '',
-          mergedAt: pr.mergedAt?.slice(0, 10) || '',
-          closedAt: pr.closedAt?.slice(0, 10) || '',
-          url: `https://github.com/${fullRepo}/pull/${pr.number}`,
-        });
-
-        // Extract reviews submitted in the time window
-        for (const review of (pr.reviews || [])) {
-          if (review.submittedAt >= since && review.state !== 'PENDING') {
-            data.reviews.push({
-              repo: repoName,
-              prNumber: pr.number,
-              prTitle: pr.title,
-              reviewer: review.author?.login || 'unknown',
-              state: review.state,
-            });
-          }
-        }
-      }
-    }
-
-    // 3. Issue and PR comments (general discussion comments)
-    const commentsRaw = ghJSON(`api "repos/${fullRepo}/issues/comments?since=${since}&per_page=100"`);
-    if (commentsRaw) {
-      for (const c of commentsRaw) {
-        const num = c.issue_url?.match(/\/(\d+)$/)?.[1];
-        data.comments.push({
-          repo: repoName,
-          author: c.user?.login || 'unknown',
-          issueNumber: num || '?',
-          body: (c.body || '').split('\n')[0].slice(0, 120),
-          createdAt: c.created_at,
-        });
-      }
-    }
-
-    // 4. PR review comments (inline code review comments)
-    const reviewCommentsRaw = ghJSON(`api "repos/${fullRepo}/pulls/comments?since=${since}&per_page=100"`);
-    if (reviewCommentsRaw) {
-      for (const c of reviewCommentsRaw) {
-        const prNum = c.pull_request_url?.match(/\/(\d+)$/)?.[1];
-        data.comments.push({
-          repo: repoName,
-          author: c.user?.login || 'unknown',
-          issueNumber: prNum || '?',
-          body: (c.body || '').split('\n')[0].slice(0, 120),
-          createdAt: c.created_at,
-          isReviewComment: true,
-        });
-      }
-    }
-
-    // 5. Issues (exclude PRs — they have pull_request key)
-    const issuesRaw = ghJSON(`api "repos/${fullRepo}/issues?since=${since}&state=all&per_page=100"`);
-    if (issuesRaw) {
-      for (const issue of issuesRaw) {
-        if (issue.pull_request) continue;
-        data.issues.push({
-          repo: repoName,
-          number: issue.number,
-          title: issue.title,
-          author: issue.user?.login || 'unknown',
-          state: issue.state,
-          createdAt: issue.created_at?.slice(0, 10) || '',
-          url: issue.html_url,
-        });
-      }
-    }
-
-    // 6. Releases
-    const releasesRaw = ghJSON(`api "repos/${fullRepo}/releases?per_page=10"`);
-    if (releasesRaw) {
-      for (const rel of releasesRaw) {
-        if (rel.published_at >= since) {
-          data.releases.push({
-            repo: repoName,
-            tag: rel.tag_name,
-            name: rel.name || rel.tag_name,
-            author: rel.author?.login || 'unknown',
-            publishedAt: rel.published_at?.slice(0, 10) || '',
-            url: rel.html_url,
-          });
-        }
-      }
-    }
-  }
-
-  // 7. Org events — branch create/delete and membership changes
-  log('Fetching org events...');
-  const events = ghJSON(`api "orgs/${org}/events?per_page=100"`);
-  if (events) {
-    for (const ev of events) {
-      if (ev.created_at < since) continue;
-      const repoName = ev.repo?.name?.replace(`${org}/`, '') || '';
-
-      if (ev.type === 'CreateEvent' && ev.payload?.ref_type === 'branch') {
-        data.branchEvents.push({
-          repo: repoName,
-          author: ev.actor?.login || 'unknown',
-          action: 'created',
-          branch: ev.payload.ref,
-        });
-      } else if (ev.type === 'DeleteEvent' && ev.payload?.ref_type === 'branch') {
-        data.branchEvents.push({
-          repo: repoName,
-          author: ev.actor?.login || 'unknown',
-          action: 'deleted',
-          branch: ev.payload.ref,
-        });
-      } else if (ev.type === 'MemberEvent') {
-        data.memberEvents.push({
-          repo: repoName,
-          member: ev.payload?.member?.login || 'unknown',
-          action: ev.payload?.action || 'added',
-          actor: ev.actor?.login || 'unknown',
-        });
-      }
-    }
-  }
-
-  // Deduplicate comments (issues/comments and pulls/comments can overlap)
-  const commentKeys = new Set();
-  data.comments = data.comments.filter((c) => {
-    const key = `${c.repo}:${c.author}:${c.issueNumber}:${c.createdAt}`;
-    if (commentKeys.has(key)) return false;
-    commentKeys.add(key);
-    return true;
-  });
-
-  log(`Collected: ${data.commits.length} commits, ${data.prs.length} PRs, ${data.reviews.length} reviews, ${data.comments.length} comments, ${data.issues.length} issues, ${data.releases.length} releases, ${data.branchEvents.length} branch events, ${data.memberEvents.length} membership changes`);
-
-  return data;
-}
-
-function formatRawData(data, authorMap) {
-  const n = (author) => authorMap[author] || author;
-  const lines = [];
-
-  if (data.commits.length > 0) {
-    lines.push('COMMITS:');
-    for (const c of data.commits) {
-      lines.push(`[${c.repo}] ${n(c.author)} (${c.branch}): ${c.message} | ${c.url}`);
-    }
-  }
-
-  if (data.prs.length > 0) {
-    lines.push('\nPULL REQUESTS:');
-    for (const pr of data.prs) {
-      let status = pr.state;
-      if (pr.mergedAt) status = `MERGED ${pr.mergedAt}`;
-      else if (pr.closedAt) status = `CLOSED ${pr.closedAt}`;
-      lines.push(`[${pr.repo}] [${status}] #${pr.number} ${pr.title} by ${n(pr.author)} | created:${pr.createdAt} | ${pr.url}`);
-    }
-  }
-
-  if (data.reviews.length > 0) {
-    lines.push('\nPR REVIEWS:');
-    for (const r of data.reviews) {
-      lines.push(`[${r.repo}] PR #${r.prNumber}: ${n(r.reviewer)} → ${r.state}`);
-    }
-  }
-
-  if (data.comments.length > 0) {
-    lines.push('\nCOMMENTS:');
-    for (const c of data.comments) {
-      const type = c.isReviewComment ? 'code review on' : 'commented on';
-      lines.push(`[${c.repo}] ${n(c.author)} ${type} #${c.issueNumber}: ${c.body}`);
-    }
-  }
-
-  if (data.issues.length > 0) {
-    lines.push('\nISSUES:');
-    for (const i of data.issues) {
-      lines.push(`[${i.repo}] [${i.state}] #${i.number} ${i.title} by ${n(i.author)} | ${i.url}`);
-    }
-  }
-
-  if (data.releases.length > 0) {
-    lines.push('\nRELEASES:');
-    for (const r of data.releases) {
-      lines.push(`[${r.repo}] ${r.tag} "${r.name}" by ${n(r.author)} | ${r.publishedAt} | ${r.url}`);
-    }
-  }
-
-  if (data.branchEvents.length > 0) {
-    lines.push('\nBRANCH EVENTS:');
-    for (const b of data.branchEvents) {
-      lines.push(`[${b.repo}] ${n(b.author)} ${b.action} branch: ${b.branch}`);
-    }
-  }
-
-  if (data.memberEvents.length > 0) {
-    lines.push('\nMEMBERSHIP CHANGES:');
-    for (const m of data.memberEvents) {
-      lines.push(`[${m.repo}] ${n(m.member)} was ${m.action} by ${n(m.actor)}`);
-    }
-  }
-
-  return lines.join('\n');
+if (period && !PERIODS[period]) {
+  log(`ERROR: unknown --period=${period} (use ${Object.keys(PERIODS).join(', ')})`);
+  process.exit(1);
 }
 
-// --- Gemini Flash via OpenRouter: pre-process raw data (optional) ---
+// --- Pre-processing LLM stage: organize raw data (optional) ---
 
-async function preprocessWithGemini(openrouterApiKey, rawData, authorMap) {
-  const authorMapStr = Object.entries(authorMap).map(([k, v]) => `${k} → ${v}`).join(', ');
-  const ticketPattern = CONFIG.ticketPattern || '';
+async function preprocessData(rawData, team) {
+  const authorMapStr = Object.entries(team.authorMap || {}).map(([k, v]) => `${k} → ${v}`).join(', ');
+  const ticketPattern = team.ticketPattern || '';
 
   const prompt = `You are a data organizer. Process this raw GitHub activity data into a structured summary grouped by person.
 
@@ -332,7 +81,7 @@ ${rawData}
 TASK: Organize ALL activity by person (use display names from mapping). For each person, list:
 
 1. COMMITS: repos worked on with commit count and key themes (1 short sentence per repo). Include branch name and one representative commit URL per repo.
-2. PRs: opened, merged, closed, or reviewed. Include PR number, title, state, and URL.
+2. PRs: opened, merged, closed, or reviewed. Include PR number, title, state, size, and URL, plus one sentence on what changed from PR DETAILS (directories touched, description, issues it closes) when present.
 3. REVIEWS: which PRs they reviewed and the verdict (approved, changes requested, commented).
 4. COMMENTS: what they commented on (issue/PR number and brief topic).
 5. ISSUES: issues they opened or closed.
@@ -343,168 +92,430 @@ Also note:
 - ${ticketPattern ? `Ticket references (${ticketPattern} patterns from commit messages or PR titles)` : 'Any ticket references from commit messages or PR titles'}
 - Dominant repo if one has significantly more activity
 - Any membership changes
+- Any MISMATCH lines from TICKET LINKS, verbatim
 
 Output ONLY the structured data — no commentary, no formatting instructions. Keep it concise but complete. Use plain text, not markdown.`;
 
-  const res = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${openrouterApiKey}`,
-    },
-    body: JSON.stringify({
-      model: 'google/gemini-2.5-flash',
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 2500,
-    }),
-  });
+  return llm.complete('preprocess', prompt, { maxTokens: 2500 });
+}
 
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(`OpenRouter error: ${res.status} — ${body}`);
-  }
+// --- Map-reduce: condense a day too large for one prompt (see prompt-utils) ---
+
+function condensePrompt(section, text, labels, words) {
+  return `You are condensing one slice of a large GitHub activity log so it fits into a later summary prompt. This slice covers: ${labels.join(', ')}.
 
-  const json = await res.json();
-  return json.choices?.[0]?.message?.content?.trim() || '';
+${text}
+
+TASK: Rewrite this slice as plain-text notes of at most ${words} words, grouped by person:
+- Keep every person, repo, branch, PR number with its state and URL, review verdict, release tag and ticket ID
+- Fold routine commits into one line per person, repo and branch, with the commit count and the themes
+- Keep what PR DETAILS and COMMIT DETAILS say changed, in a few words per PR
+- Don't add anything that isn't in the data
+
+Output ONLY the notes — no commentary, no markdown.`;
+}
+
+function mergePrompt(section, text, words) {
+  return `You are merging notes on a team's GitHub activity, condensed separately for different repos, into one set of notes.
+
+${text}
+
+TASK: Merge these into plain-text notes of at most ${words} words, grouped by person — combine each person's entries across repos, keep PR numbers, URLs, review verdicts, ticket IDs and counts, and drop nothing notable.
+
+Output ONLY the notes — no commentary, no markdown.`;
 }
 
 // --- Final LLM call: generate Slack message ---
 
-function generateSlackSummary(structuredData, isPreprocessed) {
-  const today = new Date().toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
-  const ticketPattern = CONFIG.ticketPattern || '';
-  const llmCommand = CONFIG.llmCommand || 'claude -p -';
+// "Daily Dev Summary — Monday, October 19", or for a window spanning several days
+// "Dev Summary — Friday, October 16 – Monday, October 19 (weekend catch-up)"
+function summaryTitle(team, span) {
+  return span.multiDay
+    ? `Dev Summary${teamSuffix(team)} — ${span.heading} (${span.note})`
+    : `Daily Dev Summary${teamSuffix(team)} — ${span.heading}`;
+}
 
-  // Load context if available
-  const contextPath = path.join(SCRIPT_DIR, 'context.md');
-  const context = fs.existsSync(contextPath) ? fs.readFileSync(contextPath, 'utf8') : '';
+// Tells the LLM a catch-up window is one summary, not one per day
+function spanInstruction(span) {
+  return span.multiDay
+    ? `\nThis is one combined ${span.note} summary covering ${span.heading} — summarize the whole span together, not day by day.\n`
+    : '';
+}
 
+// `context` is the team's context.md, cut to its share of the prompt budget
+async function generateSlackSummary(structuredData, isPreprocessed, team, span, context) {
+  const ticketPattern = team.ticketPattern || '';
   const contextBlock = context ? `\nPROJECT CONTEXT:\n${context}\n` : '';
   const dataLabel = isPreprocessed ? 'ORGANIZED ACTIVITY DATA' : 'RAW ACTIVITY DATA';
 
-  const prompt = `You are a dev activity summarizer. Generate a Slack daily summary from this ${isPreprocessed ? 'pre-organized' : 'raw'} data.
+  const prompt = `You are a dev activity summarizer. Generate a Slack ${span.multiDay ? span.note : 'daily'} summary from this ${isPreprocessed ? 'pre-organized' : 'raw'} data.
 ${contextBlock}
-Date: ${today}
-
+${span.multiDay ? 'Period' : 'Date'}: ${span.heading}
+${spanInstruction(span)}
 ${dataLabel}:
 ${structuredData}
 
 FORMAT RULES:
 - Use Slack mrkdwn (*bold*, _italic_, \`code\`)
 - For links use Slack format: <URL|display text>
-- Start with: *Daily Dev Summary — ${today}*
+- Start with: *${summaryTitle(team, span)}*
 - Group by person — under each person, show a short bullet list of all their activity (commits, PRs, reviews, comments, issues, releases, branches)
 - For commits: summarize into one bullet per repo with commit count in parentheses. Include branch name as a clickable compare link (<https://github.com/ORG/REPO/compare/main...BRANCH|branch>)
 - If most commits are in one dominant repo, note it once at top (_Most activity in <repo_url|repo>_) and only label bullets for other repos
 - For PRs: show state (opened, merged, closed). Link PR number: <pr_url|repo #number>. Split into *New PRs* vs *Open PRs* if both exist, otherwise just *PRs:*
+- Say what actually changed, not just the title — use PR DETAILS and COMMIT DETAILS (directories touched, descriptions, issues closed) where they add something. Mention size only for unusually large PRs
 - For reviews: mention what they reviewed and the verdict (approved, changes requested)
 - For comments: briefly note what they commented on (don't quote full comments)
 - For issues: show opened/closed status
 - For releases: show tag and release name
 - For branches: mention created/deleted
 - For membership changes: note who was added/removed
-${ticketPattern ? `- Add *Tickets mentioned:* if any ${ticketPattern} patterns appear` : ''}
-- End with a *Notable:* line — one sentence on the main theme of the day
+- If a BUILD HEALTH section is present, add *Build health:* — anything RED NOW first (workflow, for how long, failing jobs, the first failing commit and who pushed it, linked to the run), then red spells that were fixed, flaky runs and the latest deployment per environment. One "all green" line when nothing failed
+${ticketPattern ? `- Add *Tickets mentioned:* if any ${ticketPattern} patterns appear — if a TICKET LINKS section is present, give each ticket's status and linked PRs, and flag every MISMATCH with :warning:` : ''}
+- End with a *Notable:* line — one sentence on the main theme of the ${span.multiDay ? 'period' : 'day'}
 - Omit sections that would be empty
 - Output ONLY the Slack message — no code blocks, no explanation, no prefix/suffix`;
 
-  try {
-    return execSync(llmCommand, {
-      input: prompt,
-      encoding: 'utf8',
-      timeout: 120000,
-    }).trim();
-  } catch (e) {
-    throw new Error(`LLM failed (${llmCommand}): ${e.message}`);
-  }
+  return llm.complete('summary', prompt);
+}
+
+// --- Final LLM call: structured summary rendered as Block Kit (summaryFormat "blocks") ---
+
+async function generateStructuredSummary(structuredData, isPreprocessed, team, span, context) {
+  const ticketPattern = team.ticketPattern || '';
+
+  const contextBlock = context ? `\nPROJECT CONTEXT:\n${context}\n` : '';
+  const dataLabel = isPreprocessed ? 'ORGANIZED ACTIVITY DATA' : 'RAW ACTIVITY DATA';
+
+  const prompt = `You are a dev activity summarizer. Summarize this ${isPreprocessed ? 'pre-organized' : 'raw'} data for a Slack ${span.multiDay ? span.note : 'daily'} summary.
+${contextBlock}${spanInstruction(span)}
+${dataLabel}:
+${structuredData}
+
+CONTENT RULES:
+- One entry in "people" per person (use display names), most active first
+- "commits": one entry per repo+branch with the commit count and one short sentence on what changed
+- "prs": PRs they opened, merged or closed, or that are still open — repo name and PR number exactly as in the data
+- Describe what actually changed, not just titles — PR DETAILS and COMMIT DETAILS list the directories touched, descriptions and the issues a PR closes
+- "reviews": PRs they reviewed with the verdict
+- "other": short bullets for comments (what they commented on, not full quotes), issues opened/closed, releases (tag and name), branches created/deleted, membership changes
+${ticketPattern ? `- "tickets": identifiers matching ${ticketPattern} from commit messages or PR titles` : '- "tickets": ticket identifiers from commit messages or PR titles, if any'}
+- "notable": one sentence on the main theme of the ${span.multiDay ? 'period' : 'day'} — a branch that was red for hours counts
+- Build health (BUILD HEALTH) is rendered separately from the data — don't repeat it in "people"
+- Omit arrays that would be empty`;
+
+  return completeStructured(llm, 'summary', prompt, GIT_SUMMARY_SCHEMA, { log });
 }
 
+// --- Final LLM call: retrospective for --period=week|sprint|month ---
+
+async function generateRetroSummary(structuredData, isPreprocessed, trends, window, team, context) {
+  const ticketPattern = team.ticketPattern || '';
+
+  const contextBlock = context ? `\nPROJECT CONTEXT:\n${context}\n` : '';
+  const dataLabel = isPreprocessed ? 'ORGANIZED ACTIVITY DATA' : 'RAW ACTIVITY DATA';
+
+  const prompt = `You are a dev team retrospective writer. Generate a Slack ${window.title.toLowerCase()} retrospective from these computed trends and ${isPreprocessed ? 'pre-organized' : 'raw'} activity data.
+${contextBlock}
+Period: ${window.label}
+
+TRENDS (computed — quote these numbers as given, do not recount):
+${trends}
+
+${dataLabel} (this period only):
+${structuredData}
+
+FORMAT RULES:
+- Use Slack mrkdwn (*bold*, _italic_, \`code\`)
+- For links use Slack format: <URL|display text>
+- Start with: *${window.title} Dev Retro${teamSuffix(team)} — ${window.label}*
+- *Throughput:* PRs opened, PRs merged, commits, reviews — each with its change vs the previous period, e.g. "PRs merged: 14 (+3)"
+- *Merge latency:* median time from PR open to merge, compared with the previous period
+- *Reviews & size:* time to first review, the slowest review turnarounds, PR size and merge rate from PR METRICS — call out anything that moved a lot
+- *Build health:* time spent red, failure streaks, flaky runs and failed deployments from BUILD HEALTH, if present
+- *Busiest repos:* top 3-5 repos with their numbers and changes
+- *People:* one bullet per person — what they shipped (themes, key merged PRs as <pr_url|repo #number>) followed by their numbers with changes
+- *Went well:* and *Watch out:* — 1-3 bullets each, grounded in the trends (e.g. merges slowing down, reviews concentrated on one person, a repo going quiet)
+${ticketPattern ? `- Add *Tickets shipped:* if any ${ticketPattern} patterns appear in merged PRs` : ''}
+- Omit sections that would be empty
+- Output ONLY the Slack message — no code blocks, no explanation, no prefix/suffix`;
+
+  return llm.complete('summary', prompt);
+}
+
+
 // --- Main ---
 
-async function main() {
-  const webhookUrl = CONFIG.slackWebhookUrl;
+// One team's summary: collect, summarize, post. Throws on failure so other teams still run.
+async function summarizeTeam(team, client) {
+  const webhookUrl = team.slackWebhookUrl;
   if (!dryRun && (!webhookUrl || webhookUrl.includes('XXXXX'))) {
-    log('ERROR: slackWebhookUrl not configured');
-    process.exit(1);
+    throw new Error('slackWebhookUrl not configured');
+  }
+
+  // Period mode covers the current window plus the previous one, for deltas.
+  // Sprints follow the team's first Linear team's cycles when Linear is configured.
+  let window = null;
+  if (period) {
+    let cycles = null;
+    const [cycleTeamId] = linearTeamIds(team);
+    if (period === 'sprint' && process.env.LINEAR_API_KEY && cycleTeamId) {
+      try {
+        cycles = await fetchCycles(process.env.LINEAR_API_KEY, cycleTeamId);
+      } catch (e) {
+        log(`Linear cycle lookup failed (non-fatal): ${e.message}`);
+      }
+    }
+    if (period === 'sprint' && !cycles?.current) log('No active Linear cycle — using a 14-day sprint window');
+    window = resolvePeriod(period, { cycles });
+    log(`${window.title} retro: ${window.label}`);
   }
 
+  // Daily runs pick up where the last successful post left off (see cursor-utils); retros use their period
+  const timeZone = teamTimezone(team);
+  const cursors = openCursors(STORE_DIR);
+  const key = cursorKey('git-summary', team);
+  let span = null;
+  let collection = null;
+  if (!window) {
+    collection = resolveWindow({
+      since: sinceArg,
+      hours: lookbackHours,
+      cursor: cursors.get(key),
+      catchUp,
+      maxHours: team.maxLookbackHours,
+      timeZone,
+    });
+    if (holdForWeekend(team, collection, { cursors, key, timeZone, dryRun, log })) {
+      log('Weekend — holding activity for the Monday catch-up summary (weekendCatchUp)');
+      return;
+    }
+    span = describeWindow(collection, timeZone, { catchUp });
+    log(`Collecting from ${collection.from.toISOString()} (${collection.source}${span.multiDay ? `, ${span.note}` : ''})`);
+  }
+
+  // Advance the cursor only once the window is accounted for — posted, or found empty
+  const advanceCursor = () => {
+    if (dryRun || !collection) return;
+    try {
+      cursors.set(key, collection.to.toISOString());
+    } catch (e) {
+      log(`Cursor write failed (non-fatal): ${e.message}`);
+    }
+  };
+
+  const since = window ? window.previous.from.toISOString() : collection.from.toISOString();
+
   // Step 1: Collect all GitHub data
-  const data = collectGitData();
+  const filter = createActivityFilter(team.filters);
+  const collected = await collectGitData(client, {
+    org: team.org,
+    extraRepos: team.extraRepos || [],
+    repoFilter: team.repos ? teamRepoMatcher(team) : null,
+    filter,
+    since,
+    builds: team.collectBuilds !== false,
+    concurrency: team.githubConcurrency || 6,
+    log,
+  });
+
+  // Persist for the bot's Q&A — also on dry runs, since the bot collects via --dry-run
+  try {
+    const store = openActivityStore(STORE_DIR, { retentionDays: CONFIG.storeRetentionDays });
+    const added = recordGitData(store, collected);
+    log(`Activity store: ${added} new records in ${STORE_DIR}`);
+  } catch (e) {
+    log(`Activity store write failed (non-fatal): ${e.message}`);
+  }
+
+  const data = window ? filterGitData(collected, window.current) : collected;
+  // From all collected runs — the ones before the window place the start of a red streak
+  const health = buildHealth(collected, window ? window.current : collection);
 
   const totalActivity = data.commits.length + data.prs.length + data.reviews.length
     + data.comments.length + data.issues.length + data.releases.length
-    + data.branchEvents.length + data.memberEvents.length;
+    + data.branchEvents.length + data.memberEvents.length
+    + health.streaks.length + health.deployments.length;
 
   if (totalActivity === 0) {
     log('No activity found. Skipping summary.');
-    process.exit(0);
+    advanceCursor();
+    return;
+  }
+
+  const authorMap = team.authorMap || {};
+
+  // Join commits and PRs to the Linear tickets they reference (ticketPattern)
+  const ticketLinks = await buildTicketLinks(data, {
+    pattern: team.ticketPattern,
+    apiKey: process.env.LINEAR_API_KEY,
+    log,
+  });
+  if (ticketLinks.length > 0) {
+    const mismatched = ticketLinks.filter((t) => t.mismatches.length > 0).length;
+    log(`Linked activity to ${ticketLinks.length} tickets (${mismatched} with status mismatches)`);
   }
 
-  const authorMap = CONFIG.authorMap || {};
-  const rawData = formatRawData(data, authorMap);
+  const detailOptions = { detailTokens: team.prDetailTokens };
+  const extras = [];
+  if (ticketLinks.length > 0) {
+    extras.push(`TICKET LINKS (GitHub activity per ticket, current ticket status, mismatches):\n${formatTicketLinks(ticketLinks)}`);
+  }
+  if (hasBuildHealth(health)) {
+    extras.push(formatBuildHealth(health, authorMap));
+  }
 
-  // Step 2: Gemini Flash pre-processing (optional — only if OPENROUTER_API_KEY is set)
-  const openrouterApiKey = process.env.OPENROUTER_API_KEY;
+  let trends = '';
+  if (window) {
+    trends = formatGitTrends(
+      computeGitStats(collected, window.current, authorMap),
+      computeGitStats(collected, window.previous, authorMap),
+    );
+    trends += `\n\n${formatMetrics(
+      computeMetrics({ gitData: collected, range: window.current, authorMap }),
+      computeMetrics({ gitData: collected, range: window.previous, authorMap }),
+    )}`;
+  }
+
+  // Fit everything into the prompt budget — activity too large is condensed per repo first
+  const fitted = await fitPrompt([
+    { name: 'context', text: readContext(team, SCRIPT_DIR), weight: 1 },
+    { name: 'trends', text: trends, fixed: true },
+    { name: 'activity', text: formatRawData(data, authorMap, detailOptions), weight: 4, groups: () => formatRawDataByRepo(data, authorMap, detailOptions) },
+    { name: 'ticket links and build health', text: extras.join('\n\n'), weight: 1 },
+  ], {
+    budget: promptBudget(team),
+    llm,
+    stage: llm.hasStage('preprocess') ? 'preprocess' : 'summary',
+    mapPrompt: condensePrompt,
+    reducePrompt: mergePrompt,
+    log,
+  });
+  const rawData = [fitted.texts.activity, fitted.texts['ticket links and build health']].filter(Boolean).join('\n\n');
+
+  // Step 2: pre-processing (optional — only if a preprocess provider is usable, e.g. OPENROUTER_API_KEY is set)
+  // Condensed activity is already organized by person, so it skips this step
   let structuredData = rawData;
-  let isPreprocessed = false;
+  let isPreprocessed = fitted.compressed.includes('activity');
 
-  if (openrouterApiKey) {
-    log('Running Gemini Flash pre-processing...');
+  if (isPreprocessed) {
+    log('Activity was condensed to fit the prompt — skipping pre-processing');
+  } else if (llm.hasStage('preprocess')) {
+    log(`Running pre-processing (${llm.describe('preprocess')})...`);
     try {
-      const result = await preprocessWithGemini(openrouterApiKey, rawData, authorMap);
+      const result = await preprocessData(rawData, team);
       if (result) {
         structuredData = result;
         isPreprocessed = true;
       } else {
-        log('Gemini returned empty result, using raw data...');
+        log('Pre-processing returned empty result, using raw data...');
       }
     } catch (e) {
-      log(`Gemini pre-processing failed: ${e.message}`);
+      log(`Pre-processing failed: ${e.message}`);
       log('Falling back to raw data...');
     }
   } else {
-    log('No OPENROUTER_API_KEY — skipping Gemini pre-processing, using raw data...');
+    log('No preprocess provider available — skipping pre-processing, using raw data...');
   }
 
-  // Step 3: Final LLM — polished Slack message
-  const llmCommand = CONFIG.llmCommand || 'claude -p -';
-  log(`Running LLM summary (${llmCommand})...`);
-  const summary = generateSlackSummary(structuredData, isPreprocessed);
+  // Step 3: Final LLM — polished Slack message. Daily summaries are rendered as
+  // Block Kit from structured JSON unless summaryFormat is "text"; retros stay mrkdwn.
+  log(`Running LLM summary (${llm.describe('summary')})...`);
+  let message = null;
+  if (window) {
+    message = { text: await generateRetroSummary(structuredData, isPreprocessed, trends, window, team, fitted.texts.context) };
+  } else if (team.summaryFormat !== 'text') {
+    const structured = await generateStructuredSummary(structuredData, isPreprocessed, team, span, fitted.texts.context);
+    if (structured) {
+      message = renderGitSummary(structured, data, {
+        title: summaryTitle(team, span),
+        ticketUrl: team.linearOrg ? (id) => `https://linear.app/${team.linearOrg}/issue/${id}` : null,
+        ticketLinks,
+        linearOrg: team.linearOrg || 'your-org',
+        buildHealth: hasBuildHealth(health) ? health : null,
+        authorMap,
+      });
+    } else {
+      log('No valid structured summary — falling back to mrkdwn text');
+    }
+  }
+  if (!message) message = { text: await generateSlackSummary(structuredData, isPreprocessed, team, span, fitted.texts.context) };
 
-  if (!summary) {
-    log('ERROR: Empty summary from LLM');
-    process.exit(1);
+  if (!message.text) {
+    throw new Error('Empty summary from LLM');
   }
 
   if (dryRun) {
     log('DRY RUN — would post to Slack:');
     console.log('---');
-    console.log(summary);
+    console.log(message.text);
     console.log('---');
     console.log('');
+    if (message.blocks) {
+      console.log('Block Kit payload:');
+      console.log(JSON.stringify(message.blocks, null, 2));
+      console.log('');
+    }
     if (isPreprocessed) {
-      console.log('Gemini structured data:');
+      console.log('Pre-processed structured data:');
       console.log(structuredData);
       console.log('');
     }
-    console.log(`Raw: ${data.commits.length} commits, ${data.prs.length} PRs, ${data.reviews.length} reviews, ${data.comments.length} comments, ${data.issues.length} issues, ${data.releases.length} releases, ${data.branchEvents.length} branch events, ${data.memberEvents.length} membership`);
-    process.exit(0);
+    if (ticketLinks.length > 0) {
+      console.log('Ticket links:');
+      console.log(formatTicketLinks(ticketLinks));
+      console.log('');
+    }
+    if (trends) {
+      console.log('Trends:');
+      console.log(trends);
+      console.log('');
+    }
+    console.log(`Raw: ${data.commits.length} commits, ${data.prs.length} PRs, ${data.reviews.length} reviews, ${data.comments.length} comments, ${data.issues.length} issues, ${data.releases.length} releases, ${data.branchEvents.length} branch events, ${data.memberEvents.length} membership, ${data.workflowRuns.length} workflow runs, ${data.deployments.length} deployments`);
+    console.log(`Filtered out: ${filter.summary() || 'nothing'}`);
+    return;
   }
 
   // Post to Slack
-  const payload = JSON.stringify({ text: summary });
+  const payload = JSON.stringify(message);
   const res = await fetch(webhookUrl, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: payload,
   });
 
-  if (res.ok) {
-    log('Posted to Slack successfully');
-  } else {
-    log(`ERROR: Slack returned HTTP ${res.status}`);
+  if (!res.ok) {
+    throw new Error(`Slack returned HTTP ${res.status}`);
+  }
+  log('Posted to Slack successfully');
+  advanceCursor();
+}
+
+async function main() {
+  const teams = selectTeams(resolveTeams(CONFIG), teamName);
+
+  const token = resolveGitHubToken();
+  if (!token) {
+    log('ERROR: no GitHub token — set GITHUB_TOKEN or run gh auth login');
     process.exit(1);
   }
+
+  const client = createGitHubClient({
+    token,
+    baseUrl: process.env.GITHUB_API_URL || CONFIG.githubApiUrl,
+  });
+
+  let failed = 0;
+  for (const team of teams) {
+    if (team.multi) log(`=== Team ${team.name} ===`);
+    try {
+      await summarizeTeam(team, client);
+    } catch (e) {
+      log(`ERROR${teamSuffix(team)}: ${e.message}`);
+      failed++;
+    }
+  }
+  process.exit(failed > 0 ? 1 : 0);
 }
 
 main().catch((e) => {
@@ -0,0 +1,152 @@
+const { execSync } = require('child_process');
+
+const DEFAULT_BASE_URL = 'https://api.github.com';
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Resolve a GitHub token from GITHUB_TOKEN / GH_TOKEN, falling back to
+ * `gh auth token` so setups that only ran `gh auth login` keep working.
+ */
+function resolveGitHubToken() {
+  const envToken = process.env.GITHUB_TOKEN || process.env.GH_TOKEN;
+  if (envToken) return envToken;
+  try {
+    return execSync('gh auth token', { encoding: 'utf8', timeout: 10000, stdio: ['ignore', 'pipe', 'ignore'] }).trim();
+  } catch {
+    return '';
+  }
+}
+
+function parseNextLink(linkHeader) {
+  if (!linkHeader) return null;
+  for (const part of linkHeader.split(',')) {
+    const match = part.match(/<([^>]+)>\s*;\s*rel="next"/);
+    if (match) return match[1];
+  }
+  return null;
+}
+
+/**
+ * Create a small GitHub REST + GraphQL client on top of fetch.
+ * baseUrl can point at GitHub Enterprise (https://host/api/v3) or a local mock server.
+ * Retries back off from retryDelayMs, doubling each attempt.
+ * Returns { request, get, paginate, graphql }.
+ */
+function createGitHubClient({ token, baseUrl = DEFAULT_BASE_URL, timeoutMs = 30000, maxRetries = 2, retryDelayMs = 1000 } = {}) {
+  const root = baseUrl.replace(/\/+$/, '');
+  const graphqlUrl = /\/api\/v3$/.test(root)
+    ? root.replace(/\/api\/v3$/, '/api/graphql')
+    : `${root}/graphql`;
+
+  const buildUrl = (pathOrUrl, params) => {
+    const url = new URL(/^https?:\/\//.test(pathOrUrl) ? pathOrUrl : `${root}/${pathOrUrl.replace(/^\/+/, '')}`);
+    for (const [key, val] of Object.entries(params || {})) {
+      if (val !== undefined && val !== null && val !== '') url.searchParams.set(key, String(val));
+    }
+    return url.toString();
+  };
+
+  // Retries network errors, timeouts, 5xx, 429 and exhausted rate limits, honouring
+  // retry-after / x-ratelimit-reset
+  async function request(pathOrUrl, { method = 'GET', params, body } = {}) {
+    const url = buildUrl(pathOrUrl, params);
+    const headers = {
+      'Accept': 'application/vnd.github+json',
+      'X-GitHub-Api-Version': '2022-11-28',
+      'User-Agent': 'slack-dev-bot',
+    };
+    if (token) headers['Authorization'] = `Bearer ${token}`;
+    if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+    for (let attempt = 0; ; attempt++) {
+      let res;
+      let text;
+      try {
+        res = await fetch(url, {
+          method,
+          headers,
+          body: body !== undefined ? JSON.stringify(body) : undefined,
+          signal: AbortSignal.timeout(timeoutMs),
+        });
+        text = await res.text();
+      } catch (e) {
+        // A reset connection, a DNS hiccup or a timeout is as transient as a 502
+        if (attempt < maxRetries) {
+          await sleep(retryDelayMs * 2 ** attempt);
+          continue;
+        }
+        const reason = e.name === 'TimeoutError' ? `timed out after ${timeoutMs}ms` : (e.cause?.code || e.cause?.message || e.message);
+        throw new Error(`GitHub API request failed: ${method} ${pathOrUrl} — ${reason}`);
+      }
+
+      if (res.ok) {
+        return { data: text ? JSON.parse(text) : null, headers: res.headers, status: res.status };
+      }
+
+      const rateLimited = res.status === 403 && res.headers.get('x-ratelimit-remaining') === '0';
+      if (attempt < maxRetries && (RETRY_STATUSES.has(res.status) || rateLimited)) {
+        const retryAfter = parseInt(res.headers.get('retry-after') || '', 10);
+        const resetAt = parseInt(res.headers.get('x-ratelimit-reset') || '', 10);
+        let waitMs = retryDelayMs * 2 ** attempt;
+        if (retryAfter) waitMs = retryAfter * 1000;
+        else if (rateLimited && resetAt) waitMs = Math.max(0, resetAt * 1000 - Date.now());
+        await sleep(Math.min(waitMs, 60000));
+        continue;
+      }
+
+      throw new Error(`GitHub API error: ${res.status} ${method} ${pathOrUrl} — ${text.slice(0, 200)}`);
+    }
+  }
+
+  async function get(path, params) {
+    return (await request(path, { params })).data;
+  }
+
+  // Follows Link rel="next" until exhausted or maxPages is reached. `key` names the list in
+  // endpoints that wrap it in an object ({ total_count, workflow_runs: [...] })
+  async function paginate(path, params = {}, { maxPages = Infinity, key = null } = {}) {
+    const items = [];
+    let next = buildUrl(path, { per_page: 100, ...params });
+    for (let page = 0; next && page < maxPages; page++) {
+      const { data, headers } = await request(next);
+      const list = key ? data?.[key] : data;
+      if (Array.isArray(list)) items.push(...list);
+      next = parseNextLink(headers.get('link'));
+    }
+    return items;
+  }
+
+  async function graphql(query, variables = {}) {
+    const { data } = await request(graphqlUrl, { method: 'POST', body: { query, variables } });
+    if (data?.errors) {
+      throw new Error(`GitHub GraphQL errors: ${JSON.stringify(data.errors)}`);
+    }
+    return data?.data;
+  }
+
+  return { request, get, paginate, graphql };
+}
+
+/**
+ * Run fn over items with at most `limit` calls in flight.
+ * Results keep the input order.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const i = nextIndex++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+module.exports = { createGitHubClient, resolveGitHubToken, mapWithConcurrency };
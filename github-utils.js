@@ -0,0 +1,951 @@
+const { mapWithConcurrency } = require('./github-client');
+const { FAILED_CONCLUSIONS } = require('./build-utils');
+const { estimateTokens } = require('./prompt-utils');
+
+const PR_QUERY = `
+  query($owner: String!, $name: String!, $cursor: String) {
+    repository(owner: $owner, name: $name) {
+      pullRequests(first: 50, after: $cursor, orderBy: { field: UPDATED_AT, direction: DESC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          title
+          body
+          headRefName
+          state
+          isDraft
+          createdAt
+          mergedAt
+          closedAt
+          updatedAt
+          additions
+          deletions
+          changedFiles
+          author { login }
+          labels(first: 20) { nodes { name } }
+          closingIssuesReferences(first: 10) {
+            nodes { number title url repository { nameWithOwner } }
+          }
+          files(first: 100) {
+            nodes { path additions deletions }
+          }
+          reviews(first: 100) {
+            nodes {
+              author { login }
+              state
+              submittedAt
+            }
+          }
+          timelineItems(itemTypes: [REVIEW_REQUESTED_EVENT], first: 50) {
+            nodes {
+              ... on ReviewRequestedEvent {
+                createdAt
+                requestedReviewer { ... on User { login } }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Open PRs with everything needed to judge whether they're stuck
+const OPEN_PR_QUERY = `
+  query($owner: String!, $name: String!, $cursor: String) {
+    repository(owner: $owner, name: $name) {
+      pullRequests(first: 50, after: $cursor, states: OPEN, orderBy: { field: CREATED_AT, direction: ASC }) {
+        pageInfo { hasNextPage endCursor }
+        nodes {
+          number
+          title
+          url
+          isDraft
+          createdAt
+          updatedAt
+          author { login }
+          reviewRequests(first: 20) {
+            nodes {
+              requestedReviewer {
+                ... on User { login }
+                ... on Team { slug }
+              }
+            }
+          }
+          timelineItems(itemTypes: [REVIEW_REQUESTED_EVENT, READY_FOR_REVIEW_EVENT], last: 50) {
+            nodes {
+              __typename
+              ... on ReviewRequestedEvent {
+                createdAt
+                requestedReviewer {
+                  ... on User { login }
+                  ... on Team { slug }
+                }
+              }
+              ... on ReadyForReviewEvent { createdAt }
+            }
+          }
+          reviews(last: 20) {
+            nodes {
+              author { login }
+              state
+              submittedAt
+            }
+          }
+          commits(last: 1) {
+            nodes {
+              commit {
+                committedDate
+                statusCheckRollup { state }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+function emptyData() {
+  return {
+    commits: [],
+    prs: [],
+    reviews: [],
+    comments: [],
+    issues: [],
+    releases: [],
+    branchEvents: [],
+    memberEvents: [],
+    workflowRuns: [],
+    deployments: [],
+  };
+}
+
+const HOUR_MS = 60 * 60 * 1000;
+// Runs from this long before the window are collected too, so a red streak that began before it has its real start
+const RUN_LEAD_IN_HOURS = 24;
+// Jobs are looked up for at most this many failed or retried runs per repo, newest first
+const MAX_JOB_LOOKUPS = 10;
+// Pages of 100 workflow runs per repo — enough for a busy default branch over a retro window
+const MAX_RUN_PAGES = 10;
+// Statuses are looked up for at most this many recently updated deployments per repo, newest first
+const MAX_DEPLOYMENT_LOOKUPS = 30;
+
+// Commit bodies and PR descriptions are stored up to this long; formatRawData trims them further
+const COMMIT_BODY_CHARS = 1000;
+const PR_BODY_CHARS = 1000;
+// Sign-offs and co-author lines say nothing about the change
+const TRAILER_RE = /^[A-Za-z-]+-by: /;
+
+// Swallow per-call failures the way the old gh wrapper did, but say so in the log
+async function safe(fn, fallback, log, label) {
+  try {
+    return await fn();
+  } catch (e) {
+    log(`  ${label} failed: ${e.message}`);
+    return fallback;
+  }
+}
+
+async function fetchPullRequests(client, fullRepo, since) {
+  const [owner, name] = fullRepo.split('/');
+  const prs = [];
+  let cursor = null;
+
+  // Ordered by updatedAt only to know when to stop paging: anything created,
+  // merged or closed in the window was necessarily updated in it too.
+  for (;;) {
+    const result = await client.graphql(PR_QUERY, { owner, name, cursor });
+    const conn = result?.repository?.pullRequests;
+    if (!conn) break;
+    prs.push(...conn.nodes);
+
+    const last = conn.nodes[conn.nodes.length - 1];
+    if (!conn.pageInfo.hasNextPage || !last || last.updatedAt < since) break;
+    cursor = conn.pageInfo.endCursor;
+  }
+  return prs;
+}
+
+/**
+ * A commit message split into its subject line and body, with trailers such as
+ * Signed-off-by and Co-authored-by dropped from the body.
+ */
+function splitCommitMessage(text) {
+  const [subject, ...rest] = (text || '').split('\n');
+  const body = rest
+    .filter((line) => !TRAILER_RE.test(line.trim()))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+  return { message: subject.trim(), body: body.slice(0, COMMIT_BODY_CHARS) };
+}
+
+/**
+ * Logins @-mentioned anywhere in a comment, lower-cased. Comments are stored as their first
+ * line, so mentions are picked out of the full text here. Team mentions (@org/team) and
+ * email addresses don't count.
+ */
+function mentionedLogins(text) {
+  const logins = new Set();
+  for (const m of (text || '').matchAll(/(?:^|[^\w`/])@([a-z\d][a-z\d-]{0,38})(?![\w/-])/gi)) logins.add(m[1].toLowerCase());
+  return [...logins];
+}
+
+// Linked issues a PR closes, as "#12" for its own repo and "org/repo#12" for others
+function linkedIssues(pr, fullRepo) {
+  return (pr.closingIssuesReferences?.nodes || []).map((issue) => {
+    const repo = issue.repository?.nameWithOwner || fullRepo;
+    return {
+      ref: repo === fullRepo ? `#${issue.number}` : `${repo}#${issue.number}`,
+      title: issue.title || '',
+      url: issue.url || `https://github.com/${repo}/issues/${issue.number}`,
+    };
+  });
+}
+
+// Review timing for the metrics: the first review from someone other than the author, and for
+// each review request, when that reviewer next reviewed
+function reviewTiming(pr) {
+  const author = pr.author?.login;
+  const reviews = (pr.reviews?.nodes || [])
+    .filter((r) => r.state !== 'PENDING' && r.submittedAt && r.author?.login && r.author.login !== author)
+    .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+  const reviewTurnarounds = [];
+  for (const event of pr.timelineItems?.nodes || []) {
+    const reviewer = event.requestedReviewer?.login;
+    if (!reviewer || !event.createdAt) continue;
+    const review = reviews.find((r) => r.author.login === reviewer && r.submittedAt >= event.createdAt);
+    if (review) reviewTurnarounds.push({ reviewer, requestedAt: event.createdAt, reviewedAt: review.submittedAt });
+  }
+  return { firstReviewAt: reviews[0]?.submittedAt || null, reviewTurnarounds };
+}
+
+// Failed jobs of a run (or of one of its earlier attempts), with the first failing step of each
+async function failedJobs(client, fullRepo, runId, attempt = null) {
+  const path = attempt
+    ? `repos/${fullRepo}/actions/runs/${runId}/attempts/${attempt}/jobs`
+    : `repos/${fullRepo}/actions/runs/${runId}/jobs`;
+  const res = await client.get(path, { per_page: 100 });
+  return (res?.jobs || [])
+    .filter((job) => FAILED_CONCLUSIONS.has(job.conclusion))
+    .map((job) => ({
+      name: job.name,
+      step: (job.steps || []).find((step) => FAILED_CONCLUSIONS.has(step.conclusion))?.name || null,
+      url: job.html_url,
+    }));
+}
+
+/**
+ * GitHub Actions runs on the repo's default branch since `since` (plus a lead-in), and
+ * deployments created or given a new status since then, with their latest status. Failed runs
+ * get their failing jobs; runs that passed on a re-run get the jobs that failed on the attempt before.
+ */
+async function scanBuilds(client, fullRepo, since, log) {
+  const repoName = fullRepo.split('/').pop();
+  const workflowRuns = [];
+  const deployments = [];
+
+  const info = await safe(() => client.get(`repos/${fullRepo}`), null, log, `${fullRepo} repo info`);
+  const defaultBranch = info?.default_branch;
+  if (defaultBranch) {
+    const leadIn = new Date(Date.parse(since) - RUN_LEAD_IN_HOURS * HOUR_MS).toISOString();
+    const runs = await safe(
+      () => client.paginate(`repos/${fullRepo}/actions/runs`, { branch: defaultBranch, created: `>=${leadIn}` }, { maxPages: MAX_RUN_PAGES, key: 'workflow_runs' }),
+      [], log, `${fullRepo} workflow runs`,
+    );
+    if (runs.length >= MAX_RUN_PAGES * 100) log(`${fullRepo}: more than ${runs.length} workflow runs — the oldest are left out`);
+    for (const run of runs) {
+      workflowRuns.push({
+        repo: repoName,
+        fullRepo,
+        id: run.id,
+        workflow: run.name || run.path || 'workflow',
+        branch: run.head_branch || defaultBranch,
+        event: run.event,
+        status: run.status,
+        conclusion: run.conclusion,
+        attempt: run.run_attempt || 1,
+        headSha: run.head_sha,
+        commitMessage: (run.head_commit?.message || '').split('\n')[0],
+        actor: run.triggering_actor?.login || run.actor?.login || 'unknown',
+        createdAt: run.created_at,
+        updatedAt: run.updated_at,
+        url: run.html_url,
+        failedJobs: [],
+        retriedJobs: [],
+      });
+    }
+
+    // Newest first, so the lookups go to what's most likely still red
+    const lookups = workflowRuns
+      .filter((run) => FAILED_CONCLUSIONS.has(run.conclusion) || (run.conclusion === 'success' && run.attempt > 1))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, MAX_JOB_LOOKUPS);
+    for (const run of lookups) {
+      if (run.conclusion === 'success') {
+        const jobs = await safe(() => failedJobs(client, fullRepo, run.id, run.attempt - 1), [], log, `${fullRepo} run ${run.id} attempt ${run.attempt - 1} jobs`);
+        run.retriedJobs = jobs.map((job) => job.name);
+      } else {
+        run.failedJobs = await safe(() => failedJobs(client, fullRepo, run.id), [], log, `${fullRepo} run ${run.id} jobs`);
+      }
+    }
+  }
+
+  // A new status bumps the deployment's updated_at, so an older production deployment that
+  // failed or went inactive in the window is found too; the status time decides
+  const recent = (await safe(
+    () => client.get(`repos/${fullRepo}/deployments`, { per_page: 100 }),
+    [], log, `${fullRepo} deployments`,
+  ) || []).filter((d) => (d.updated_at || d.created_at) >= since).slice(0, MAX_DEPLOYMENT_LOOKUPS);
+  for (const d of recent) {
+    const [status] = await safe(
+      () => client.get(`repos/${fullRepo}/deployments/${d.id}/statuses`, { per_page: 1 }),
+      [], log, `${fullRepo} deployment ${d.id} statuses`,
+    ) || [];
+    if (d.created_at < since && !(status?.created_at >= since)) continue;
+    deployments.push({
+      repo: repoName,
+      fullRepo,
+      id: d.id,
+      environment: d.environment,
+      ref: d.ref,
+      sha: d.sha,
+      creator: d.creator?.login || 'unknown',
+      createdAt: d.created_at,
+      // error, failure, inactive, in_progress, queued, pending, success — or pending with no status yet
+      state: status?.state || 'pending',
+      statusAt: status?.created_at || null,
+      description: status?.description || d.description || '',
+      url: status?.log_url || status?.target_url || status?.environment_url || null,
+    });
+  }
+
+  return { workflowRuns, deployments };
+}
+
+async function scanRepo(client, fullRepo, since, filter, log, { builds = true } = {}) {
+  const repoName = fullRepo.split('/').pop();
+  const data = emptyData();
+  log(`Scanning ${fullRepo}...`);
+
+  const branches = await safe(
+    () => client.paginate(`repos/${fullRepo}/branches`),
+    [], log, `${fullRepo} branches`,
+  );
+
+  if (branches.length === 0) {
+    log(`  No branches in ${fullRepo}, skipping`);
+    return data;
+  }
+
+  // 1. Commits from all branches (or the ones the filter allows), deduplicated by SHA
+  const seenSHAs = new Set();
+  for (const { name: branch } of branches) {
+    if (filter && !filter.branch(branch)) continue;
+    const commits = await safe(
+      () => client.paginate(`repos/${fullRepo}/commits`, { since, sha: branch }),
+      [], log, `${fullRepo}@${branch} commits`,
+    );
+
+    for (const c of commits) {
+      if (!c.sha || seenSHAs.has(c.sha)) continue;
+      seenSHAs.add(c.sha);
+      data.commits.push({
+        repo: repoName,
+        fullRepo,
+        sha: c.sha,
+        author: c.author?.login || c.commit?.author?.name || 'unknown',
+        branch,
+        ...splitCommitMessage(c.commit?.message),
+        merge: (c.parents?.length || 0) > 1,
+        date: c.commit?.committer?.date || c.commit?.author?.date || '',
+        url: `https://github.com/${fullRepo}/commit/${c.sha}`,
+      });
+    }
+  }
+
+  // 2. PRs with reviews (created, merged, or closed in window)
+  // Don't use updatedAt — bots (CI, Vercel, etc.) bump it constantly
+  const prs = await safe(() => fetchPullRequests(client, fullRepo, since), [], log, `${fullRepo} PRs`);
+  for (const pr of prs) {
+    const inWindow = pr.createdAt >= since
+      || (pr.mergedAt && pr.mergedAt >= since)
+      || (pr.closedAt && pr.closedAt >= since);
+    if (!inWindow) continue;
+
+    data.prs.push({
+      repo: repoName,
+      fullRepo,
+      number: pr.number,
+      title: pr.title,
+      author: pr.author?.login || 'unknown',
+      state: pr.state,
+      branch: pr.headRefName || '',
+      isDraft: Boolean(pr.isDraft),
+      body: (pr.body || '').slice(0, PR_BODY_CHARS),
+      createdAt: pr.createdAt?.slice(0, 10) || '',
+      mergedAt: pr.mergedAt?.slice(0, 10) || '',
+      closedAt: pr.closedAt?.slice(0, 10) || '',
+      // Full timestamps for latency math; the fields above are day-granular for display
+      times: { createdAt: pr.createdAt, mergedAt: pr.mergedAt, closedAt: pr.closedAt },
+      additions: pr.additions ?? null,
+      deletions: pr.deletions ?? null,
+      changedFiles: pr.changedFiles ?? null,
+      // The first 100 changed files; changedFiles has the full count
+      files: (pr.files?.nodes || []).map((f) => ({ path: f.path, additions: f.additions, deletions: f.deletions })),
+      labels: (pr.labels?.nodes || []).map((l) => l.name),
+      linkedIssues: linkedIssues(pr, fullRepo),
+      ...reviewTiming(pr),
+      url: `https://github.com/${fullRepo}/pull/${pr.number}`,
+    });
+
+    // Extract reviews submitted in the time window
+    for (const review of (pr.reviews?.nodes || [])) {
+      if (review.submittedAt >= since && review.state !== 'PENDING') {
+        data.reviews.push({
+          repo: repoName,
+          fullRepo,
+          prNumber: pr.number,
+          prTitle: pr.title,
+          reviewer: review.author?.login || 'unknown',
+          state: review.state,
+          submittedAt: review.submittedAt,
+        });
+      }
+    }
+  }
+
+  // 3. Issue and PR comments (general discussion comments)
+  const issueComments = await safe(
+    () => client.paginate(`repos/${fullRepo}/issues/comments`, { since }),
+    [], log, `${fullRepo} issue comments`,
+  );
+  for (const c of issueComments) {
+    const num = c.issue_url?.match(/\/(\d+)$/)?.[1];
+    data.comments.push({
+      repo: repoName,
+      fullRepo,
+      author: c.user?.login || 'unknown',
+      issueNumber: num || '?',
+      body: (c.body || '').split('\n')[0].slice(0, 120),
+      mentions: mentionedLogins(c.body),
+      createdAt: c.created_at,
+      url: c.html_url || '',
+    });
+  }
+
+  // 4. PR review comments (inline code review comments)
+  const reviewComments = await safe(
+    () => client.paginate(`repos/${fullRepo}/pulls/comments`, { since }),
+    [], log, `${fullRepo} review comments`,
+  );
+  for (const c of reviewComments) {
+    const prNum = c.pull_request_url?.match(/\/(\d+)$/)?.[1];
+    data.comments.push({
+      repo: repoName,
+      fullRepo,
+      author: c.user?.login || 'unknown',
+      issueNumber: prNum || '?',
+      body: (c.body || '').split('\n')[0].slice(0, 120),
+      mentions: mentionedLogins(c.body),
+      createdAt: c.created_at,
+      url: c.html_url || '',
+      isReviewComment: true,
+    });
+  }
+
+  // 5. Issues (exclude PRs — they have pull_request key)
+  const issues = await safe(
+    () => client.paginate(`repos/${fullRepo}/issues`, { since, state: 'all' }),
+    [], log, `${fullRepo} issues`,
+  );
+  for (const issue of issues) {
+    if (issue.pull_request) continue;
+    data.issues.push({
+      repo: repoName,
+      fullRepo,
+      number: issue.number,
+      title: issue.title,
+      author: issue.user?.login || 'unknown',
+      state: issue.state,
+      createdAt: issue.created_at?.slice(0, 10) || '',
+      updatedAt: issue.updated_at || null,
+      closedAt: issue.closed_at || null,
+      url: issue.html_url,
+    });
+  }
+
+  // 6. Releases
+  const releases = await safe(
+    () => client.get(`repos/${fullRepo}/releases`, { per_page: 10 }),
+    [], log, `${fullRepo} releases`,
+  );
+  for (const rel of releases || []) {
+    if (rel.published_at >= since) {
+      data.releases.push({
+        repo: repoName,
+        fullRepo,
+        tag: rel.tag_name,
+        name: rel.name || rel.tag_name,
+        author: rel.author?.login || 'unknown',
+        publishedAt: rel.published_at?.slice(0, 10) || '',
+        url: rel.html_url,
+      });
+    }
+  }
+
+  // 7. CI runs on the default branch and deployments
+  if (builds) Object.assign(data, await scanBuilds(client, fullRepo, since, log));
+
+  return data;
+}
+
+/**
+ * Full names ("org/repo") of every repo in the org, plus extraRepos.
+ * repoFilter, when given, is a predicate on the full name (e.g. a team's teamRepoMatcher);
+ * `filter` (createActivityFilter) then drops archived, forked and excluded repos.
+ */
+async function listRepos(client, { org, extraRepos = [], repoFilter = null, filter = null, log = () => {} }) {
+  const orgRepos = (await safe(
+    () => client.paginate(`orgs/${org}/repos`),
+    [], log, `${org} repo list`,
+  )).map((r) => ({ fullName: `${org}/${r.name}`, archived: r.archived, fork: r.fork }));
+  return [...orgRepos, ...extraRepos.map((fullName) => ({ fullName, extra: true }))]
+    .filter((r) => !repoFilter || repoFilter(r.fullName))
+    .filter((r) => !filter || filter.repo(r))
+    .map((r) => r.fullName);
+}
+
+/**
+ * Collect GitHub activity for every repo in the org (plus extraRepos) since an ISO timestamp.
+ * Repos are scanned concurrently, at most `concurrency` at a time.
+ * With a `filter` (createActivityFilter), filtered repos and branches aren't scanned and
+ * bot activity and merge commits are dropped; filter.counts has what was left out.
+ * With `builds` (the default), default-branch workflow runs and deployments are collected too.
+ * Returns { commits, prs, reviews, comments, issues, releases, branchEvents, memberEvents, workflowRuns, deployments }.
+ */
+async function collectGitData(client, { org, extraRepos = [], repoFilter = null, filter = null, since, builds = true, concurrency = 6, log = () => {} }) {
+  const allRepos = await listRepos(client, { org, extraRepos, repoFilter, filter, log });
+  log(`Found ${allRepos.length} repos to scan`);
+
+  const perRepo = await mapWithConcurrency(allRepos, concurrency, (fullRepo) => scanRepo(client, fullRepo, since, filter, log, { builds }));
+
+  // Merge in repo order so output is stable regardless of which scan finished first
+  let data = emptyData();
+  const seenSHAs = new Set();
+  for (const repoData of perRepo) {
+    for (const c of repoData.commits) {
+      if (seenSHAs.has(c.sha)) continue;
+      seenSHAs.add(c.sha);
+      data.commits.push(c);
+    }
+    for (const key of ['prs', 'reviews', 'comments', 'issues', 'releases', 'workflowRuns', 'deployments']) {
+      data[key].push(...repoData[key]);
+    }
+  }
+
+  // 8. Org events — branch create/delete and membership changes
+  log('Fetching org events...');
+  const events = await safe(
+    () => client.get(`orgs/${org}/events`, { per_page: 100 }),
+    [], log, `${org} events`,
+  );
+  for (const ev of events || []) {
+    if (ev.created_at < since) continue;
+    if (repoFilter && !repoFilter(ev.repo?.name || '')) continue;
+    // Archived, forked and excluded repos stay out of the events too
+    if (filter && !allRepos.includes(ev.repo?.name)) continue;
+    const fullRepo = ev.repo?.name || '';
+    const repoName = ev.repo?.name?.replace(`${org}/`, '') || '';
+
+    if (ev.type === 'CreateEvent' && ev.payload?.ref_type === 'branch') {
+      data.branchEvents.push({
+        repo: repoName,
+        fullRepo,
+        author: ev.actor?.login || 'unknown',
+        action: 'created',
+        branch: ev.payload.ref,
+        createdAt: ev.created_at,
+      });
+    } else if (ev.type === 'DeleteEvent' && ev.payload?.ref_type === 'branch') {
+      data.branchEvents.push({
+        repo: repoName,
+        fullRepo,
+        author: ev.actor?.login || 'unknown',
+        action: 'deleted',
+        branch: ev.payload.ref,
+        createdAt: ev.created_at,
+      });
+    } else if (ev.type === 'MemberEvent') {
+      data.memberEvents.push({
+        repo: repoName,
+        fullRepo,
+        member: ev.payload?.member?.login || 'unknown',
+        action: ev.payload?.action || 'added',
+        actor: ev.actor?.login || 'unknown',
+        createdAt: ev.created_at,
+      });
+    }
+  }
+
+  // Deduplicate comments (issues/comments and pulls/comments can overlap)
+  const commentKeys = new Set();
+  data.comments = data.comments.filter((c) => {
+    const key = `${c.fullRepo || c.repo}:${c.author}:${c.issueNumber}:${c.createdAt}`;
+    if (commentKeys.has(key)) return false;
+    commentKeys.add(key);
+    return true;
+  });
+
+  if (filter) {
+    data = filter.apply(data);
+    const filtered = filter.summary();
+    if (filtered) log(`Filtered out: ${filtered}`);
+  }
+
+  log(`Collected: ${data.commits.length} commits, ${data.prs.length} PRs, ${data.reviews.length} reviews, ${data.comments.length} comments, ${data.issues.length} issues, ${data.releases.length} releases, ${data.branchEvents.length} branch events, ${data.memberEvents.length} membership changes, ${data.workflowRuns.length} workflow runs, ${data.deployments.length} deployments`);
+
+  return data;
+}
+
+// When each pending reviewer's wait started, keyed by login or `team:<slug>`: their latest
+// review request, or the PR leaving draft if that came later. Requesting another reviewer
+// doesn't restart anyone else's wait
+function reviewRequestTimes(pr, requested) {
+  const latest = new Map();
+  let readyAt = null;
+  for (const event of pr.timelineItems?.nodes || []) {
+    if (event.__typename === 'ReadyForReviewEvent') readyAt = event.createdAt;
+    const reviewer = event.requestedReviewer;
+    const key = reviewer?.login || (reviewer?.slug && `team:${reviewer.slug}`);
+    if (key) latest.set(key, event.createdAt);
+  }
+  const times = {};
+  for (const r of requested) {
+    const key = r.login || (r.slug && `team:${r.slug}`);
+    if (!key) continue;
+    const requestedAt = latest.get(key) || pr.createdAt;
+    times[key] = readyAt && readyAt > requestedAt ? readyAt : requestedAt;
+  }
+  return times;
+}
+
+function normalizeOpenPR(pr, fullRepo) {
+  const reviews = (pr.reviews?.nodes || [])
+    .filter((r) => r.state !== 'PENDING' && r.submittedAt)
+    .map((r) => ({ reviewer: r.author?.login || 'unknown', state: r.state, submittedAt: r.submittedAt }));
+  const requested = (pr.reviewRequests?.nodes || []).map((n) => n.requestedReviewer).filter(Boolean);
+  const lastCommit = pr.commits?.nodes?.[0]?.commit;
+
+  return {
+    repo: fullRepo.split('/').pop(),
+    fullRepo,
+    number: pr.number,
+    title: pr.title,
+    url: pr.url || `https://github.com/${fullRepo}/pull/${pr.number}`,
+    author: pr.author?.login || 'unknown',
+    isDraft: Boolean(pr.isDraft),
+    createdAt: pr.createdAt,
+    updatedAt: pr.updatedAt,
+    requestedReviewers: requested.filter((r) => r.login).map((r) => r.login),
+    requestedTeams: requested.filter((r) => r.slug).map((r) => r.slug),
+    reviewRequestTimes: reviewRequestTimes(pr, requested),
+    reviews,
+    // The author's replies in review threads are reviews too; they don't count as review activity
+    lastReviewAt: reviews.filter((r) => r.reviewer !== (pr.author?.login || 'unknown')).map((r) => r.submittedAt).sort().pop() || null,
+    lastCommitAt: lastCommit?.committedDate || null,
+    // SUCCESS, FAILURE, ERROR, PENDING, EXPECTED — null when the repo has no checks
+    ciState: lastCommit?.statusCheckRollup?.state || null,
+  };
+}
+
+/**
+ * Every open PR across the org (plus extraRepos), regardless of age, with requested
+ * reviewers, reviews so far and the CI state of the head commit.
+ * A `filter` (createActivityFilter) narrows the repos and drops bot-authored PRs, counted as botPRs.
+ */
+async function fetchOpenPullRequests(client, { org, extraRepos = [], repoFilter = null, filter = null, concurrency = 6, log = () => {} }) {
+  const allRepos = await listRepos(client, { org, extraRepos, repoFilter, filter, log });
+  log(`Checking open PRs in ${allRepos.length} repos`);
+
+  const perRepo = await mapWithConcurrency(allRepos, concurrency, async (fullRepo) => {
+    const [owner, name] = fullRepo.split('/');
+    const prs = [];
+    let cursor = null;
+    await safe(async () => {
+      for (;;) {
+        const result = await client.graphql(OPEN_PR_QUERY, { owner, name, cursor });
+        const conn = result?.repository?.pullRequests;
+        if (!conn) break;
+        prs.push(...conn.nodes.map((pr) => normalizeOpenPR(pr, fullRepo)));
+        if (!conn.pageInfo.hasNextPage) break;
+        cursor = conn.pageInfo.endCursor;
+      }
+    }, null, log, `${fullRepo} open PRs`);
+    return prs;
+  });
+
+  const found = perRepo.flat();
+  const prs = filter ? filter.openPRs(found) : found;
+  const dropped = found.length - prs.length;
+  log(`Found ${prs.length} open PRs${dropped > 0 ? ` (${dropped} bot PR${dropped === 1 ? '' : 's'} filtered out)` : ''}`);
+  return prs;
+}
+
+// Raw data spends about this many tokens on PR details and commit bodies unless told otherwise
+const DEFAULT_DETAIL_TOKENS = 6000;
+const DETAIL_BODY_CHARS = 400;
+const DETAIL_DIRS = 8;
+
+/**
+ * Description text without template comments, images and extra whitespace, cut to maxChars.
+ */
+function cleanBody(text, maxChars) {
+  const clean = (text || '')
+    .replace(/<!--[\s\S]*?(-->|$)/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return clean.length > maxChars ? `${clean.slice(0, maxChars).trimEnd()}…` : clean;
+}
+
+// Changed files grouped by top-level directory, busiest first: "src/ (5 files, +100/-20)"
+function directorySummary(files) {
+  const dirs = new Map();
+  for (const f of files) {
+    const dir = f.path.includes('/') ? `${f.path.split('/')[0]}/` : '(root)';
+    const entry = dirs.get(dir) || { dir, files: 0, additions: 0, deletions: 0 };
+    entry.files += 1;
+    entry.additions += f.additions || 0;
+    entry.deletions += f.deletions || 0;
+    dirs.set(dir, entry);
+  }
+  const sorted = [...dirs.values()].sort((a, b) => (b.additions + b.deletions) - (a.additions + a.deletions));
+  const shown = sorted.slice(0, DETAIL_DIRS).map((d) => `${d.dir} (${d.files} file${d.files === 1 ? '' : 's'}, +${d.additions}/-${d.deletions})`);
+  if (sorted.length > DETAIL_DIRS) shown.push(`${sorted.length - DETAIL_DIRS} more`);
+  return shown.join(', ');
+}
+
+// The short facts that ride along on a PR's line: size, draft, labels, linked issues
+function prFacts(pr) {
+  const facts = [];
+  if (pr.additions != null) facts.push(`+${pr.additions}/-${pr.deletions} in ${pr.changedFiles} file${pr.changedFiles === 1 ? '' : 's'}`);
+  if (pr.isDraft && !pr.mergedAt && !pr.closedAt) facts.push('draft');
+  if (pr.labels?.length) facts.push(`labels: ${pr.labels.join(', ')}`);
+  if (pr.linkedIssues?.length) facts.push(`closes ${pr.linkedIssues.map((i) => i.ref).join(', ')}`);
+  return facts.map((f) => ` | ${f}`).join('');
+}
+
+function prDetail(pr) {
+  const lines = [`[${pr.repo}] #${pr.number} ${pr.title}`];
+  if (pr.files?.length) {
+    const more = pr.changedFiles > pr.files.length ? ` (first ${pr.files.length} of ${pr.changedFiles} files)` : '';
+    lines.push(`  files: ${directorySummary(pr.files)}${more}`);
+  }
+  if (pr.linkedIssues?.length) lines.push(`  closes: ${pr.linkedIssues.map((i) => `${i.ref} ${i.title}`).join('; ')}`);
+  const body = cleanBody(pr.body, DETAIL_BODY_CHARS);
+  if (body) lines.push(`  description: ${body}`);
+  return lines.length > 1 ? lines.join('\n') : null;
+}
+
+// Merged PRs first, then open, drafts and closed ones — biggest change first within each
+function detailOrder(pr) {
+  if (pr.mergedAt) return 0;
+  if (pr.closedAt) return 3;
+  return pr.isDraft ? 2 : 1;
+}
+
+/**
+ * PR details (changed directories, linked issues, description) and commit message bodies,
+ * most significant first, until the token budget runs out. Returns '' when there's nothing to add.
+ */
+function formatDetails(data, budget) {
+  const prs = [...data.prs].sort((a, b) => detailOrder(a) - detailOrder(b)
+    || ((b.additions || 0) + (b.deletions || 0)) - ((a.additions || 0) + (a.deletions || 0)));
+  const prDetails = prs.map(prDetail).filter(Boolean);
+  const commitDetails = data.commits
+    .filter((c) => c.body && !c.merge)
+    .map((c) => `[${c.repo}] ${c.sha.slice(0, 7)} ${c.message}: ${cleanBody(c.body, DETAIL_BODY_CHARS)}`);
+  if (prDetails.length + commitDetails.length === 0 || budget <= 0) return '';
+
+  const lines = [];
+  let used = 0;
+  const add = (items, heading) => {
+    let added = 0;
+    for (const item of items) {
+      const cost = estimateTokens(item) + (added === 0 ? estimateTokens(heading) : 0);
+      if (used + cost > budget) break;
+      if (added === 0) lines.push(heading);
+      lines.push(item);
+      used += cost;
+      added += 1;
+    }
+    return items.length - added;
+  };
+  const prsLeft = add(prDetails, '\nPR DETAILS (what changed — merged and largest first):');
+  const commitsLeft = prsLeft > 0 ? commitDetails.length : add(commitDetails, '\nCOMMIT DETAILS (message bodies):');
+
+  if (prsLeft + commitsLeft > 0) {
+    const left = [prsLeft && `${prsLeft} more PR${prsLeft === 1 ? '' : 's'}`, commitsLeft && `${commitsLeft} more commit${commitsLeft === 1 ? '' : 's'}`].filter(Boolean);
+    lines.push(`(details for ${left.join(' and ')} left out to fit the ~${budget}-token budget)`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Format collected GitHub data into plain text for LLM consumption.
+ * authorMap maps GitHub logins to display names. Every record gets one line; PR details and
+ * commit bodies follow within `detailTokens` (estimated), 0 leaves them out.
+ */
+function formatRawData(data, authorMap = {}, { detailTokens = DEFAULT_DETAIL_TOKENS } = {}) {
+  const n = (author) => authorMap[author] || author;
+  const lines = [];
+
+  if (data.commits.length > 0) {
+    lines.push('COMMITS:');
+    for (const c of data.commits) {
+      lines.push(`[${c.repo}] ${n(c.author)} (${c.branch}): ${c.message} | ${c.url}`);
+    }
+  }
+
+  if (data.prs.length > 0) {
+    lines.push('\nPULL REQUESTS:');
+    for (const pr of data.prs) {
+      let status = pr.state;
+      if (pr.mergedAt) status = `MERGED ${pr.mergedAt}`;
+      else if (pr.closedAt) status = `CLOSED ${pr.closedAt}`;
+      lines.push(`[${pr.repo}] [${status}] #${pr.number} ${pr.title} by ${n(pr.author)} | created:${pr.createdAt}${prFacts(pr)} | ${pr.url}`);
+    }
+  }
+
+  if (data.reviews.length > 0) {
+    lines.push('\nPR REVIEWS:');
+    for (const r of data.reviews) {
+      lines.push(`[${r.repo}] PR #${r.prNumber}: ${n(r.reviewer)} → ${r.state}`);
+    }
+  }
+
+  if (data.comments.length > 0) {
+    lines.push('\nCOMMENTS:');
+    for (const c of data.comments) {
+      const type = c.isReviewComment ? 'code review on' : 'commented on';
+      lines.push(`[${c.repo}] ${n(c.author)} ${type} #${c.issueNumber}: ${c.body}`);
+    }
+  }
+
+  if (data.issues.length > 0) {
+    lines.push('\nISSUES:');
+    for (const i of data.issues) {
+      lines.push(`[${i.repo}] [${i.state}] #${i.number} ${i.title} by ${n(i.author)} | ${i.url}`);
+    }
+  }
+
+  if (data.releases.length > 0) {
+    lines.push('\nRELEASES:');
+    for (const r of data.releases) {
+      lines.push(`[${r.repo}] ${r.tag} "${r.name}" by ${n(r.author)} | ${r.publishedAt} | ${r.url}`);
+    }
+  }
+
+  if (data.branchEvents.length > 0) {
+    lines.push('\nBRANCH EVENTS:');
+    for (const b of data.branchEvents) {
+      lines.push(`[${b.repo}] ${n(b.author)} ${b.action} branch: ${b.branch}`);
+    }
+  }
+
+  if (data.memberEvents.length > 0) {
+    lines.push('\nMEMBERSHIP CHANGES:');
+    for (const m of data.memberEvents) {
+      lines.push(`[${m.repo}] ${n(m.member)} was ${m.action} by ${n(m.actor)}`);
+    }
+  }
+
+  const details = formatDetails(data, detailTokens);
+  if (details) lines.push(details);
+
+  return lines.join('\n');
+}
+
+/**
+ * formatRawData for each repo on its own, busiest first — the groups a prompt that's
+ * over budget is condensed in. Returns [{ label, text }] with the repo as label.
+ */
+function formatRawDataByRepo(data, authorMap = {}, options = {}) {
+  const counts = new Map();
+  for (const records of Object.values(data)) {
+    for (const r of records) {
+      const repo = r.fullRepo || r.repo;
+      if (repo) counts.set(repo, (counts.get(repo) || 0) + 1);
+    }
+  }
+  return [...counts.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([repo]) => ({ label: repo, text: formatRawData(filterGitDataByRepo(data, repo), authorMap, options) }));
+}
+
+/**
+ * Whether a GitHub login refers to `name` — matched against the login itself,
+ * the mapped display name, or the display name's first word (case-insensitive).
+ */
+function matchesGitPerson(login, name, authorMap = {}) {
+  if (!login || !name) return false;
+  const q = name.toLowerCase();
+  const display = (authorMap[login] || '').toLowerCase();
+  return login.toLowerCase() === q || display === q || display.split(/\s+/)[0] === q;
+}
+
+/**
+ * Keep only the collectGitData records involving one person.
+ */
+function filterGitDataByPerson(data, name, authorMap = {}) {
+  const is = (login) => matchesGitPerson(login, name, authorMap);
+  return {
+    commits: data.commits.filter((c) => is(c.author)),
+    prs: data.prs.filter((pr) => is(pr.author)),
+    reviews: data.reviews.filter((r) => is(r.reviewer)),
+    comments: data.comments.filter((c) => is(c.author)),
+    issues: data.issues.filter((i) => is(i.author)),
+    releases: data.releases.filter((r) => is(r.author)),
+    branchEvents: data.branchEvents.filter((b) => is(b.author)),
+    memberEvents: data.memberEvents.filter((m) => is(m.member) || is(m.actor)),
+    workflowRuns: (data.workflowRuns || []).filter((r) => is(r.actor)),
+    deployments: (data.deployments || []).filter((d) => is(d.creator)),
+  };
+}
+
+/**
+ * Keep only the collectGitData records for one repo (short name or owner/name).
+ */
+function filterGitDataByRepo(data, repo) {
+  const q = (repo || '').toLowerCase();
+  const is = (r) => (r.repo || '').toLowerCase() === q || (r.fullRepo || '').toLowerCase() === q;
+  return {
+    commits: data.commits.filter(is),
+    prs: data.prs.filter(is),
+    reviews: data.reviews.filter(is),
+    comments: data.comments.filter(is),
+    issues: data.issues.filter(is),
+    releases: data.releases.filter(is),
+    branchEvents: data.branchEvents.filter(is),
+    memberEvents: data.memberEvents.filter(is),
+    workflowRuns: (data.workflowRuns || []).filter(is),
+    deployments: (data.deployments || []).filter(is),
+  };
+}
+
+module.exports = {
+  emptyData,
+  splitCommitMessage,
+  mentionedLogins,
+  cleanBody,
+  listRepos,
+  collectGitData,
+  fetchOpenPullRequests,
+  formatRawData,
+  formatRawDataByRepo,
+  matchesGitPerson,
+  filterGitDataByPerson,
+  filterGitDataByRepo,
+};
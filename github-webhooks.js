@@ -0,0 +1,274 @@
+const crypto = require('crypto');
+const { emptyData, splitCommitMessage } = require('./github-utils');
+const { recordGitData } = require('./activity-store');
+
+const MAX_BODY_BYTES = 25 * 1024 * 1024; // GitHub caps deliveries at 25 MB
+
+/**
+ * Check an X-Hub-Signature-256 header ("sha256=<hex>") against the raw request body.
+ */
+function verifySignature(secret, rawBody, signatureHeader) {
+  if (!secret || !signatureHeader || !signatureHeader.startsWith('sha256=')) return false;
+  const expected = Buffer.from(`sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`);
+  const actual = Buffer.from(signatureHeader);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+const day = (iso) => iso?.slice(0, 10) || '';
+
+/**
+ * Turn one webhook delivery into collectGitData-shaped records.
+ * Events and actions that don't map to a record return empty data.
+ */
+function normalizeWebhookEvent(event, payload, receivedAt = new Date().toISOString()) {
+  const data = emptyData();
+  const fullRepo = payload.repository?.full_name || '';
+  const repoName = payload.repository?.name || fullRepo.split('/').pop() || '';
+  const sender = payload.sender?.login || 'unknown';
+
+  switch (event) {
+    case 'push': {
+      // Branch pushes only — tag pushes and branch deletions carry no new commits
+      if (!payload.ref?.startsWith('refs/heads/') || payload.deleted) break;
+      const branch = payload.ref.slice('refs/heads/'.length);
+      for (const c of payload.commits || []) {
+        data.commits.push({
+          repo: repoName,
+          fullRepo,
+          sha: c.id,
+          author: c.author?.username || c.author?.name || 'unknown',
+          branch,
+          ...splitCommitMessage(c.message),
+          date: c.timestamp || receivedAt,
+          url: c.url || `https://github.com/${fullRepo}/commit/${c.id}`,
+        });
+      }
+      break;
+    }
+
+    case 'pull_request': {
+      const pr = payload.pull_request;
+      if (!pr) break;
+      data.prs.push({
+        repo: repoName,
+        fullRepo,
+        number: pr.number,
+        title: pr.title,
+        author: pr.user?.login || 'unknown',
+        state: pr.merged_at ? 'MERGED' : (pr.state || 'open').toUpperCase(),
+        branch: pr.head?.ref || '',
+        isDraft: Boolean(pr.draft),
+        body: (pr.body || '').slice(0, 1000),
+        createdAt: day(pr.created_at),
+        mergedAt: day(pr.merged_at),
+        closedAt: day(pr.closed_at),
+        times: { createdAt: pr.created_at, mergedAt: pr.merged_at, closedAt: pr.closed_at },
+        additions: pr.additions ?? null,
+        deletions: pr.deletions ?? null,
+        changedFiles: pr.changed_files ?? null,
+        labels: (pr.labels || []).map((l) => l.name),
+        url: pr.html_url || `https://github.com/${fullRepo}/pull/${pr.number}`,
+      });
+      break;
+    }
+
+    case 'pull_request_review': {
+      const review = payload.review;
+      if (payload.action !== 'submitted' || !review?.submitted_at) break;
+      data.reviews.push({
+        repo: repoName,
+        fullRepo,
+        prNumber: payload.pull_request?.number,
+        prTitle: payload.pull_request?.title || '',
+        reviewer: review.user?.login || 'unknown',
+        // Webhooks send "approved"; GraphQL (and the rest of the store) uses "APPROVED"
+        state: (review.state || '').toUpperCase(),
+        submittedAt: review.submitted_at,
+      });
+      break;
+    }
+
+    case 'issues': {
+      const issue = payload.issue;
+      if (!issue || !['opened', 'closed', 'reopened', 'edited'].includes(payload.action)) break;
+      data.issues.push({
+        repo: repoName,
+        fullRepo,
+        number: issue.number,
+        title: issue.title,
+        author: issue.user?.login || 'unknown',
+        state: issue.state,
+        createdAt: day(issue.created_at),
+        updatedAt: issue.updated_at || receivedAt,
+        closedAt: issue.closed_at || null,
+        url: issue.html_url,
+      });
+      break;
+    }
+
+    case 'release': {
+      const rel = payload.release;
+      if (payload.action !== 'published' || !rel) break;
+      data.releases.push({
+        repo: repoName,
+        fullRepo,
+        tag: rel.tag_name,
+        name: rel.name || rel.tag_name,
+        author: rel.author?.login || 'unknown',
+        publishedAt: day(rel.published_at) || day(receivedAt),
+        url: rel.html_url,
+      });
+      break;
+    }
+
+    case 'workflow_run': {
+      // Default-branch runs only, like the collector. Failed jobs aren't in the payload — the next
+      // collection fills them in
+      const run = payload.workflow_run;
+      if (!run || run.head_branch !== payload.repository?.default_branch) break;
+      data.workflowRuns.push({
+        repo: repoName,
+        fullRepo,
+        id: run.id,
+        workflow: run.name || run.path || 'workflow',
+        branch: run.head_branch,
+        event: run.event,
+        status: run.status,
+        conclusion: run.conclusion,
+        attempt: run.run_attempt || 1,
+        headSha: run.head_sha,
+        commitMessage: (run.head_commit?.message || '').split('\n')[0],
+        actor: run.triggering_actor?.login || run.actor?.login || sender,
+        createdAt: run.created_at,
+        updatedAt: run.updated_at,
+        url: run.html_url,
+        failedJobs: [],
+        retriedJobs: [],
+      });
+      break;
+    }
+
+    case 'deployment_status': {
+      const d = payload.deployment;
+      const status = payload.deployment_status;
+      if (!d || !status) break;
+      data.deployments.push({
+        repo: repoName,
+        fullRepo,
+        id: d.id,
+        environment: d.environment,
+        ref: d.ref,
+        sha: d.sha,
+        creator: d.creator?.login || sender,
+        createdAt: d.created_at,
+        state: status.state,
+        statusAt: status.created_at || receivedAt,
+        description: status.description || d.description || '',
+        url: status.log_url || status.target_url || status.environment_url || null,
+      });
+      break;
+    }
+
+    case 'create':
+    case 'delete': {
+      if (payload.ref_type !== 'branch') break;
+      data.branchEvents.push({
+        repo: repoName,
+        fullRepo,
+        author: sender,
+        action: event === 'create' ? 'created' : 'deleted',
+        branch: payload.ref,
+        createdAt: receivedAt,
+      });
+      break;
+    }
+
+    default:
+      break;
+  }
+
+  return data;
+}
+
+/**
+ * HTTP request handler for GitHub webhook deliveries (POST only).
+ * Verifies the HMAC signature, normalizes the event and upserts it into the activity store.
+ * A `filter` (createActivityFilter) drops deliveries from filtered repos and bot/merge noise;
+ * `filterFor(fullName)` instead picks one per repo (the bot passes the owning team's).
+ * Answers 401 on a bad signature, 202 once the records are stored (or filtered out).
+ */
+function createWebhookHandler({ secret, store, filter = null, filterFor = () => filter, path: endpoint = '/github/webhook', log = () => {} }) {
+  return (req, res) => {
+    const reply = (status, text) => {
+      res.writeHead(status, { 'Content-Type': 'text/plain' });
+      res.end(text);
+    };
+
+    if (req.method !== 'POST' || req.url.split('?')[0] !== endpoint) {
+      reply(404, 'not found');
+      return;
+    }
+
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reply(413, 'payload too large');
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      if (res.writableEnded) return;
+      const rawBody = Buffer.concat(chunks);
+      const event = req.headers['x-github-event'];
+      const delivery = req.headers['x-github-delivery'] || '?';
+
+      if (!verifySignature(secret, rawBody, req.headers['x-hub-signature-256'])) {
+        log(`Webhook ${delivery}: bad signature, rejected`);
+        reply(401, 'bad signature');
+        return;
+      }
+      if (event === 'ping') {
+        reply(200, 'pong');
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(rawBody.toString('utf8'));
+      } catch (e) {
+        reply(400, 'invalid JSON');
+        return;
+      }
+
+      const repository = payload.repository;
+      const filter = filterFor(repository?.full_name || null);
+      if (filter && repository && !filter.repo({ fullName: repository.full_name, archived: repository.archived, fork: repository.fork })) {
+        log(`Webhook ${delivery}: ${event} from ${repository.full_name} — repo filtered out`);
+        reply(202, 'filtered');
+        return;
+      }
+
+      try {
+        const normalized = normalizeWebhookEvent(event, payload);
+        const data = filter ? filter.apply(normalized) : normalized;
+        const added = recordGitData(store, data);
+        log(`Webhook ${delivery}: ${event}${payload.action ? `.${payload.action}` : ''} from ${payload.repository?.full_name || '?'} — ${added} new records`);
+        reply(202, 'accepted');
+      } catch (e) {
+        log(`Webhook ${delivery}: failed to store ${event}: ${e.message}`);
+        reply(500, 'store error');
+      }
+    });
+  };
+}
+
+module.exports = {
+  verifySignature,
+  normalizeWebhookEvent,
+  createWebhookHandler,
+};
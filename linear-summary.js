@@ -1,26 +1,70 @@
 #!/usr/bin/env node
-const { execSync } = require('child_process');
 const fs = require('fs');
 const path = require('path');
-const { fetchLinearActivity, formatLinearData } = require('./linear-utils');
+const { createLLM } = require('./llm-provider');
+const { formatLinearData, formatLinearDataByAssignee, fetchCycles } = require('./linear-utils');
+const { openActivityStore, recordLinearData, queryGitData } = require('./activity-store');
+const { buildTicketLinks, formatTicketLinks } = require('./ticket-utils');
+const { LINEAR_SUMMARY_SCHEMA, completeStructured } = require('./summary-schema');
+const { renderLinearSummary } = require('./slack-blocks');
+const {
+  resolveTeams,
+  selectTeams,
+  teamSuffix,
+  linearTeamIds,
+  fetchTeamLinearActivity,
+  filterGitDataForTeam,
+} = require('./team-utils');
+const {
+  PERIODS,
+  resolvePeriod,
+  filterLinearData,
+  computeLinearStats,
+  formatLinearTrends,
+} = require('./period-utils');
+const { computeMetrics, formatMetrics } = require('./metrics-utils');
+const { promptBudget, fitPrompt } = require('./prompt-utils');
+const {
+  openCursors,
+  cursorKey,
+  teamTimezone,
+  holdForWeekend,
+  resolveWindow,
+  describeWindow,
+} = require('./cursor-utils');
 
 const SCRIPT_DIR = __dirname;
 const CONFIG = JSON.parse(fs.readFileSync(path.join(SCRIPT_DIR, 'config.json'), 'utf8'));
+const STORE_DIR = path.resolve(SCRIPT_DIR, CONFIG.dataDir || 'data');
 
 // Parse args
 let dryRun = false;
-let lookbackHours = 24;
+let lookbackHours = null;
+let sinceArg = null;
+let catchUp = false;
+let period = null;
+let teamName = null;
 
 for (const arg of process.argv.slice(2)) {
   if (arg === '--dry-run') dryRun = true;
+  if (arg === '--catch-up') catchUp = true;
   if (arg.startsWith('--hours=')) lookbackHours = parseInt(arg.split('=')[1], 10);
+  if (arg.startsWith('--since=')) sinceArg = arg.slice('--since='.length);
+  if (arg.startsWith('--period=')) period = arg.split('=')[1];
+  if (arg.startsWith('--team=')) teamName = arg.split('=')[1];
 }
 
 const log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`);
+const llm = createLLM(CONFIG, { log });
 
-// --- Gemini Flash via OpenRouter: pre-process raw Linear data (optional) ---
+if (period && !PERIODS[period]) {
+  log(`ERROR: unknown --period=${period} (use ${Object.keys(PERIODS).join(', ')})`);
+  process.exit(1);
+}
 
-async function preprocessWithGemini(openrouterApiKey, formattedData, authorMap) {
+// --- Pre-processing LLM stage: organize raw Linear data (optional) ---
+
+async function preprocessData(formattedData, authorMap) {
   const authorMapStr = Object.entries(authorMap).map(([k, v]) => `${k} → ${v}`).join(', ');
 
   const prompt = `You are a data organizer. Process this raw Linear ticket activity data into a structured summary.
@@ -34,52 +78,70 @@ TASK: Organize this data into a concise structured format grouped by ticket:
 2. If the ticket has comments/discussions, summarize the key points or decisions in 1-2 sentences. This is the most valuable part — discussions are easy to miss in Linear.
 3. Quote specific decisions or action items from comments if present.
 4. Separate new tickets (just created) from updated existing tickets.
-5. Note any status changes (e.g. moved from Todo to In Progress).
+5. Copy each ticket's status moves from TRANSITIONS exactly as listed (e.g. Todo → In Progress → In Review), with assignee/priority/estimate changes and every BACKWARDS flag. Don't infer moves that aren't listed.
 6. Identify main themes or patterns across all ticket activity.
 
 Output ONLY the structured data — no commentary, no formatting instructions. Keep it concise but preserve discussion details. Use plain text, not markdown.`;
 
-  const res = await fetch('https://openrouter.ai/api/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': `Bearer ${openrouterApiKey}`,
-    },
-    body: JSON.stringify({
-      model: 'google/gemini-2.5-flash',
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: 2000,
-    }),
-  });
+  return llm.complete('preprocess', prompt, { maxTokens: 2000 });
+}
 
-  if (!res.ok) {
-    const body = await res.text();
-    throw new Error(`OpenRouter error: ${res.status} — ${body}`);
-  }
+// --- Map-reduce: condense ticket activity too large for one prompt (see prompt-utils) ---
+
+function condensePrompt(section, text, labels, words) {
+  return `You are condensing one slice of a large Linear ticket activity log so it fits into a later summary prompt. This slice covers the tickets of: ${labels.join(', ')}.
+
+${text}
+
+TASK: Rewrite this slice as plain-text notes of at most ${words} words, grouped by ticket:
+- Keep every ticket's identifier, title, assignee and current status, and whether it's new
+- Copy status moves from TRANSITIONS exactly as listed, with every BACKWARDS flag
+- Keep the key points and decisions from comments in a sentence or two — they matter most
+- Don't add anything that isn't in the data
 
-  const json = await res.json();
-  return json.choices?.[0]?.message?.content?.trim() || '';
+Output ONLY the notes — no commentary, no markdown.`;
+}
+
+function mergePrompt(section, text, words) {
+  return `You are merging notes on a team's Linear ticket activity, condensed separately per assignee, into one set of notes.
+
+${text}
+
+TASK: Merge these into plain-text notes of at most ${words} words, grouped by ticket — keep identifiers, titles, assignees, statuses, status moves with BACKWARDS flags and the key discussion points, and drop nothing notable.
+
+Output ONLY the notes — no commentary, no markdown.`;
 }
 
 // --- Final LLM: Slack message ---
 
-function generateSlackSummary(structuredData, isPreprocessed) {
-  const today = new Date().toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
-  const llmCommand = CONFIG.llmCommand || 'claude -p -';
-  const linearOrg = CONFIG.linearOrg || 'your-org';
+// "Linear Activity — Monday, October 19", or for a window spanning several days
+// "Linear Activity — Friday, October 16 – Monday, October 19 (weekend catch-up)"
+function summaryTitle(team, span) {
+  return `Linear Activity${teamSuffix(team)} — ${span.heading}${span.multiDay ? ` (${span.note})` : ''}`;
+}
+
+// Tells the LLM a catch-up window is one summary, not one per day
+function spanInstruction(span) {
+  return span.multiDay
+    ? `\nThis is one combined ${span.note} summary covering ${span.heading} — summarize the whole span together, not day by day.\n`
+    : '';
+}
+
+async function generateSlackSummary(structuredData, isPreprocessed, team, span) {
+  const linearOrg = team.linearOrg || 'your-org';
   const dataLabel = isPreprocessed ? 'ORGANIZED LINEAR DATA' : 'RAW LINEAR DATA';
 
   const prompt = `You are a Linear ticket activity summarizer. Generate a concise Slack summary from this ${isPreprocessed ? 'pre-organized' : 'raw'} Linear data.
 
-Date: ${today}
-
+${span.multiDay ? 'Period' : 'Date'}: ${span.heading}
+${spanInstruction(span)}
 ${dataLabel}:
 ${structuredData}
 
 FORMAT RULES:
 - Use Slack mrkdwn (*bold*, _italic_, \`code\`)
 - For links use Slack format: <URL|display text>
-- Start with: *Linear Activity — ${today}*
+- Start with: *${summaryTitle(team, span)}*
 - Group by ticket (not by person — Linear is ticket-centric)
 - For each ticket line, format as: <linear_url|IDENTIFIER> — Title — *Assignee* \`Status\`
   - Assignee must be *bold* so it's immediately visible
@@ -87,121 +149,330 @@ FORMAT RULES:
 - Link ticket identifiers to Linear: <https://linear.app/${linearOrg}/issue/IDENTIFIER|IDENTIFIER>
 - Emphasize *comments and discussions* — these are the most valuable part (easy to miss in Linear)
 - Quote key discussion points or decisions from comments (keep brief)
+- If a ticket has TRANSITIONS, show its status path under its line exactly as listed (e.g. \`Todo\` → \`In Progress\` → \`In Review\`) — only report moves that are listed there
+- Flag every BACKWARDS move with :rewind: (e.g. ":rewind: moved back In Review → In Progress")
+- If LINKED GITHUB ACTIVITY is present, add each ticket's linked PRs (merged/open) under it and flag every MISMATCH with :warning:
 - Add a *Highlights:* section at the end — 1-2 sentences on the main themes or important discussions
 - Omit sections that would be empty
 - Output ONLY the Slack message — no code blocks, no explanation, no prefix/suffix`;
 
-  try {
-    return execSync(llmCommand, {
-      input: prompt,
-      encoding: 'utf8',
-      timeout: 120000,
-    }).trim();
-  } catch (e) {
-    throw new Error(`LLM failed (${llmCommand}): ${e.message}`);
-  }
+  return llm.complete('summary', prompt);
+}
+
+// --- Final LLM: structured summary rendered as Block Kit (summaryFormat "blocks") ---
+
+async function generateStructuredSummary(structuredData, isPreprocessed, span) {
+  const dataLabel = isPreprocessed ? 'ORGANIZED LINEAR DATA' : 'RAW LINEAR DATA';
+
+  const prompt = `You are a Linear ticket activity summarizer. Summarize this ${isPreprocessed ? 'pre-organized' : 'raw'} Linear data for a Slack ${span.multiDay ? span.note : 'daily'} summary.
+${spanInstruction(span)}
+${dataLabel}:
+${structuredData}
+
+CONTENT RULES:
+- One entry in "tickets" per ticket (Linear is ticket-centric, not person-centric), identifier exactly as in the data
+- "assignee": display name from the mapping, or "Unassigned"
+- "status": the current workflow state (e.g. Todo, In Progress, Done) — status moves are added from TRANSITIONS automatically, don't describe them
+- "isNew": true for tickets created in this window, false for updated existing tickets
+- "discussion": the key points or decisions from comments in 1-2 sentences — this is the most valuable part, discussions are easy to miss in Linear. Empty if there were no comments
+- "highlights": 1-2 sentences on the main themes or important discussions; mention tickets that moved BACKWARDS if any`;
+
+  return completeStructured(llm, 'summary', prompt, LINEAR_SUMMARY_SCHEMA, { log });
 }
 
+// --- Final LLM: retrospective for --period=week|sprint|month ---
+
+async function generateRetroSummary(structuredData, isPreprocessed, trends, window, team) {
+  const linearOrg = team.linearOrg || 'your-org';
+  const dataLabel = isPreprocessed ? 'ORGANIZED LINEAR DATA' : 'RAW LINEAR DATA';
+
+  const prompt = `You are a Linear ticket retrospective writer. Generate a Slack ${window.title.toLowerCase()} retrospective from these computed trends and ${isPreprocessed ? 'pre-organized' : 'raw'} Linear data.
+
+Period: ${window.label}
+
+TRENDS (computed — quote these numbers as given, do not recount):
+${trends}
+
+${dataLabel} (this period only):
+${structuredData}
+
+FORMAT RULES:
+- Use Slack mrkdwn (*bold*, _italic_, \`code\`)
+- For links use Slack format: <URL|display text>
+- Start with: *${window.title} Linear Retro${teamSuffix(team)} — ${window.label}*
+- *Throughput:* tickets created, tickets closed, comments — each with its change vs the previous period, e.g. "Closed: 18 (+4)"
+- *Lead time:* median and p90 time from created to done from LINEAR LEAD TIME, compared with the previous period
+- *Closed:* the most significant closed tickets as <https://linear.app/${linearOrg}/issue/IDENTIFIER|IDENTIFIER> — Title — *Assignee*
+- *Still open:* notable tickets still \`In Progress\` or \`In Review\` at the end of the period
+- *Bounced:* tickets with BACKWARDS moves in TRANSITIONS, with the move (e.g. In Review → In Progress)
+- *People:* one bullet per person with tickets closed and the change vs the previous period
+- *Discussions:* 1-3 key decisions or debates from comments
+- *Went well:* and *Watch out:* — 1-3 bullets each, grounded in the trends
+- Omit sections that would be empty
+- Output ONLY the Slack message — no code blocks, no explanation, no prefix/suffix`;
+
+  return llm.complete('summary', prompt);
+}
+
+
 // --- Main ---
 
-async function main() {
-  const apiKey = process.env.LINEAR_API_KEY;
-  if (!apiKey) {
-    log('ERROR: LINEAR_API_KEY not set');
-    process.exit(1);
+// One team's summary across its Linear teams. Throws on failure so other teams still run.
+async function summarizeTeam(team, apiKey) {
+  const teamIds = linearTeamIds(team);
+  if (teamIds.length === 0) {
+    log('No linearTeamId configured — skipping');
+    return;
   }
 
-  const teamId = CONFIG.linearTeamId;
-  if (!teamId) {
-    log('ERROR: linearTeamId not set in config.json');
-    process.exit(1);
+  const webhookUrl = team.linearSlackWebhookUrl;
+  if (!dryRun && !webhookUrl) {
+    throw new Error('linearSlackWebhookUrl not configured');
   }
 
-  const webhookUrl = CONFIG.linearSlackWebhookUrl;
-  if (!dryRun && !webhookUrl) {
-    log('ERROR: linearSlackWebhookUrl not set in config.json');
-    process.exit(1);
+  // Period mode covers the current window plus the previous one, for deltas.
+  // Sprints follow the current and previous cycles of the team's first Linear team.
+  let window = null;
+  if (period) {
+    let cycles = null;
+    if (period === 'sprint') {
+      try {
+        cycles = await fetchCycles(apiKey, teamIds[0]);
+      } catch (e) {
+        log(`Linear cycle lookup failed (non-fatal): ${e.message}`);
+      }
+      if (!cycles?.current) log('No active cycle — using a 14-day sprint window');
+    }
+    window = resolvePeriod(period, { cycles });
+    log(`${window.title} retro: ${window.label}`);
+  }
+
+  // Daily runs pick up where the last successful post left off (see cursor-utils); retros use their period
+  const timeZone = teamTimezone(team);
+  const cursors = openCursors(STORE_DIR);
+  const key = cursorKey('linear-summary', team);
+  let span = null;
+  let collection = null;
+  if (!window) {
+    collection = resolveWindow({
+      since: sinceArg,
+      hours: lookbackHours,
+      cursor: cursors.get(key),
+      catchUp,
+      maxHours: team.maxLookbackHours,
+      timeZone,
+    });
+    if (holdForWeekend(team, collection, { cursors, key, timeZone, dryRun, log })) {
+      log('Weekend — holding activity for the Monday catch-up summary (weekendCatchUp)');
+      return;
+    }
+    span = describeWindow(collection, timeZone, { catchUp });
   }
 
+  // Advance the cursor only once the window is accounted for — posted, or found empty
+  const advanceCursor = () => {
+    if (dryRun || !collection) return;
+    try {
+      cursors.set(key, collection.to.toISOString());
+    } catch (e) {
+      log(`Cursor write failed (non-fatal): ${e.message}`);
+    }
+  };
+
   // Step 1: Collect raw Linear data
-  log(`Fetching Linear activity for last ${lookbackHours}h...`);
-  const data = await fetchLinearActivity(apiKey, teamId, lookbackHours);
+  const hours = window
+    ? Math.ceil((Date.now() - window.previous.from.getTime()) / (60 * 60 * 1000))
+    : (Date.now() - collection.from.getTime()) / (60 * 60 * 1000);
+  log(window
+    ? `Fetching Linear activity for last ${hours}h...`
+    : `Fetching Linear activity since ${collection.from.toISOString()} (${collection.source}${span.multiDay ? `, ${span.note}` : ''})...`);
+  const collected = await fetchTeamLinearActivity(apiKey, team, hours, { commentLimit: window ? 200 : 20 });
+
+  let store = null;
+  try {
+    store = openActivityStore(STORE_DIR, { retentionDays: CONFIG.storeRetentionDays });
+    const added = recordLinearData(store, collected);
+    log(`Activity store: ${added} new records in ${STORE_DIR}`);
+  } catch (e) {
+    log(`Activity store write failed (non-fatal): ${e.message}`);
+  }
+
+  const data = window ? filterLinearData(collected, window.current) : collected;
 
   const totalIssues = data.newIssues.length + data.activeIssues.length;
   const totalComments = data.recentComments.length;
-  log(`Found ${data.newIssues.length} new issues, ${data.activeIssues.length} updated issues, ${totalComments} comments`);
+  log(`Found ${data.newIssues.length} new issues, ${data.activeIssues.length} updated issues, ${totalComments} comments, ${data.transitions.length} transitions`);
 
   if (totalIssues === 0 && totalComments === 0) {
     log('No Linear activity found. Skipping summary.');
-    process.exit(0);
+    advanceCursor();
+    return;
   }
 
-  const authorMap = CONFIG.linearAuthorMap || {};
-  const formattedData = formatLinearData(data, authorMap);
+  const authorMap = team.linearAuthorMap || {};
 
-  // Step 2: Gemini Flash pre-processing (optional)
-  const openrouterApiKey = process.env.OPENROUTER_API_KEY;
+  // GitHub activity referencing these tickets, from what git-summary.js stored for the same window
+  let ticketLinks = [];
+  if (store && team.ticketPattern) {
+    try {
+      const range = window ? window.current : { from: collection.from, to: new Date() };
+      const links = await buildTicketLinks(filterGitDataForTeam(queryGitData(store, range), team), {
+        pattern: team.ticketPattern,
+        issues: [...data.newIssues, ...data.activeIssues],
+        log,
+      });
+      ticketLinks = links.filter((t) => t.issue);
+      if (ticketLinks.length > 0) log(`Linked GitHub activity to ${ticketLinks.length} tickets`);
+    } catch (e) {
+      log(`Ticket linking failed (non-fatal): ${e.message}`);
+    }
+  }
+
+  const linkedText = ticketLinks.length > 0
+    ? `=== LINKED GITHUB ACTIVITY (commits/PRs referencing each ticket, mismatches) ===\n${formatTicketLinks(ticketLinks)}\n`
+    : '';
+
+  let trends = '';
+  if (window) {
+    trends = formatLinearTrends(
+      computeLinearStats(collected, window.current, authorMap),
+      computeLinearStats(collected, window.previous, authorMap),
+    );
+    trends += `\n\n${formatMetrics(
+      computeMetrics({ linearData: collected, range: window.current, linearAuthorMap: authorMap }),
+      computeMetrics({ linearData: collected, range: window.previous, linearAuthorMap: authorMap }),
+    )}`;
+  }
+
+  // Fit everything into the prompt budget — ticket activity too large is condensed per assignee first
+  const fitted = await fitPrompt([
+    { name: 'trends', text: trends, fixed: true },
+    { name: 'tickets', text: formatLinearData(data, authorMap), weight: 4, groups: () => formatLinearDataByAssignee(data, authorMap) },
+    { name: 'linked GitHub activity', text: linkedText, weight: 1 },
+  ], {
+    budget: promptBudget(team),
+    llm,
+    stage: llm.hasStage('preprocess') ? 'preprocess' : 'summary',
+    mapPrompt: condensePrompt,
+    reducePrompt: mergePrompt,
+    log,
+  });
+  const formattedData = [fitted.texts.tickets, fitted.texts['linked GitHub activity']].filter(Boolean).join('\n');
+
+  // Step 2: pre-processing (optional — only if a preprocess provider is usable, e.g. OPENROUTER_API_KEY is set)
+  // Condensed tickets are already organized, so they skip this step
   let structuredData = formattedData;
-  let isPreprocessed = false;
+  let isPreprocessed = fitted.compressed.includes('tickets');
 
-  if (openrouterApiKey) {
-    log('Running Gemini Flash pre-processing...');
+  if (isPreprocessed) {
+    log('Ticket activity was condensed to fit the prompt — skipping pre-processing');
+  } else if (llm.hasStage('preprocess')) {
+    log(`Running pre-processing (${llm.describe('preprocess')})...`);
     try {
-      const result = await preprocessWithGemini(openrouterApiKey, formattedData, authorMap);
+      const result = await preprocessData(formattedData, authorMap);
       if (result) {
         structuredData = result;
         isPreprocessed = true;
       } else {
-        log('Gemini returned empty result, using raw data...');
+        log('Pre-processing returned empty result, using raw data...');
       }
     } catch (e) {
-      log(`Gemini pre-processing failed: ${e.message}`);
+      log(`Pre-processing failed: ${e.message}`);
       log('Falling back to raw data...');
     }
   } else {
-    log('No OPENROUTER_API_KEY — skipping Gemini pre-processing...');
+    log('No preprocess provider available — skipping pre-processing...');
   }
 
-  // Step 3: Final LLM — polished Slack message
-  const llmCommand = CONFIG.llmCommand || 'claude -p -';
-  log(`Running LLM summary (${llmCommand})...`);
-  const summary = generateSlackSummary(structuredData, isPreprocessed);
+  // Step 3: Final LLM — polished Slack message. Daily summaries are rendered as
+  // Block Kit from structured JSON unless summaryFormat is "text"; retros stay mrkdwn.
+  log(`Running LLM summary (${llm.describe('summary')})...`);
+  let message = null;
+  if (window) {
+    message = { text: await generateRetroSummary(structuredData, isPreprocessed, trends, window, team) };
+  } else if (team.summaryFormat !== 'text') {
+    const structured = await generateStructuredSummary(structuredData, isPreprocessed, span);
+    if (structured) {
+      message = renderLinearSummary(structured, data, {
+        title: summaryTitle(team, span),
+        linearOrg: team.linearOrg || 'your-org',
+        ticketLinks,
+      });
+    } else {
+      log('No valid structured summary — falling back to mrkdwn text');
+    }
+  }
+  if (!message) message = { text: await generateSlackSummary(structuredData, isPreprocessed, team, span) };
 
-  if (!summary) {
-    log('ERROR: Empty summary from LLM');
-    process.exit(1);
+  if (!message.text) {
+    throw new Error('Empty summary from LLM');
   }
 
   if (dryRun) {
     log('DRY RUN — would post to Slack:');
     console.log('---');
-    console.log(summary);
+    console.log(message.text);
     console.log('---');
     console.log('');
+    if (message.blocks) {
+      console.log('Block Kit payload:');
+      console.log(JSON.stringify(message.blocks, null, 2));
+      console.log('');
+    }
     if (isPreprocessed) {
-      console.log('Gemini structured data:');
+      console.log('Pre-processed structured data:');
       console.log(structuredData);
       console.log('');
     }
+    if (trends) {
+      console.log('Trends:');
+      console.log(trends);
+      console.log('');
+    }
     console.log('Raw Linear data:');
     console.log(formattedData);
-    process.exit(0);
+    return;
   }
 
   // Post to Slack
-  const payload = JSON.stringify({ text: summary });
+  const payload = JSON.stringify(message);
   const res = await fetch(webhookUrl, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: payload,
   });
 
-  if (res.ok) {
-    log('Posted to Slack successfully');
-  } else {
-    log(`ERROR: Slack returned HTTP ${res.status}`);
+  if (!res.ok) {
+    throw new Error(`Slack returned HTTP ${res.status}`);
+  }
+  log('Posted to Slack successfully');
+  advanceCursor();
+}
+
+async function main() {
+  const apiKey = process.env.LINEAR_API_KEY;
+  if (!apiKey) {
+    log('ERROR: LINEAR_API_KEY not set');
     process.exit(1);
   }
+
+  const teams = selectTeams(resolveTeams(CONFIG), teamName);
+  if (!teams.some((team) => linearTeamIds(team).length > 0)) {
+    log('ERROR: linearTeamId not set in config.json');
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const team of teams) {
+    if (team.multi) log(`=== Team ${team.name} ===`);
+    try {
+      await summarizeTeam(team, apiKey);
+    } catch (e) {
+      log(`ERROR${teamSuffix(team)}: ${e.message}`);
+      failed++;
+    }
+  }
+  process.exit(failed > 0 ? 1 : 0);
 }
 
 main().catch((e) => {
@@ -2,31 +2,162 @@ const fs = require('fs');
 const path = require('path');
 
 const SCRIPT_DIR = __dirname;
+// 50 issues a page keeps comments + history under Linear's per-query complexity limit
+const ISSUE_PAGE_SIZE = 50;
+const MAX_ISSUE_PAGES = 20;
+// Busy tickets outgrow the first history page; follow up per issue, up to 500 entries
+const HISTORY_PAGE_SIZE = 50;
+const MAX_HISTORY_PAGES = 10;
+
+const PRIORITY_LABELS = ['No priority', 'Urgent', 'High', 'Medium', 'Low'];
+
+// Workflow progress by state type; within a type, the state's position orders the board columns
+const STATE_TYPE_RANK = { triage: 0, backlog: 1, unstarted: 2, started: 3, completed: 4, canceled: 4 };
+
+async function linearQuery(apiKey, query, variables) {
+  const res = await fetch('https://api.linear.app/graphql', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': apiKey,
+    },
+    body: JSON.stringify({ query, variables }),
+  });
+
+  if (!res.ok) {
+    throw new Error(`Linear API error: ${res.status} ${res.statusText}`);
+  }
+
+  const json = await res.json();
+  if (json.errors) {
+    throw new Error(`Linear GraphQL errors: ${JSON.stringify(json.errors)}`);
+  }
+  return json.data;
+}
+
+/**
+ * Map a Linear display name to a preferred short name (fuzzy, case-insensitive).
+ */
+function mapLinearName(name, authorMap = {}) {
+  if (!name) return 'Unassigned';
+  for (const [key, val] of Object.entries(authorMap)) {
+    if (name.toLowerCase().includes(key.toLowerCase()) || key.toLowerCase().includes(name.toLowerCase())) {
+      return val;
+    }
+  }
+  return name;
+}
+
+// A move to an earlier workflow state, e.g. In Review → In Progress or Done → Todo.
+// Cancelling isn't a step back, and neither is reviving a canceled ticket.
+function isBackwardsMove(from, to) {
+  if (!from || !to || from.type === 'canceled' || to.type === 'canceled') return false;
+  const fromRank = STATE_TYPE_RANK[from.type];
+  const toRank = STATE_TYPE_RANK[to.type];
+  if (fromRank === undefined || toRank === undefined) return false;
+  if (fromRank !== toRank) return toRank < fromRank;
+  return from.position != null && to.position != null && to.position < from.position;
+}
+
+/**
+ * Flatten an issue's history into transition records since `since`, oldest first:
+ * { issue, issueTitle, field: state|assignee|priority|estimate, from, to, backwards, actor, at }.
+ * Other edits (title, labels, ...) are skipped.
+ */
+function historyTransitions(issue, since) {
+  const sinceMs = new Date(since).getTime();
+  const transitions = [];
+  for (const h of issue.history?.nodes || []) {
+    if (new Date(h.createdAt).getTime() < sinceMs) continue;
+    const base = { issue: issue.identifier, issueTitle: issue.title, actor: h.actor?.displayName || h.actor?.name || 'Linear', at: h.createdAt };
+
+    if (h.toState && h.fromState?.name !== h.toState.name) {
+      transitions.push({ ...base, field: 'state', from: h.fromState?.name || null, to: h.toState.name, backwards: isBackwardsMove(h.fromState, h.toState) });
+    }
+    if ((h.fromAssigneeId || h.toAssigneeId) && h.fromAssigneeId !== h.toAssigneeId) {
+      transitions.push({ ...base, field: 'assignee', from: h.fromAssignee?.displayName || null, to: h.toAssignee?.displayName || null, backwards: false });
+    }
+    if ((h.fromPriority != null || h.toPriority != null) && h.fromPriority !== h.toPriority) {
+      transitions.push({ ...base, field: 'priority', from: PRIORITY_LABELS[h.fromPriority] || null, to: PRIORITY_LABELS[h.toPriority] || null, backwards: false });
+    }
+    if ((h.fromEstimate != null || h.toEstimate != null) && h.fromEstimate !== h.toEstimate) {
+      transitions.push({ ...base, field: 'estimate', from: h.fromEstimate ?? null, to: h.toEstimate ?? null, backwards: false });
+    }
+  }
+  return transitions.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+const HISTORY_FIELDS = `
+  createdAt
+  actor { name displayName }
+  fromState { name type position }
+  toState { name type position }
+  fromAssigneeId
+  toAssigneeId
+  fromAssignee { displayName }
+  toAssignee { displayName }
+  fromPriority
+  toPriority
+  fromEstimate
+  toEstimate
+`;
+
+/**
+ * Fetch the history pages after the first one the issue query returned, in place —
+ * otherwise a busy ticket loses the transitions past its first page.
+ */
+async function fetchRemainingHistory(apiKey, issue) {
+  const query = `
+    query($id: String!, $after: String) {
+      issue(id: $id) {
+        history(first: ${HISTORY_PAGE_SIZE}, after: $after) {
+          pageInfo { hasNextPage endCursor }
+          nodes { ${HISTORY_FIELDS} }
+        }
+      }
+    }
+  `;
+
+  let { pageInfo } = issue.history;
+  for (let page = 1; pageInfo?.hasNextPage && page < MAX_HISTORY_PAGES; page++) {
+    const data = await linearQuery(apiKey, query, { id: issue.id, after: pageInfo.endCursor });
+    const conn = data.issue.history;
+    issue.history.nodes.push(...conn.nodes);
+    pageInfo = conn.pageInfo;
+  }
+}
 
 /**
  * Fetch recent Linear activity for a team via GraphQL.
- * Returns { newIssues, activeIssues, recentComments }.
+ * Pages through up to 1000 issues updated in the window, with each issue's
+ * state/assignee/priority/estimate history (paged through for busy tickets).
+ * Returns { newIssues, activeIssues, recentComments, transitions }.
  */
-async function fetchLinearActivity(apiKey, teamId, sinceHours = 24) {
+async function fetchLinearActivity(apiKey, teamId, sinceHours = 24, { commentLimit = 20 } = {}) {
   const since = new Date(Date.now() - sinceHours * 60 * 60 * 1000).toISOString();
 
   const query = `
-    query($teamId: String!, $since: DateTimeOrDuration!) {
+    query($teamId: String!, $since: DateTimeOrDuration!, $after: String) {
       team(id: $teamId) {
         issues(
           filter: { updatedAt: { gte: $since } }
-          first: 100
+          first: ${ISSUE_PAGE_SIZE}
+          after: $after
           orderBy: updatedAt
         ) {
+          pageInfo { hasNextPage endCursor }
           nodes {
+            id
             identifier
             title
-            state { name }
+            team { id key }
+            state { name type }
             assignee { displayName }
             priority
             priorityLabel
             updatedAt
             createdAt
+            completedAt
             comments(
               filter: { createdAt: { gte: $since } }
               first: 50
@@ -37,36 +168,34 @@ async function fetchLinearActivity(apiKey, teamId, sinceHours = 24) {
                 user { name displayName }
               }
             }
+            history(first: ${HISTORY_PAGE_SIZE}) {
+              pageInfo { hasNextPage endCursor }
+              nodes { ${HISTORY_FIELDS} }
+            }
           }
         }
       }
     }
   `;
 
-  const res = await fetch('https://api.linear.app/graphql', {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Authorization': apiKey,
-    },
-    body: JSON.stringify({ query, variables: { teamId, since } }),
-  });
-
-  if (!res.ok) {
-    throw new Error(`Linear API error: ${res.status} ${res.statusText}`);
+  const issues = [];
+  let after = null;
+  for (let page = 0; page < MAX_ISSUE_PAGES; page++) {
+    const data = await linearQuery(apiKey, query, { teamId, since, after });
+    const conn = data.team.issues;
+    issues.push(...conn.nodes);
+    if (!conn.pageInfo.hasNextPage) break;
+    after = conn.pageInfo.endCursor;
   }
-
-  const json = await res.json();
-  if (json.errors) {
-    throw new Error(`Linear GraphQL errors: ${JSON.stringify(json.errors)}`);
+  for (const issue of issues) {
+    if (issue.history?.pageInfo?.hasNextPage) await fetchRemainingHistory(apiKey, issue);
   }
 
-  const issues = json.data.team.issues.nodes;
-
   // Categorize
   const newIssues = [];
   const activeIssues = [];
   const recentComments = [];
+  const transitions = [];
 
   for (const issue of issues) {
     const created = new Date(issue.createdAt);
@@ -88,13 +217,66 @@ async function fetchLinearActivity(apiKey, teamId, sinceHours = 24) {
         createdAt: comment.createdAt,
       });
     }
+
+    transitions.push(...historyTransitions(issue, since));
   }
 
-  // Cap comments at 20 most recent across all issues
+  // Cap comments at the most recent across all issues (20 for daily summaries)
   recentComments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
-  recentComments.splice(20);
+  recentComments.splice(commentLimit);
+
+  transitions.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return { newIssues, activeIssues, recentComments, transitions };
+}
+
+/**
+ * Group transition records by ticket, in first-seen order:
+ * [{ issue, issueTitle, statePath, backwards, assignees, priorities, estimates }].
+ * statePath is the chain of states the ticket passed through ("Todo", "In Progress", "In Review");
+ * backwards lists the moves to an earlier state; the others are the raw transitions of that field.
+ */
+function summarizeTransitions(transitions = []) {
+  const byIssue = new Map();
+  for (const t of transitions) {
+    if (!byIssue.has(t.issue)) {
+      byIssue.set(t.issue, { issue: t.issue, issueTitle: t.issueTitle, statePath: [], backwards: [], assignees: [], priorities: [], estimates: [] });
+    }
+    const entry = byIssue.get(t.issue);
+    switch (t.field) {
+      case 'state':
+        // A gap (history beyond the page cap) shows up as a repeated hop, not a lost state
+        if (t.from && t.from !== entry.statePath[entry.statePath.length - 1]) entry.statePath.push(t.from);
+        entry.statePath.push(t.to);
+        if (t.backwards) entry.backwards.push(t);
+        break;
+      case 'assignee': entry.assignees.push(t); break;
+      case 'priority': entry.priorities.push(t); break;
+      case 'estimate': entry.estimates.push(t); break;
+      default: break;
+    }
+  }
+  return [...byIssue.values()];
+}
+
+/**
+ * One line per ticket describing its transitions, e.g.
+ * "PROJ-12 Fix login: status Todo → In Progress → In Review; assignee Unassigned → Alice [BACKWARDS: In Review → In Progress by Bob]".
+ */
+function formatTransitions(transitions, authorMap = {}) {
+  const mapName = (name) => mapLinearName(name, authorMap);
+  const chain = (list, fmt) => [fmt(list[0].from), ...list.map((t) => fmt(t.to))].join(' → ');
+  const none = (label) => (value) => (value === null || value === undefined ? label : String(value));
 
-  return { newIssues, activeIssues, recentComments };
+  return summarizeTransitions(transitions).map((s) => {
+    const parts = [];
+    if (s.statePath.length) parts.push(`status ${s.statePath.join(' → ')}`);
+    if (s.assignees.length) parts.push(`assignee ${chain(s.assignees, mapName)}`);
+    if (s.priorities.length) parts.push(`priority ${chain(s.priorities, none('No priority'))}`);
+    if (s.estimates.length) parts.push(`estimate ${chain(s.estimates, none('none'))}`);
+    const flags = s.backwards.map((t) => ` [BACKWARDS: ${t.from} → ${t.to} by ${mapName(t.actor)}]`).join('');
+    return `${s.issue} ${s.issueTitle}: ${parts.join('; ')}${flags}`;
+  }).join('\n');
 }
 
 /**
@@ -102,15 +284,7 @@ async function fetchLinearActivity(apiKey, teamId, sinceHours = 24) {
  * authorMap maps Linear display names to preferred short names.
  */
 function formatLinearData(data, authorMap = {}) {
-  const mapName = (name) => {
-    if (!name) return 'Unassigned';
-    for (const [key, val] of Object.entries(authorMap)) {
-      if (name.toLowerCase().includes(key.toLowerCase()) || key.toLowerCase().includes(name.toLowerCase())) {
-        return val;
-      }
-    }
-    return name;
-  };
+  const mapName = (name) => mapLinearName(name, authorMap);
 
   const lines = [];
 
@@ -130,6 +304,12 @@ function formatLinearData(data, authorMap = {}) {
     lines.push('');
   }
 
+  if (data.transitions?.length > 0) {
+    lines.push('=== TRANSITIONS (exact moves in this window, oldest first) ===');
+    lines.push(formatTransitions(data.transitions, authorMap));
+    lines.push('');
+  }
+
   if (data.recentComments.length > 0) {
     lines.push('=== RECENT COMMENTS ===');
     for (const c of data.recentComments) {
@@ -141,4 +321,132 @@ function formatLinearData(data, authorMap = {}) {
   return lines.join('\n');
 }
 
-module.exports = { fetchLinearActivity, formatLinearData };
+/**
+ * Look up issues by identifier (e.g. "PROJ-123"), whatever their age or team.
+ * Unknown identifiers are simply missing from the result.
+ * Returns issues shaped like fetchLinearActivity's, without comments.
+ */
+async function fetchIssuesByIdentifier(apiKey, identifiers) {
+  const query = `
+    query($key: String!, $numbers: [Float!]) {
+      issues(filter: { team: { key: { eq: $key } }, number: { in: $numbers } }, first: 100) {
+        nodes {
+          identifier
+          title
+          state { name type }
+          assignee { displayName }
+          priority
+          priorityLabel
+          updatedAt
+          createdAt
+          completedAt
+        }
+      }
+    }
+  `;
+
+  // One query per team key — identifiers are "<TEAM KEY>-<number>"
+  const byKey = new Map();
+  for (const id of identifiers) {
+    const m = id.match(/^([A-Za-z0-9]+)-(\d+)$/);
+    if (!m) continue;
+    const key = m[1].toUpperCase();
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(parseInt(m[2], 10));
+  }
+
+  const issues = [];
+  for (const [key, numbers] of byKey) {
+    for (let i = 0; i < numbers.length; i += 100) {
+      const data = await linearQuery(apiKey, query, { key, numbers: numbers.slice(i, i + 100) });
+      issues.push(...data.issues.nodes);
+    }
+  }
+  return issues;
+}
+
+/**
+ * Fetch the team's active and previous cycles (sprints).
+ * Returns { current, previous }, each { number, startsAt, endsAt } or null.
+ */
+async function fetchCycles(apiKey, teamId) {
+  const query = `
+    query($teamId: String!) {
+      team(id: $teamId) {
+        activeCycle { number name startsAt endsAt }
+        cycles(filter: { isPrevious: { eq: true } }, first: 1) {
+          nodes { number name startsAt endsAt }
+        }
+      }
+    }
+  `;
+
+  const data = await linearQuery(apiKey, query, { teamId });
+  return {
+    current: data.team.activeCycle || null,
+    previous: data.team.cycles.nodes[0] || null,
+  };
+}
+
+/**
+ * Keep only the fetchLinearActivity records assigned to, or commented on by, one person.
+ * `name` can be a Linear display name or the short name it maps to.
+ */
+function filterLinearDataByPerson(data, name, authorMap = {}) {
+  const q = (name || '').toLowerCase();
+  const is = (linearName) => {
+    if (!linearName || !q) return false;
+    const mapped = mapLinearName(linearName, authorMap).toLowerCase();
+    return mapped === q || mapped.split(/\s+/)[0] === q || linearName.toLowerCase().includes(q);
+  };
+  const newIssues = data.newIssues.filter((i) => is(i.assignee?.displayName));
+  const activeIssues = data.activeIssues.filter((i) => is(i.assignee?.displayName));
+  const theirs = new Set([...newIssues, ...activeIssues].map((i) => i.identifier));
+  return {
+    newIssues,
+    activeIssues,
+    recentComments: data.recentComments.filter((c) => is(c.author)),
+    transitions: (data.transitions || []).filter((t) => theirs.has(t.issue) || is(t.actor)),
+  };
+}
+
+/**
+ * formatLinearData for each assignee's tickets on their own, busiest first — the groups a
+ * prompt that's over budget is condensed in. Comments and transitions go with their ticket;
+ * comments on tickets outside the data form an "Other tickets" group.
+ * Returns [{ label, text }] with the mapped assignee name as label.
+ */
+function formatLinearDataByAssignee(data, authorMap = {}) {
+  const groups = new Map();
+  const owner = new Map();
+  const group = (label) => {
+    if (!groups.has(label)) groups.set(label, { newIssues: [], activeIssues: [], recentComments: [], transitions: [] });
+    return groups.get(label);
+  };
+  for (const key of ['newIssues', 'activeIssues']) {
+    for (const issue of data[key]) {
+      const label = issue.assignee?.displayName ? mapLinearName(issue.assignee.displayName, authorMap) : 'Unassigned';
+      owner.set(issue.identifier, label);
+      group(label)[key].push(issue);
+    }
+  }
+  for (const c of data.recentComments) group(owner.get(c.issue) || 'Other tickets').recentComments.push(c);
+  for (const t of data.transitions || []) group(owner.get(t.issue) || 'Other tickets').transitions.push(t);
+
+  const size = (g) => g.newIssues.length + g.activeIssues.length + g.recentComments.length + g.transitions.length;
+  return [...groups.entries()]
+    .sort((a, b) => size(b[1]) - size(a[1]))
+    .map(([label, g]) => ({ label, text: formatLinearData(g, authorMap) }));
+}
+
+module.exports = {
+  fetchLinearActivity,
+  formatLinearData,
+  formatLinearDataByAssignee,
+  fetchCycles,
+  fetchIssuesByIdentifier,
+  summarizeTransitions,
+  formatTransitions,
+  mapLinearName,
+  filterLinearDataByPerson,
+};
@@ -0,0 +1,264 @@
+const { spawn } = require('child_process');
+
+const DEFAULT_TIMEOUT_MS = 120000;
+const DEFAULT_RETRIES = 2;
+const RETRY_STATUSES = new Set([408, 429, 500, 502, 503, 504, 529]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class LLMError extends Error {
+  constructor(message, { retryable = false } = {}) {
+    super(message);
+    this.name = 'LLMError';
+    this.retryable = retryable;
+  }
+}
+
+// --- Backends ---
+// Each takes (provider, step, prompt, { timeoutMs, onText }) and resolves to the response text.
+// When onText is given, it's called with the accumulated text as it streams in.
+
+function runCli(provider, step, prompt, { timeoutMs, onText }) {
+  const command = step.command || provider.command;
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, { shell: true, stdio: ['pipe', 'pipe', 'pipe'] });
+    let stdout = '';
+    let stderr = '';
+    const timer = setTimeout(() => {
+      child.kill('SIGTERM');
+      reject(new LLMError(`${command} timed out after ${timeoutMs}ms`, { retryable: true }));
+    }, timeoutMs);
+
+    child.stdout.on('data', (chunk) => {
+      stdout += chunk;
+      if (onText) onText(stdout);
+    });
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    child.on('error', (e) => {
+      clearTimeout(timer);
+      reject(new LLMError(`${command} failed to start: ${e.message}`));
+    });
+    child.on('close', (code) => {
+      clearTimeout(timer);
+      if (code === 0) resolve(stdout.trim());
+      else reject(new LLMError(`${command} exited ${code}: ${stderr.trim().slice(0, 300)}`, { retryable: true }));
+    });
+
+    child.stdin.on('error', () => {});
+    child.stdin.end(prompt);
+  });
+}
+
+async function post(url, headers, body, timeoutMs) {
+  let res;
+  try {
+    res = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (e) {
+    throw new LLMError(`${url}: ${e.message}`, { retryable: true });
+  }
+
+  if (!res.ok) {
+    const text = await res.text();
+    throw new LLMError(`${url}: HTTP ${res.status} — ${text.slice(0, 300)}`, { retryable: RETRY_STATUSES.has(res.status) });
+  }
+  return res;
+}
+
+// Read a server-sent event stream, calling onData with each parsed `data:` payload
+async function readSSE(res, url, onData) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  try {
+    for await (const chunk of res.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const data = line.startsWith('data:') ? line.slice(5).trim() : '';
+        if (!data || data === '[DONE]') continue;
+        let event;
+        try {
+          event = JSON.parse(data);
+        } catch {
+          continue; // Ignore keep-alives and partial garbage
+        }
+        onData(event);
+      }
+    }
+  } catch (e) {
+    if (e instanceof LLMError) throw e;
+    throw new LLMError(`${url}: stream interrupted — ${e.message}`, { retryable: true });
+  }
+}
+
+async function runOpenAI(provider, step, prompt, { timeoutMs, onText }) {
+  const baseUrl = (provider.baseUrl || 'https://openrouter.ai/api/v1').replace(/\/+$/, '');
+  const apiKey = provider.apiKeyEnv ? process.env[provider.apiKeyEnv] : provider.apiKey;
+  const headers = { ...(provider.headers || {}) };
+  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+
+  const url = `${baseUrl}/chat/completions`;
+  const res = await post(url, headers, {
+    model: step.model || provider.model,
+    messages: [{ role: 'user', content: prompt }],
+    max_tokens: step.maxTokens || provider.maxTokens || undefined,
+    stream: Boolean(onText),
+  }, timeoutMs);
+
+  if (!onText) {
+    const json = await res.json();
+    return json.choices?.[0]?.message?.content?.trim() || '';
+  }
+  let text = '';
+  await readSSE(res, url, (event) => {
+    const delta = event.choices?.[0]?.delta?.content;
+    if (delta) {
+      text += delta;
+      onText(text);
+    }
+  });
+  return text.trim();
+}
+
+async function runAnthropic(provider, step, prompt, { timeoutMs, onText }) {
+  const baseUrl = (provider.baseUrl || 'https://api.anthropic.com').replace(/\/+$/, '');
+  const apiKey = process.env[provider.apiKeyEnv || 'ANTHROPIC_API_KEY'] || provider.apiKey;
+
+  const url = `${baseUrl}/v1/messages`;
+  const res = await post(url, {
+    'x-api-key': apiKey,
+    'anthropic-version': provider.version || '2023-06-01',
+  }, {
+    model: step.model || provider.model,
+    max_tokens: step.maxTokens || provider.maxTokens || 4096,
+    messages: [{ role: 'user', content: prompt }],
+    stream: Boolean(onText),
+  }, timeoutMs);
+
+  if (!onText) {
+    const json = await res.json();
+    return (json.content || []).filter((c) => c.type === 'text').map((c) => c.text).join('').trim();
+  }
+  let text = '';
+  await readSSE(res, url, (event) => {
+    if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+      text += event.delta.text;
+      onText(text);
+    } else if (event.type === 'error') {
+      throw new LLMError(`${url}: ${event.error?.message || 'stream error'}`, { retryable: true });
+    }
+  });
+  return text.trim();
+}
+
+const BACKENDS = { cli: runCli, openai: runOpenAI, anthropic: runAnthropic };
+
+// --- Config ---
+
+/**
+ * Fill in the `llm` config from the legacy top-level fields when it's absent:
+ * `llmCommand` for the summary/bot stages, and Gemini Flash via OpenRouter for
+ * preprocess/specSummary when OPENROUTER_API_KEY is set.
+ */
+function resolveLLMConfig(config) {
+  const llm = config.llm || {};
+  const providers = {
+    cli: { type: 'cli', command: config.llmCommand || 'claude -p -' },
+    openrouter: { type: 'openai', baseUrl: 'https://openrouter.ai/api/v1', apiKeyEnv: 'OPENROUTER_API_KEY' },
+    anthropic: { type: 'anthropic', apiKeyEnv: 'ANTHROPIC_API_KEY' },
+    ...(llm.providers || {}),
+  };
+  const gemini = [{ provider: 'openrouter', model: 'google/gemini-2.5-flash' }];
+  const stages = {
+    preprocess: gemini,
+    summary: [{ provider: 'cli' }],
+    bot: [{ provider: 'cli' }],
+    specSummary: gemini,
+    ...(llm.stages || {}),
+  };
+  return {
+    providers,
+    stages,
+    timeoutMs: llm.timeoutMs || DEFAULT_TIMEOUT_MS,
+    retries: llm.retries ?? DEFAULT_RETRIES,
+  };
+}
+
+// A step is usable if its provider exists and any API key it names is present
+function isUsable(provider) {
+  if (!provider || !BACKENDS[provider.type]) return false;
+  if (provider.apiKeyEnv && provider.type !== 'cli') return Boolean(process.env[provider.apiKeyEnv]);
+  return true;
+}
+
+/**
+ * Create the shared LLM caller from config.json.
+ * Each stage (preprocess, summary, bot, specSummary) is a fallback chain of
+ * { provider, model, maxTokens, timeoutMs } steps; each step is retried with backoff.
+ * Pass onText to stream: it receives the accumulated text so far, restarting from
+ * scratch if a step is retried or the chain falls back.
+ * Returns { complete(stage, prompt, { maxTokens, onText }), hasStage(stage), describe(stage) }.
+ */
+function createLLM(config, { log = () => {} } = {}) {
+  const resolved = resolveLLMConfig(config);
+
+  const chainFor = (stage) => {
+    const raw = resolved.stages[stage];
+    const steps = Array.isArray(raw) ? raw : raw ? [raw] : [];
+    return steps
+      .map((step) => ({ step, provider: resolved.providers[step.provider] }))
+      .filter(({ provider }) => isUsable(provider));
+  };
+
+  const label = ({ step, provider }) => {
+    if (provider.type === 'cli') return step.command || provider.command;
+    return `${step.provider}/${step.model || provider.model || 'default'}`;
+  };
+
+  function hasStage(stage) {
+    return chainFor(stage).length > 0;
+  }
+
+  function describe(stage) {
+    return chainFor(stage).map(label).join(' → ') || '(none)';
+  }
+
+  async function complete(stage, prompt, { maxTokens, onText } = {}) {
+    const chain = chainFor(stage);
+    if (chain.length === 0) throw new LLMError(`No usable LLM provider configured for stage "${stage}"`);
+
+    const errors = [];
+    for (const entry of chain) {
+      // The caller's maxTokens is a default; a step's own maxTokens wins
+      const step = { ...entry.step, maxTokens: entry.step.maxTokens || maxTokens };
+      const timeoutMs = step.timeoutMs || resolved.timeoutMs;
+      const retries = step.retries ?? resolved.retries;
+
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        try {
+          const text = await BACKENDS[entry.provider.type](entry.provider, step, prompt, { timeoutMs, onText });
+          if (text) return text;
+          throw new LLMError('empty response', { retryable: true });
+        } catch (e) {
+          const retryable = e.retryable !== false && attempt < retries;
+          log(`LLM ${stage} via ${label(entry)} failed (attempt ${attempt + 1}): ${e.message}`);
+          if (!retryable) {
+            errors.push(`${label(entry)}: ${e.message}`);
+            break;
+          }
+          await sleep(1000 * 2 ** attempt);
+        }
+      }
+    }
+    throw new LLMError(`All LLM providers failed for stage "${stage}" — ${errors.join('; ')}`);
+  }
+
+  return { complete, hasStage, describe };
+}
+
+module.exports = { createLLM, resolveLLMConfig, LLMError };
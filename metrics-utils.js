@@ -0,0 +1,310 @@
+const { mapLinearName } = require('./linear-utils');
+const { hoursLabel } = require('./period-utils');
+
+const HOUR_MS = 60 * 60 * 1000;
+const WEEK_MS = 7 * 24 * HOUR_MS;
+
+function toTime(value) {
+  const t = value ? Date.parse(value) : NaN;
+  return Number.isNaN(t) ? null : t;
+}
+
+function inRange(value, range) {
+  const t = toTime(value);
+  return t !== null && t >= range.from.getTime() && t < range.to.getTime();
+}
+
+const hoursBetween = (from, to) => (toTime(to) - toTime(from)) / HOUR_MS;
+// Full timestamps when the record has them; older records only have the day-granular fields
+const prTime = (pr, field) => pr.times?.[field] || pr[field] || null;
+const prKey = (fullRepo, number) => `${(fullRepo || '').toLowerCase()}#${number}`;
+
+/**
+ * The p-th percentile (0–100) of a list of numbers, interpolating between ranks. null when empty.
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * { count, mean, p50, p75, p90, max } of a list of numbers — null stats when it's empty.
+ */
+function distribution(values) {
+  const count = values.length;
+  return {
+    count,
+    mean: count ? values.reduce((sum, v) => sum + v, 0) / count : null,
+    p50: percentile(values, 50),
+    p75: percentile(values, 75),
+    p90: percentile(values, 90),
+    max: count ? Math.max(...values) : null,
+  };
+}
+
+// When a PR first got a review from someone else. Scanned PR records carry firstReviewAt (kept
+// when a webhook later updates them); PRs only ever seen through webhooks lack it, so stored
+// review records fill the gap.
+function firstReviewTimes(prs, reviews) {
+  const authors = new Map(prs.map((pr) => [prKey(pr.fullRepo, pr.number), pr.author]));
+  const first = new Map();
+  for (const pr of prs) {
+    if (pr.firstReviewAt) first.set(prKey(pr.fullRepo, pr.number), pr.firstReviewAt);
+  }
+  for (const r of reviews) {
+    const key = prKey(r.fullRepo, r.prNumber);
+    if (!authors.has(key) || r.reviewer === authors.get(key) || r.state === 'PENDING') continue;
+    const seen = first.get(key);
+    if (!seen || toTime(r.submittedAt) < toTime(seen)) first.set(key, r.submittedAt);
+  }
+  return first;
+}
+
+/**
+ * Engineering metrics for one window. Pass gitData (collectGitData or queryGitData shape) and/or
+ * linearData (fetchLinearActivity or queryLinearData shape) reaching back far enough to hold the
+ * PRs and tickets that finished in range. All durations are in hours.
+ *   prs        opened, merged, closedUnmerged, mergeRate (merged / everything that finished)
+ *   cycleTime  open → merge, for PRs merged in range
+ *   firstReview  open → first review by someone else, for PRs opened in range (unreviewed counts the rest)
+ *   size       additions + deletions of PRs merged in range, when the collector recorded them
+ *   reviewers  review-request → review turnaround per reviewer, for reviews submitted in range
+ *   leadTime   Linear created → completed, for tickets completed in range
+ * Sections whose source wasn't passed are null.
+ */
+function computeMetrics({ gitData = null, linearData = null, range, authorMap = {}, linearAuthorMap = {} }) {
+  const metrics = { range, prs: null, cycleTime: null, firstReview: null, size: null, reviewers: null, leadTime: null };
+
+  if (gitData) {
+    const n = (login) => authorMap[login] || login;
+    const prs = gitData.prs;
+    const firstReview = firstReviewTimes(prs, gitData.reviews || []);
+    const merged = prs.filter((pr) => inRange(prTime(pr, 'mergedAt'), range));
+    const closedUnmerged = prs.filter((pr) => !prTime(pr, 'mergedAt') && inRange(prTime(pr, 'closedAt'), range));
+    const opened = prs.filter((pr) => inRange(prTime(pr, 'createdAt'), range));
+
+    metrics.prs = {
+      opened: opened.length,
+      merged: merged.length,
+      closedUnmerged: closedUnmerged.length,
+      mergeRate: merged.length + closedUnmerged.length > 0 ? merged.length / (merged.length + closedUnmerged.length) : null,
+    };
+
+    metrics.cycleTime = distribution(merged
+      .map((pr) => hoursBetween(prTime(pr, 'createdAt'), prTime(pr, 'mergedAt')))
+      .filter((h) => h >= 0));
+
+    const reviewWaits = [];
+    let unreviewed = 0;
+    for (const pr of opened) {
+      const at = firstReview.get(prKey(pr.fullRepo, pr.number));
+      if (at) reviewWaits.push(hoursBetween(prTime(pr, 'createdAt'), at));
+      else unreviewed++;
+    }
+    metrics.firstReview = { ...distribution(reviewWaits.filter((h) => h >= 0)), unreviewed };
+
+    const sized = merged.filter((pr) => pr.additions != null && pr.deletions != null);
+    metrics.size = {
+      ...distribution(sized.map((pr) => pr.additions + pr.deletions)),
+      additions: sized.reduce((sum, pr) => sum + pr.additions, 0),
+      deletions: sized.reduce((sum, pr) => sum + pr.deletions, 0),
+    };
+
+    // Turnarounds only exist on scanned PR records; review counts come from the review records
+    const turnarounds = new Map();
+    for (const pr of prs) {
+      for (const t of pr.reviewTurnarounds || []) {
+        if (!inRange(t.reviewedAt, range)) continue;
+        const name = n(t.reviewer);
+        if (!turnarounds.has(name)) turnarounds.set(name, []);
+        turnarounds.get(name).push(hoursBetween(t.requestedAt, t.reviewedAt));
+      }
+    }
+    // Replies on their own PR don't count as reviewing
+    const authors = new Map(prs.map((pr) => [prKey(pr.fullRepo, pr.number), pr.author]));
+    const reviewCounts = new Map();
+    for (const r of gitData.reviews || []) {
+      if (!inRange(r.submittedAt, range) || r.reviewer === authors.get(prKey(r.fullRepo, r.prNumber))) continue;
+      reviewCounts.set(n(r.reviewer), (reviewCounts.get(n(r.reviewer)) || 0) + 1);
+    }
+    metrics.reviewers = [...new Set([...turnarounds.keys(), ...reviewCounts.keys()])]
+      .map((name) => ({ name, reviews: reviewCounts.get(name) || 0, turnaround: distribution(turnarounds.get(name) || []) }))
+      .sort((a, b) => b.reviews - a.reviews || a.name.localeCompare(b.name));
+  }
+
+  if (linearData) {
+    const completed = [...linearData.newIssues, ...linearData.activeIssues].filter((i) => inRange(i.completedAt, range));
+    const people = {};
+    for (const issue of completed) {
+      const name = mapLinearName(issue.assignee?.displayName, linearAuthorMap);
+      (people[name] ||= []).push(hoursBetween(issue.createdAt, issue.completedAt));
+    }
+    metrics.leadTime = {
+      ...distribution(completed.map((i) => hoursBetween(i.createdAt, i.completedAt)).filter((h) => h >= 0)),
+      people: Object.entries(people)
+        .map(([name, hours]) => ({ name, ...distribution(hours) }))
+        .sort((a, b) => b.count - a.count),
+    };
+  }
+
+  return metrics;
+}
+
+/**
+ * Weekly buckets ending at `now`, oldest first, each with that week's metrics and a rolling
+ * view over the `rollingWeeks` weeks ending with it. Data must reach back weeks + rollingWeeks - 1 weeks.
+ * Returns [{ from, to, week, rolling }].
+ */
+function computeTrend({ gitData = null, linearData = null, weeks = 8, rollingWeeks = 4, now = new Date(), authorMap = {}, linearAuthorMap = {} }) {
+  const trend = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    const to = new Date(now.getTime() - i * WEEK_MS);
+    const from = new Date(to.getTime() - WEEK_MS);
+    const options = { gitData, linearData, authorMap, linearAuthorMap };
+    trend.push({
+      from,
+      to,
+      week: computeMetrics({ ...options, range: { from, to } }),
+      rolling: computeMetrics({ ...options, range: { from: new Date(to.getTime() - rollingWeeks * WEEK_MS), to } }),
+    });
+  }
+  return trend;
+}
+
+const pct = (rate) => (rate === null ? 'n/a' : `${Math.round(rate * 100)}%`);
+const lines = (value) => (value === null ? 'n/a' : `${Math.round(value)} lines`);
+const spread = (d, label = hoursLabel) => (d.count ? `median ${label(d.p50)}, p90 ${label(d.p90)} (${d.count})` : 'no data');
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+const withPrevious = (text, previous) => (previous ? `${text} (previous: ${previous})` : text);
+
+/**
+ * Plain-text metrics for prompts and the CLI. Pass the previous window's metrics to show them alongside.
+ */
+function formatMetrics(cur, prev = null) {
+  const out = [];
+  if (cur.prs) {
+    out.push('PR METRICS (median and 90th percentile, sample size in parentheses):');
+    out.push(withPrevious(`- Cycle time (open → merge): ${spread(cur.cycleTime)}`, prev?.cycleTime && spread(prev.cycleTime)));
+    out.push(withPrevious(`- Time to first review: ${spread(cur.firstReview)}, ${cur.firstReview.unreviewed} still unreviewed`, prev?.firstReview && spread(prev.firstReview)));
+    if (cur.size.count > 0) {
+      out.push(withPrevious(`- PR size (lines changed): ${spread(cur.size, lines)}, +${cur.size.additions}/-${cur.size.deletions} total`, prev?.size && spread(prev.size, lines)));
+    }
+    out.push(withPrevious(`- Merge rate: ${pct(cur.prs.mergeRate)} (${cur.prs.merged} merged, ${cur.prs.closedUnmerged} closed unmerged, ${cur.prs.opened} opened)`, prev?.prs && pct(prev.prs.mergeRate)));
+
+    const timed = cur.reviewers.filter((r) => r.turnaround.count > 0 || r.reviews > 0);
+    if (timed.length > 0) {
+      out.push('\nREVIEW TURNAROUND (review request → review, per reviewer):');
+      for (const r of timed) {
+        const turnaround = r.turnaround.count > 0 ? `median ${hoursLabel(r.turnaround.p50)} over ${plural(r.turnaround.count, 'request')}` : 'no timed requests';
+        out.push(`- ${r.name}: ${plural(r.reviews, 'review')}, ${turnaround}`);
+      }
+    }
+  }
+  if (cur.leadTime) {
+    if (out.length > 0) out.push('');
+    out.push('LINEAR LEAD TIME (created → done):');
+    out.push(withPrevious(`- All tickets: ${spread(cur.leadTime)}`, prev?.leadTime && spread(prev.leadTime)));
+    for (const p of cur.leadTime.people) out.push(`- ${p.name}: median ${hoursLabel(p.p50)} (${p.count})`);
+  }
+  return out.join('\n');
+}
+
+const fmtDay = (d) => d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * A computeTrend result as one plain-text line per week: the week's medians, then the rolling ones.
+ */
+function formatTrend(trend, rollingWeeks = 4) {
+  const figures = (m) => [
+    m.prs && `${m.prs.merged} merged`,
+    m.cycleTime && `cycle ${hoursLabel(m.cycleTime.p50)}`,
+    m.firstReview && `first review ${hoursLabel(m.firstReview.p50)}`,
+    m.leadTime && `lead time ${hoursLabel(m.leadTime.p50)}`,
+  ].filter(Boolean).join(', ');
+  return [
+    `WEEKLY TREND (medians; ${rollingWeeks}-week rolling in brackets):`,
+    ...trend.map((t) => `- ${fmtDay(t.from)} – ${fmtDay(t.to)}: ${figures(t.week)} [${figures(t.rolling)}]`),
+  ].join('\n');
+}
+
+// --- Export ---
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvCell).join(',')).join('\n') + '\n';
+}
+
+const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+
+/**
+ * One CSV row per week of a computeTrend result, with the week's and the rolling figures.
+ */
+function trendToCSV(trend) {
+  const figures = (m) => [
+    m.prs?.opened, m.prs?.merged, round(m.prs?.mergeRate ?? null),
+    round(m.cycleTime?.p50 ?? null), round(m.cycleTime?.p90 ?? null),
+    round(m.firstReview?.p50 ?? null), round(m.firstReview?.p90 ?? null),
+    round(m.size?.p50 ?? null), m.leadTime?.count, round(m.leadTime?.p50 ?? null),
+  ];
+  const names = ['prs_opened', 'prs_merged', 'merge_rate', 'cycle_p50_h', 'cycle_p90_h', 'first_review_p50_h', 'first_review_p90_h', 'size_p50_lines', 'tickets_done', 'lead_time_p50_h'];
+  return toCSV(
+    ['week_start', 'week_end', ...names, ...names.map((name) => `rolling_${name}`)],
+    trend.map((t) => [t.from.toISOString().slice(0, 10), t.to.toISOString().slice(0, 10), ...figures(t.week), ...figures(t.rolling)]),
+  );
+}
+
+/**
+ * One CSV row per PR that was opened, merged or closed in range, with its own timings.
+ */
+function prsToCSV(gitData, range) {
+  const firstReview = firstReviewTimes(gitData.prs, gitData.reviews || []);
+  const rows = gitData.prs
+    .filter((pr) => ['createdAt', 'mergedAt', 'closedAt'].some((field) => inRange(prTime(pr, field), range)))
+    .map((pr) => {
+      const reviewedAt = firstReview.get(prKey(pr.fullRepo, pr.number)) || null;
+      return [
+        pr.fullRepo || pr.repo, pr.number, pr.title, pr.author,
+        prTime(pr, 'createdAt'), prTime(pr, 'mergedAt'), prTime(pr, 'closedAt'), reviewedAt,
+        prTime(pr, 'mergedAt') ? round(hoursBetween(prTime(pr, 'createdAt'), prTime(pr, 'mergedAt'))) : null,
+        reviewedAt ? round(hoursBetween(prTime(pr, 'createdAt'), reviewedAt)) : null,
+        pr.additions, pr.deletions, pr.changedFiles, pr.url,
+      ];
+    });
+  return toCSV(
+    ['repo', 'number', 'title', 'author', 'created_at', 'merged_at', 'closed_at', 'first_review_at', 'cycle_h', 'first_review_h', 'additions', 'deletions', 'changed_files', 'url'],
+    rows,
+  );
+}
+
+/**
+ * One CSV row per reviewer in a computeMetrics result.
+ */
+function reviewersToCSV(metrics) {
+  return toCSV(
+    ['reviewer', 'reviews', 'timed_requests', 'turnaround_mean_h', 'turnaround_p50_h', 'turnaround_p90_h', 'turnaround_max_h'],
+    (metrics.reviewers || []).map((r) => [
+      r.name, r.reviews, r.turnaround.count,
+      round(r.turnaround.mean), round(r.turnaround.p50), round(r.turnaround.p90), round(r.turnaround.max),
+    ]),
+  );
+}
+
+module.exports = {
+  percentile,
+  distribution,
+  computeMetrics,
+  computeTrend,
+  formatMetrics,
+  formatTrend,
+  trendToCSV,
+  prsToCSV,
+  reviewersToCSV,
+};
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+// Engineering metrics from the activity store: PR cycle time, time to first review, review
+// turnaround per reviewer, PR size, merge rate and Linear lead time, with a weekly trend and
+// rolling averages. Reads only what the collectors and the webhook receiver have stored — run
+// git-summary.js / linear-summary.js on a schedule (or enable webhooks) to keep it filled.
+//
+// Usage: node metrics.js [--days=30] [--weeks=8] [--team=<name>] [--format=text|csv|json] [--rows=weeks|prs|reviewers] [--out=<file>]
+const fs = require('fs');
+const path = require('path');
+const { openActivityStore, queryGitData, queryLinearData } = require('./activity-store');
+const { resolveTeams, selectTeams, teamSuffix, filterGitDataForTeam, filterLinearDataForTeam } = require('./team-utils');
+const {
+  computeMetrics,
+  computeTrend,
+  formatMetrics,
+  formatTrend,
+  trendToCSV,
+  prsToCSV,
+  reviewersToCSV,
+} = require('./metrics-utils');
+
+const SCRIPT_DIR = __dirname;
+const CONFIG = JSON.parse(fs.readFileSync(path.join(SCRIPT_DIR, 'config.json'), 'utf8'));
+const STORE_DIR = path.resolve(SCRIPT_DIR, CONFIG.dataDir || 'data');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ROLLING_WEEKS = 4;
+const FORMATS = ['text', 'csv', 'json'];
+const CSV_ROWS = ['weeks', 'prs', 'reviewers'];
+
+// Parse args
+let days = 30;
+let weeks = 8;
+let teamName = null;
+let format = 'text';
+let rows = 'weeks';
+let outFile = null;
+
+for (const arg of process.argv.slice(2)) {
+  if (arg.startsWith('--days=')) days = parseInt(arg.split('=')[1], 10);
+  if (arg.startsWith('--weeks=')) weeks = parseInt(arg.split('=')[1], 10);
+  if (arg.startsWith('--team=')) teamName = arg.split('=')[1];
+  if (arg.startsWith('--format=')) format = arg.split('=')[1];
+  if (arg.startsWith('--rows=')) rows = arg.split('=')[1];
+  if (arg.startsWith('--out=')) outFile = arg.slice('--out='.length);
+}
+
+const log = (msg) => console.error(`[${new Date().toISOString()}] ${msg}`);
+
+if (!FORMATS.includes(format) || !CSV_ROWS.includes(rows) || !(days > 0) || !(weeks > 0)) {
+  log(`ERROR: expected --format=${FORMATS.join('|')}, --rows=${CSV_ROWS.join('|')} and positive --days/--weeks`);
+  process.exit(1);
+}
+
+// One team's metrics, trend and the stored data behind them
+function teamMetrics(team, store, now) {
+  const range = { from: new Date(now.getTime() - days * DAY_MS), to: now };
+  // Far enough back for the trend's first rolling window as well as --days
+  const from = new Date(Math.min(range.from.getTime(), now.getTime() - (weeks + ROLLING_WEEKS - 1) * 7 * DAY_MS));
+  const gitData = filterGitDataForTeam(queryGitData(store, { from }), team);
+  // Lead time only for teams whose tickets are being stored
+  let linearData = filterLinearDataForTeam(queryLinearData(store, { from }), team);
+  if (linearData.newIssues.length + linearData.activeIssues.length === 0) linearData = null;
+  const maps = { authorMap: team.authorMap || {}, linearAuthorMap: team.linearAuthorMap || {} };
+
+  return {
+    team,
+    range,
+    gitData,
+    metrics: computeMetrics({ gitData, linearData, range, ...maps }),
+    trend: computeTrend({ gitData, linearData, weeks, rollingWeeks: ROLLING_WEEKS, now, ...maps }),
+  };
+}
+
+function render(results) {
+  if (format === 'json') {
+    return JSON.stringify(results.map(({ team, metrics, trend }) => ({
+      team: team.multi ? team.name : undefined,
+      days,
+      metrics,
+      trend,
+    })), null, 2) + '\n';
+  }
+  if (format === 'csv') {
+    const { range, gitData, metrics, trend } = results[0];
+    if (rows === 'prs') return prsToCSV(gitData, range);
+    if (rows === 'reviewers') return reviewersToCSV(metrics);
+    return trendToCSV(trend);
+  }
+  return results.map(({ team, metrics, trend }) => [
+    `Engineering metrics${teamSuffix(team)} — last ${days} days`,
+    '',
+    formatMetrics(metrics),
+    '',
+    formatTrend(trend, ROLLING_WEEKS),
+  ].join('\n')).join('\n\n') + '\n';
+}
+
+function main() {
+  const teams = selectTeams(resolveTeams(CONFIG), teamName);
+  if (format === 'csv' && teams.length > 1) {
+    log('ERROR: CSV export covers one team — pick it with --team=<name>');
+    process.exit(1);
+  }
+
+  const store = openActivityStore(STORE_DIR, { retentionDays: CONFIG.storeRetentionDays });
+  const now = new Date();
+  const results = teams.map((team) => teamMetrics(team, store, now));
+  if (results.every((r) => r.metrics.prs.merged + r.metrics.prs.opened + (r.metrics.leadTime?.count || 0) === 0)) {
+    log(`No PRs or completed tickets in ${STORE_DIR} for the last ${days} days — run the collectors first`);
+  }
+
+  const output = render(results);
+  if (outFile) {
+    fs.writeFileSync(outFile, output, 'utf8');
+    log(`Wrote ${format}${format === 'csv' ? ` (${rows})` : ''} to ${outFile}`);
+  } else {
+    process.stdout.write(output);
+  }
+}
+
+try {
+  main();
+} catch (e) {
+  log(`ERROR: ${e.message}`);
+  process.exit(1);
+}
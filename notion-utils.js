@@ -0,0 +1,339 @@
+const fs = require('fs');
+const path = require('path');
+
+const NOTION_API_URL = 'https://api.notion.com/v1';
+const NOTION_VERSION = '2022-06-28';
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504]);
+const MAX_RETRIES = 2;
+
+// A page is walked at most this deep and this far, so a runaway page can't stall a build
+const MAX_DEPTH = 8;
+const MAX_BLOCKS = 2000;
+
+// Line diffs of pages bigger than this (lines before × lines after) compare sets of lines instead
+const MAX_DIFF_CELLS = 4000000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Call the Notion API, retrying 429 and 5xx (honouring retry-after — Notion allows ~3 requests
+ * a second). Returns the parsed JSON; throws with the status and body otherwise.
+ */
+async function notionRequest(apiKey, pathname, { method = 'GET', body } = {}) {
+  const headers = {
+    'Authorization': `Bearer ${apiKey}`,
+    'Notion-Version': NOTION_VERSION,
+  };
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+
+  for (let attempt = 0; ; attempt++) {
+    const res = await fetch(`${NOTION_API_URL}/${pathname}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+    });
+    if (res.ok) return res.json();
+
+    if (attempt < MAX_RETRIES && RETRY_STATUSES.has(res.status)) {
+      const retryAfter = parseInt(res.headers.get('retry-after') || '', 10);
+      await sleep(retryAfter ? retryAfter * 1000 : 1000 * 2 ** attempt);
+      continue;
+    }
+    throw new Error(`Notion API error: ${res.status} — ${await res.text()}`);
+  }
+}
+
+/**
+ * All children of a block or page, following next_cursor past the 100-per-request limit.
+ */
+async function fetchChildren(apiKey, blockId) {
+  const blocks = [];
+  let cursor = null;
+  do {
+    const query = `page_size=100${cursor ? `&start_cursor=${encodeURIComponent(cursor)}` : ''}`;
+    const json = await notionRequest(apiKey, `blocks/${blockId}/children?${query}`);
+    blocks.push(...json.results);
+    cursor = json.has_more ? json.next_cursor : null;
+  } while (cursor);
+  return blocks;
+}
+
+/**
+ * A page's blocks with their nested children under `children`, depth first. Stops descending
+ * at MAX_DEPTH and fetching at MAX_BLOCKS; `truncated` says whether either limit was hit.
+ * Child pages and databases are listed, not walked. Returns { blocks, count, truncated }.
+ */
+async function fetchBlockTree(apiKey, pageId, { maxDepth = MAX_DEPTH, maxBlocks = MAX_BLOCKS } = {}) {
+  let count = 0;
+  let truncated = false;
+
+  async function walk(blockId, depth) {
+    if (count >= maxBlocks) {
+      truncated = true;
+      return [];
+    }
+    const blocks = await fetchChildren(apiKey, blockId);
+    count += blocks.length;
+    for (const block of blocks) {
+      if (!block.has_children || block.type === 'child_page' || block.type === 'child_database') continue;
+      if (depth + 1 >= maxDepth) {
+        truncated = true;
+        continue;
+      }
+      // A synced copy's content lives under the original block
+      const source = block.type === 'synced_block' && block.synced_block?.synced_from?.block_id;
+      block.children = await walk(source || block.id, depth + 1);
+    }
+    return blocks;
+  }
+
+  const blocks = await walk(pageId, 0);
+  return { blocks, count, truncated };
+}
+
+/**
+ * Rich text as Markdown — bold, italics, strikethrough, inline code and links.
+ */
+function richTextToMarkdown(richText = []) {
+  return richText.map((t) => {
+    let text = t.plain_text || '';
+    if (!text.trim()) return text;
+    const a = t.annotations || {};
+    if (a.code) text = `\`${text}\``;
+    if (a.bold) text = `**${text}**`;
+    if (a.italic) text = `_${text}_`;
+    if (a.strikethrough) text = `~~${text}~~`;
+    if (t.href) text = `[${text}](${t.href})`;
+    return text;
+  }).join('');
+}
+
+function fileUrl(file) {
+  return file?.type === 'external' ? file.external?.url : file?.file?.url;
+}
+
+function tableToMarkdown(block) {
+  const rows = (block.children || []).filter((row) => row.type === 'table_row')
+    .map((row) => row.table_row.cells.map((cell) => richTextToMarkdown(cell).replace(/\|/g, '\\|').replace(/\n/g, ' ')));
+  if (rows.length === 0) return '';
+  const width = Math.max(...rows.map((r) => r.length));
+  const line = (cells) => `| ${Array.from({ length: width }, (_, i) => cells[i] || '').join(' | ')} |`;
+  // Markdown tables need a header row; without a column header the first row stands in
+  const [header, ...body] = rows;
+  return [line(header), line(Array(width).fill('---')), ...body.map(line)].join('\n');
+}
+
+/**
+ * Blocks from fetchBlockTree as Markdown: headings, paragraphs, bulleted and numbered lists,
+ * to-dos with their checked state, toggles, quotes, callouts, code, tables, dividers, equations
+ * and media or bookmark links. Nested children are indented under list items and kept as
+ * their own paragraphs under everything else.
+ */
+function blocksToMarkdown(blocks, indent = '') {
+  const parts = [];
+  let number = 0;
+  // List items sit on consecutive lines; everything else is separated by a blank line
+  const push = (text, listItem = false) => {
+    if (!text) return;
+    if (listItem && parts.length > 0 && parts[parts.length - 1].listItem) parts[parts.length - 1].text += `\n${text}`;
+    else parts.push({ text, listItem });
+  };
+
+  for (const block of blocks) {
+    const value = block[block.type] || {};
+    const text = richTextToMarkdown(value.rich_text);
+    const nested = (pad) => (block.children?.length ? blocksToMarkdown(block.children, indent + pad) : '');
+    number = block.type === 'numbered_list_item' ? number + 1 : 0;
+
+    switch (block.type) {
+      case 'heading_1':
+      case 'heading_2':
+      case 'heading_3': {
+        push(`${indent}${'#'.repeat(Number(block.type.slice(-1)))} ${text}`);
+        push(nested(''));
+        break;
+      }
+      case 'paragraph':
+        push(text ? `${indent}${text}` : '');
+        push(nested('  '));
+        break;
+      case 'bulleted_list_item':
+        push([`${indent}- ${text}`, nested('  ')].filter(Boolean).join('\n'), true);
+        break;
+      case 'numbered_list_item':
+        push([`${indent}${number}. ${text}`, nested('   ')].filter(Boolean).join('\n'), true);
+        break;
+      case 'to_do':
+        push([`${indent}- [${value.checked ? 'x' : ' '}] ${text}`, nested('  ')].filter(Boolean).join('\n'), true);
+        break;
+      case 'toggle':
+        push([`${indent}- ${text}`, nested('  ')].filter(Boolean).join('\n'), true);
+        break;
+      case 'quote':
+        push(`${indent}> ${text.replace(/\n/g, `\n${indent}> `)}`);
+        push(nested('  '));
+        break;
+      case 'callout': {
+        const icon = value.icon?.type === 'emoji' ? `${value.icon.emoji} ` : '';
+        push(`${indent}> ${icon}${text.replace(/\n/g, `\n${indent}> `)}`);
+        push(nested('  '));
+        break;
+      }
+      case 'code': {
+        const code = (value.rich_text || []).map((t) => t.plain_text).join('');
+        const language = value.language && value.language !== 'plain text' ? value.language : '';
+        push(`${indent}\`\`\`${language}\n${code}\n${indent}\`\`\``);
+        break;
+      }
+      case 'equation':
+        push(`${indent}$$ ${value.expression} $$`);
+        break;
+      case 'divider':
+        push(`${indent}---`);
+        break;
+      case 'table':
+        push(tableToMarkdown(block));
+        break;
+      case 'child_page':
+        push(`${indent}(Sub-page: ${value.title})`);
+        break;
+      case 'child_database':
+        push(`${indent}(Database: ${value.title})`);
+        break;
+      case 'image':
+      case 'video':
+      case 'file':
+      case 'pdf': {
+        const caption = richTextToMarkdown(value.caption);
+        const url = fileUrl(value);
+        push(`${indent}[${block.type}${caption ? `: ${caption}` : ''}]${url ? `(${url})` : ''}`);
+        break;
+      }
+      case 'bookmark':
+      case 'embed':
+      case 'link_preview': {
+        const caption = richTextToMarkdown(value.caption);
+        if (value.url) push(`${indent}[${caption || value.url}](${value.url})`);
+        break;
+      }
+      default:
+        // column_list, column, synced_block and anything else that only holds children
+        if (text) push(`${indent}${text}`);
+        push(nested(''));
+    }
+  }
+
+  return parts.map((p) => p.text).join('\n\n');
+}
+
+/**
+ * A page's full content as Markdown. Returns { markdown, blocks, truncated } — blocks is the
+ * number of blocks read.
+ */
+async function fetchPageMarkdown(apiKey, pageId, options) {
+  const tree = await fetchBlockTree(apiKey, pageId, options);
+  let markdown = blocksToMarkdown(tree.blocks);
+  if (tree.truncated) markdown += '\n\n_(Part of this page was left out — it is longer or more deeply nested than the walker reads.)_';
+  return { markdown, blocks: tree.count, truncated: tree.truncated };
+}
+
+/**
+ * The lines removed from `before` and added in `after`, in page order, as "- line" and "+ line"
+ * (blank lines ignored). A longest-common-subsequence diff, so moved text shows as removed and
+ * re-added; pages too big for that are compared as sets of lines.
+ */
+function lineDiff(before, after) {
+  const a = String(before || '').split('\n').filter((l) => l.trim());
+  const b = String(after || '').split('\n').filter((l) => l.trim());
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+  const oldLines = a.slice(start, endA);
+  const newLines = b.slice(start, endB);
+
+  if (oldLines.length * newLines.length > MAX_DIFF_CELLS) {
+    const oldSet = new Set(oldLines);
+    const newSet = new Set(newLines);
+    return [...oldLines.filter((l) => !newSet.has(l)).map((l) => `- ${l}`), ...newLines.filter((l) => !oldSet.has(l)).map((l) => `+ ${l}`)];
+  }
+
+  // lcs[i][j]: common lines of oldLines[i..] and newLines[j..], in one flat array
+  const width = newLines.length + 1;
+  const lcs = new Uint32Array((oldLines.length + 1) * width);
+  for (let i = oldLines.length - 1; i >= 0; i--) {
+    for (let j = newLines.length - 1; j >= 0; j--) {
+      lcs[i * width + j] = oldLines[i] === newLines[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+  const diff = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldLines.length || j < newLines.length) {
+    if (i < oldLines.length && j < newLines.length && oldLines[i] === newLines[j]) {
+      i++;
+      j++;
+    } else if (i < oldLines.length && (j === newLines.length || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+      diff.push(`- ${oldLines[i++]}`);
+    } else {
+      diff.push(`+ ${newLines[j++]}`);
+    }
+  }
+  return diff;
+}
+
+/**
+ * Last rendered content and summary per spec page in <dir>/spec-cache.json, so build-context.js
+ * only re-summarizes pages that changed. Entries are { editedAt, title, url, content, summary,
+ * summarizedBy, change, updatedAt }; ones not updated in retentionDays are dropped on write.
+ * Returns { get, set }.
+ */
+function openSpecCache(dir, { retentionDays = 180 } = {}) {
+  const file = path.join(dir, 'spec-cache.json');
+
+  function readAll() {
+    try {
+      return JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+      return {};
+    }
+  }
+
+  // Re-reads the file before writing, like the cursors, so teams building side by side keep each other's entries
+  function set(entries) {
+    const cache = readAll();
+    const now = new Date().toISOString();
+    for (const [key, entry] of Object.entries(entries)) cache[key] = { ...entry, updatedAt: now };
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    for (const [key, entry] of Object.entries(cache)) {
+      if (Date.parse(entry.updatedAt) < cutoff) delete cache[key];
+    }
+    fs.mkdirSync(dir, { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(cache) + '\n', 'utf8');
+    fs.renameSync(tmp, file);
+  }
+
+  return {
+    get: (key) => readAll()[key] || null,
+    set,
+  };
+}
+
+module.exports = {
+  notionRequest,
+  fetchChildren,
+  fetchBlockTree,
+  richTextToMarkdown,
+  blocksToMarkdown,
+  fetchPageMarkdown,
+  lineDiff,
+  openSpecCache,
+};
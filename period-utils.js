@@ -0,0 +1,269 @@
+const { mapLinearName } = require('./linear-utils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const PERIODS = {
+  week: { days: 7, title: 'Weekly' },
+  sprint: { days: 14, title: 'Sprint' },
+  month: { days: 30, title: 'Monthly' },
+};
+
+const fmtDay = (d) => d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+function toTime(value) {
+  const t = value ? Date.parse(value) : NaN;
+  return Number.isNaN(t) ? null : t;
+}
+
+function inRange(value, range) {
+  const t = toTime(value);
+  return t !== null && t >= range.from.getTime() && t < range.to.getTime();
+}
+
+/**
+ * Resolve the current and previous windows for a retrospective period.
+ * For sprints, pass Linear cycles ({ current, previous } from fetchCycles) to use the
+ * team's real cycle boundaries; without them a fixed 14-day window is used.
+ * Returns { period, title, label, current: { from, to }, previous: { from, to } }.
+ */
+function resolvePeriod(period, { cycles = null, now = new Date() } = {}) {
+  const spec = PERIODS[period];
+  if (!spec) throw new Error(`Unknown period "${period}" (expected ${Object.keys(PERIODS).join(', ')})`);
+
+  if (period === 'sprint' && cycles?.current) {
+    const current = { from: new Date(cycles.current.startsAt), to: now };
+    const previous = cycles.previous
+      ? { from: new Date(cycles.previous.startsAt), to: new Date(cycles.previous.endsAt) }
+      : { from: new Date(current.from.getTime() - spec.days * DAY_MS), to: current.from };
+    const name = cycles.current.name || `Sprint ${cycles.current.number}`;
+    return {
+      period,
+      title: spec.title,
+      label: `${name} (${fmtDay(current.from)} – ${fmtDay(new Date(cycles.current.endsAt))})`,
+      current,
+      previous,
+    };
+  }
+
+  const current = { from: new Date(now.getTime() - spec.days * DAY_MS), to: now };
+  const previous = { from: new Date(current.from.getTime() - spec.days * DAY_MS), to: current.from };
+  return {
+    period,
+    title: spec.title,
+    label: `${fmtDay(current.from)} – ${fmtDay(now)}`,
+    current,
+    previous,
+  };
+}
+
+/**
+ * Keep only the collectGitData records that happened inside range.
+ * PRs count if they were created, merged or closed in it; issues if they were created or closed.
+ */
+function filterGitData(data, range) {
+  const prTimes = (pr) => [pr.times?.createdAt || pr.createdAt, pr.times?.mergedAt || pr.mergedAt, pr.times?.closedAt || pr.closedAt];
+  return {
+    commits: data.commits.filter((c) => inRange(c.date, range)),
+    prs: data.prs.filter((pr) => prTimes(pr).some((t) => inRange(t, range))),
+    reviews: data.reviews.filter((r) => inRange(r.submittedAt, range)),
+    comments: data.comments.filter((c) => inRange(c.createdAt, range)),
+    issues: data.issues.filter((i) => [i.createdAt, i.closedAt].some((t) => inRange(t, range))),
+    releases: data.releases.filter((r) => inRange(r.publishedAt, range)),
+    branchEvents: data.branchEvents.filter((b) => !b.createdAt || inRange(b.createdAt, range)),
+    memberEvents: data.memberEvents.filter((m) => !m.createdAt || inRange(m.createdAt, range)),
+    workflowRuns: (data.workflowRuns || []).filter((r) => inRange(r.createdAt, range)),
+    deployments: (data.deployments || []).filter((d) => inRange(d.statusAt || d.createdAt, range)),
+  };
+}
+
+/**
+ * Keep only the fetchLinearActivity records that happened inside range.
+ */
+function filterLinearData(data, range) {
+  const issues = [...data.newIssues, ...data.activeIssues].filter((i) => inRange(i.updatedAt, range));
+  return {
+    newIssues: issues.filter((i) => inRange(i.createdAt, range)),
+    activeIssues: issues.filter((i) => !inRange(i.createdAt, range)),
+    recentComments: data.recentComments.filter((c) => inRange(c.createdAt, range)),
+    transitions: (data.transitions || []).filter((t) => inRange(t.at, range)),
+  };
+}
+
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+/**
+ * Per-person, per-repo and total GitHub throughput for one window.
+ * Returns { totals, people, repos } where merge latency is the median hours from open to merge.
+ */
+function computeGitStats(data, range, authorMap = {}) {
+  const n = (author) => authorMap[author] || author;
+  const totals = { commits: 0, prsOpened: 0, prsMerged: 0, reviews: 0, comments: 0, releases: 0, medianMergeHours: null };
+  const people = {};
+  const repos = {};
+  const person = (name) => (people[name] ||= { commits: 0, prsOpened: 0, prsMerged: 0, reviews: 0, comments: 0 });
+  const repo = (name) => (repos[name] ||= { commits: 0, prsOpened: 0, prsMerged: 0, reviews: 0 });
+  const latencies = [];
+
+  for (const c of data.commits) {
+    if (!inRange(c.date, range)) continue;
+    totals.commits++;
+    person(n(c.author)).commits++;
+    repo(c.repo).commits++;
+  }
+
+  for (const pr of data.prs) {
+    const createdAt = pr.times?.createdAt || pr.createdAt;
+    const mergedAt = pr.times?.mergedAt || pr.mergedAt;
+    if (inRange(createdAt, range)) {
+      totals.prsOpened++;
+      person(n(pr.author)).prsOpened++;
+      repo(pr.repo).prsOpened++;
+    }
+    if (inRange(mergedAt, range)) {
+      totals.prsMerged++;
+      person(n(pr.author)).prsMerged++;
+      repo(pr.repo).prsMerged++;
+      const hours = (toTime(mergedAt) - toTime(createdAt)) / (60 * 60 * 1000);
+      if (hours >= 0) latencies.push(hours);
+    }
+  }
+
+  for (const r of data.reviews) {
+    if (!inRange(r.submittedAt, range)) continue;
+    totals.reviews++;
+    person(n(r.reviewer)).reviews++;
+    repo(r.repo).reviews++;
+  }
+
+  for (const c of data.comments) {
+    if (!inRange(c.createdAt, range)) continue;
+    totals.comments++;
+    person(n(c.author)).comments++;
+  }
+
+  totals.releases = data.releases.filter((r) => inRange(r.publishedAt, range)).length;
+  totals.medianMergeHours = median(latencies);
+
+  return { totals, people, repos };
+}
+
+/**
+ * Per-assignee and total Linear throughput for one window.
+ * Pass fetchLinearActivity data fetched far enough back to cover range.
+ */
+function computeLinearStats(data, range, authorMap = {}) {
+  const totals = { created: 0, closed: 0, comments: 0, movedBack: 0 };
+  const people = {};
+  const person = (name) => (people[name] ||= { closed: 0, comments: 0 });
+
+  for (const issue of [...data.newIssues, ...data.activeIssues]) {
+    if (inRange(issue.createdAt, range)) totals.created++;
+    if (inRange(issue.completedAt, range)) {
+      totals.closed++;
+      person(mapLinearName(issue.assignee?.displayName, authorMap)).closed++;
+    }
+  }
+
+  for (const c of data.recentComments) {
+    if (!inRange(c.createdAt, range)) continue;
+    totals.comments++;
+    person(mapLinearName(c.author, authorMap)).comments++;
+  }
+
+  for (const t of data.transitions || []) {
+    if (t.backwards && inRange(t.at, range)) totals.movedBack++;
+  }
+
+  return { totals, people };
+}
+
+function delta(cur, prev) {
+  const d = (cur || 0) - (prev || 0);
+  const sign = d > 0 ? '+' : d < 0 ? '-' : '±';
+  const pct = prev && d ? `, ${sign}${Math.round((Math.abs(d) / prev) * 100)}%` : '';
+  return `${cur || 0} (${sign}${Math.abs(d)}${pct})`;
+}
+
+function hoursLabel(hours) {
+  if (hours === null) return 'n/a';
+  return hours >= 48 ? `${(hours / 24).toFixed(1)}d` : `${hours.toFixed(1)}h`;
+}
+
+/**
+ * Format current vs previous GitHub stats as plain text for the retro prompt.
+ */
+function formatGitTrends(cur, prev) {
+  const lines = ['TOTALS (this period, change vs previous period):'];
+  lines.push(`- Commits: ${delta(cur.totals.commits, prev.totals.commits)}`);
+  lines.push(`- PRs opened: ${delta(cur.totals.prsOpened, prev.totals.prsOpened)}`);
+  lines.push(`- PRs merged: ${delta(cur.totals.prsMerged, prev.totals.prsMerged)}`);
+  lines.push(`- Reviews: ${delta(cur.totals.reviews, prev.totals.reviews)}`);
+  lines.push(`- Comments: ${delta(cur.totals.comments, prev.totals.comments)}`);
+  lines.push(`- Releases: ${delta(cur.totals.releases, prev.totals.releases)}`);
+  lines.push(`- Median merge latency: ${hoursLabel(cur.totals.medianMergeHours)} (previous: ${hoursLabel(prev.totals.medianMergeHours)})`);
+
+  const repoScore = (r) => r.commits + r.prsMerged * 3 + r.reviews;
+  const repoNames = Object.keys(cur.repos).sort((a, b) => repoScore(cur.repos[b]) - repoScore(cur.repos[a]));
+  if (repoNames.length > 0) {
+    lines.push('\nREPOS (busiest first):');
+    for (const name of repoNames) {
+      const c = cur.repos[name];
+      const p = prev.repos[name] || {};
+      lines.push(`- ${name}: commits ${delta(c.commits, p.commits)}, PRs merged ${delta(c.prsMerged, p.prsMerged)}, reviews ${delta(c.reviews, p.reviews)}`);
+    }
+  }
+
+  const names = [...new Set([...Object.keys(cur.people), ...Object.keys(prev.people)])]
+    .sort((a, b) => (cur.people[b]?.commits || 0) - (cur.people[a]?.commits || 0));
+  if (names.length > 0) {
+    lines.push('\nPEOPLE:');
+    for (const name of names) {
+      const c = cur.people[name] || {};
+      const p = prev.people[name] || {};
+      lines.push(`- ${name}: commits ${delta(c.commits, p.commits)}, PRs opened ${delta(c.prsOpened, p.prsOpened)}, PRs merged ${delta(c.prsMerged, p.prsMerged)}, reviews ${delta(c.reviews, p.reviews)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Format current vs previous Linear stats as plain text for the retro prompt.
+ */
+function formatLinearTrends(cur, prev) {
+  const lines = ['TOTALS (this period, change vs previous period):'];
+  lines.push(`- Tickets created: ${delta(cur.totals.created, prev.totals.created)}`);
+  lines.push(`- Tickets closed: ${delta(cur.totals.closed, prev.totals.closed)}`);
+  lines.push(`- Comments: ${delta(cur.totals.comments, prev.totals.comments)}`);
+  lines.push(`- Moves back to an earlier status: ${delta(cur.totals.movedBack, prev.totals.movedBack)}`);
+
+  const names = [...new Set([...Object.keys(cur.people), ...Object.keys(prev.people)])]
+    .sort((a, b) => (cur.people[b]?.closed || 0) - (cur.people[a]?.closed || 0));
+  if (names.length > 0) {
+    lines.push('\nPEOPLE:');
+    for (const name of names) {
+      const c = cur.people[name] || {};
+      const p = prev.people[name] || {};
+      lines.push(`- ${name}: closed ${delta(c.closed, p.closed)}, comments ${delta(c.comments, p.comments)}`);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  PERIODS,
+  resolvePeriod,
+  filterGitData,
+  filterLinearData,
+  computeGitStats,
+  computeLinearStats,
+  formatGitTrends,
+  formatLinearTrends,
+  hoursLabel,
+};
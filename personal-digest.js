@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+// Personal digests: DMs each subscribed team member their own slice of the activity — PRs
+// waiting on their review, reviews and comments on their PRs, their Linear tickets that
+// changed, and comments that mention them. People opt in with `/devbot digest on`; they're
+// matched through slackUserMap (GitHub logins) and linearSlackUserMap (Linear names).
+//
+// Usage: node personal-digest.js [--dry-run] [--team=<name>] [--user=<slack user id>] [--hours=N | --since=<iso>]
+const fs = require('fs');
+const path = require('path');
+const { createGitHubClient, resolveGitHubToken } = require('./github-client');
+const { collectGitData, fetchOpenPullRequests } = require('./github-utils');
+const { createActivityFilter } = require('./filter-utils');
+const { openActivityStore, recordGitData, recordLinearData } = require('./activity-store');
+const { openSubscriptions, personIdentities, buildPersonalDigest, digestCount } = require('./digest-utils');
+const { renderPersonalDigest } = require('./slack-blocks');
+const {
+  resolveTeams,
+  selectTeams,
+  teamSuffix,
+  linearTeamIds,
+  teamRepoMatcher,
+  fetchTeamLinearActivity,
+} = require('./team-utils');
+const {
+  openCursors,
+  cursorKey,
+  teamTimezone,
+  holdForWeekend,
+  resolveWindow,
+  describeWindow,
+} = require('./cursor-utils');
+
+const SCRIPT_DIR = __dirname;
+const CONFIG = JSON.parse(fs.readFileSync(path.join(SCRIPT_DIR, 'config.json'), 'utf8'));
+const STORE_DIR = path.resolve(SCRIPT_DIR, CONFIG.dataDir || 'data');
+const SLACK_API_URL = process.env.SLACK_API_URL || 'https://slack.com/api';
+
+// Parse args
+let dryRun = false;
+let teamName = null;
+let userId = null;
+let lookbackHours = null;
+let sinceArg = null;
+
+for (const arg of process.argv.slice(2)) {
+  if (arg === '--dry-run') dryRun = true;
+  if (arg.startsWith('--team=')) teamName = arg.split('=')[1];
+  if (arg.startsWith('--user=')) userId = arg.split('=')[1];
+  if (arg.startsWith('--hours=')) lookbackHours = parseInt(arg.split('=')[1], 10);
+  if (arg.startsWith('--since=')) sinceArg = arg.slice('--since='.length);
+}
+
+const log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`);
+
+async function slackApi(method, body) {
+  const res = await fetch(`${SLACK_API_URL}/${method}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json; charset=utf-8',
+      'Authorization': `Bearer ${CONFIG.slackBotToken}`,
+    },
+    body: JSON.stringify(body),
+  });
+  if (!res.ok) throw new Error(`Slack ${method} returned HTTP ${res.status}`);
+  const json = await res.json();
+  if (!json.ok) throw new Error(`Slack ${method} failed: ${json.error}`);
+  return json;
+}
+
+async function sendDM(user, message) {
+  const { channel } = await slackApi('conversations.open', { users: user });
+  await slackApi('chat.postMessage', { channel: channel.id, ...message });
+}
+
+// --- Main ---
+
+// One team's digests. Throws on failure so other teams still run.
+async function digestTeam(team, client, subscriptions) {
+  // Subscribers this team can build a digest for — anyone mapped in its user maps
+  const people = subscriptions
+    .map((sub) => ({ userId: sub.userId, ...personIdentities([team], sub.userId) }))
+    .filter((p) => p.githubLogins.length > 0 || p.linearNames.length > 0);
+  if (people.length === 0) {
+    log('No subscribers mapped in slackUserMap or linearSlackUserMap — skipping');
+    return;
+  }
+
+  // Each run picks up where the last one's DMs left off (see cursor-utils). A --user run is a
+  // one-off for that person, so it leaves the cursor alone.
+  const timeZone = teamTimezone(team);
+  const cursors = openCursors(STORE_DIR);
+  const key = cursorKey('personal-digest', team);
+  const collection = resolveWindow({
+    since: sinceArg,
+    hours: lookbackHours,
+    cursor: cursors.get(key),
+    maxHours: team.maxLookbackHours,
+    timeZone,
+  });
+  if (holdForWeekend(team, collection, { cursors, key, timeZone, dryRun, log })) {
+    log('Weekend — holding activity for the Monday catch-up digests (weekendCatchUp)');
+    return;
+  }
+  const span = describeWindow(collection, timeZone);
+  log(`${people.length} subscriber${people.length === 1 ? '' : 's'}, collecting from ${collection.from.toISOString()} (${collection.source})`);
+
+  const filter = createActivityFilter(team.filters);
+  const repoOptions = {
+    org: team.org,
+    extraRepos: team.extraRepos || [],
+    repoFilter: team.repos ? teamRepoMatcher(team) : null,
+    filter,
+    concurrency: team.githubConcurrency || 6,
+    log,
+  };
+  const gitData = await collectGitData(client, { ...repoOptions, since: collection.from.toISOString(), builds: false });
+  const openPRs = await fetchOpenPullRequests(client, repoOptions);
+
+  let linearData = null;
+  if (process.env.LINEAR_API_KEY && linearTeamIds(team).length > 0) {
+    const hours = (Date.now() - collection.from.getTime()) / (60 * 60 * 1000);
+    try {
+      linearData = await fetchTeamLinearActivity(process.env.LINEAR_API_KEY, team, hours, { commentLimit: 200 });
+    } catch (e) {
+      log(`Linear fetch failed (non-fatal): ${e.message}`);
+    }
+  }
+
+  try {
+    const store = openActivityStore(STORE_DIR, { retentionDays: CONFIG.storeRetentionDays });
+    const added = recordGitData(store, gitData) + (linearData ? recordLinearData(store, linearData) : 0);
+    log(`Activity store: ${added} new records in ${STORE_DIR}`);
+  } catch (e) {
+    log(`Activity store write failed (non-fatal): ${e.message}`);
+  }
+
+  const title = `Your dev digest${teamSuffix(team)} — ${span.heading}${span.multiDay ? ` (${span.note})` : ''}`;
+  let sentPeople = 0;
+  let sentItems = 0;
+  const failedUsers = [];
+  for (const person of people) {
+    const digest = buildPersonalDigest({ gitData, openPRs, linearData, ...person });
+    const count = digestCount(digest);
+    const who = [...new Set([...person.githubLogins, ...person.linearNames])].join(' / ');
+    if (count === 0) {
+      log(`${who}: nothing new — no DM`);
+      continue;
+    }
+
+    const message = renderPersonalDigest(digest, {
+      title,
+      authorMap: team.authorMap || {},
+      linearAuthorMap: team.linearAuthorMap || {},
+      linearOrg: team.linearOrg || 'your-org',
+    });
+
+    if (dryRun) {
+      log(`DRY RUN — would DM ${person.userId} (${who}):`);
+      console.log('---');
+      console.log(message.text);
+      console.log('---');
+      continue;
+    }
+
+    try {
+      await sendDM(person.userId, message);
+      log(`${who}: sent ${count} item${count === 1 ? '' : 's'}`);
+      sentPeople++;
+      sentItems += count;
+    } catch (e) {
+      log(`${who}: DM failed: ${e.message}`);
+      failedUsers.push(`${person.userId} (${who})`);
+    }
+  }
+
+  if (!dryRun) log(`Delivered ${sentItems} item${sentItems === 1 ? '' : 's'} to ${sentPeople} of ${people.length} subscriber${people.length === 1 ? '' : 's'}`);
+
+  // One undeliverable DM (a deactivated user, a refused conversations.open) mustn't hold the
+  // cursor back for everyone else — only a run where every DM failed leaves it for a retry
+  const delivered = sentPeople > 0 || failedUsers.length === 0;
+  if (!dryRun && !userId && delivered) {
+    try {
+      cursors.set(key, collection.to.toISOString());
+    } catch (e) {
+      log(`Cursor write failed (non-fatal): ${e.message}`);
+    }
+  }
+  if (failedUsers.length > 0) {
+    throw new Error(`DMs failed for ${failedUsers.length} of ${people.length} subscribers: ${failedUsers.join(', ')}${delivered ? '' : ' — cursor not moved'}`);
+  }
+}
+
+async function main() {
+  const teams = selectTeams(resolveTeams(CONFIG), teamName);
+
+  if (!dryRun && !CONFIG.slackBotToken) {
+    log('ERROR: slackBotToken not set in config.json');
+    process.exit(1);
+  }
+
+  let subscriptions = openSubscriptions(STORE_DIR).list();
+  if (userId) {
+    // Only subscribers get DMs; a dry run can preview anyone's digest
+    subscriptions = subscriptions.some((s) => s.userId === userId) || dryRun ? [{ userId }] : [];
+    if (subscriptions.length === 0) {
+      log(`ERROR: ${userId} isn't subscribed — they can opt in with /devbot digest on (or use --dry-run to preview)`);
+      process.exit(1);
+    }
+  }
+  if (subscriptions.length === 0) {
+    log('No one has subscribed to personal digests (/devbot digest on). Nothing to do.');
+    process.exit(0);
+  }
+
+  const token = resolveGitHubToken();
+  if (!token) {
+    log('ERROR: no GitHub token — set GITHUB_TOKEN or run gh auth login');
+    process.exit(1);
+  }
+
+  const client = createGitHubClient({
+    token,
+    baseUrl: process.env.GITHUB_API_URL || CONFIG.githubApiUrl,
+  });
+
+  let failed = 0;
+  for (const team of teams) {
+    if (team.multi) log(`=== Team ${team.name} ===`);
+    try {
+      await digestTeam(team, client, subscriptions);
+    } catch (e) {
+      log(`ERROR${teamSuffix(team)}: ${e.message}`);
+      failed++;
+    }
+  }
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+  log(`ERROR: ${e.message}`);
+  process.exit(1);
+});
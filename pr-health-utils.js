@@ -0,0 +1,135 @@
+const HOUR_MS = 60 * 60 * 1000;
+
+// Overridable via config.json → stalePRs
+const DEFAULT_THRESHOLDS = {
+  maxAgeHours: 72,
+  reviewWaitHours: 24,
+  changesRequestedIdleHours: 48,
+  reviewIdleHours: 48,
+  includeDrafts: false,
+};
+
+const hoursSince = (iso, now) => (iso ? (now.getTime() - Date.parse(iso)) / HOUR_MS : 0);
+
+function durationLabel(hours) {
+  return hours >= 48 ? `${Math.floor(hours / 24)}d` : `${Math.max(1, Math.round(hours))}h`;
+}
+
+// Each reviewer's most recent verdict — COMMENTED doesn't override an approval or change request
+function latestVerdicts(reviews) {
+  const verdicts = new Map();
+  for (const r of reviews) {
+    if (r.state === 'COMMENTED' && verdicts.has(r.reviewer)) continue;
+    verdicts.set(r.reviewer, r);
+  }
+  return verdicts;
+}
+
+/**
+ * Check open PRs (from fetchOpenPullRequests) against the stale thresholds.
+ * Returns only PRs that need attention, oldest first, as
+ * { pr, ageHours, sinceReviewHours, reasons: [{ code, hours, who, teams }] } where `who` are the
+ * logins to nudge and sinceReviewHours is the time since the last review (null before any):
+ *   review-wait        requested reviewers haven't reviewed for reviewWaitHours since their own
+ *                      request; `waits` has each one's hours, keyed by login or `team:<slug>`
+ *   no-reviewer        nobody requested and no reviews after reviewWaitHours (nudges the author)
+ *   changes-requested  changes requested, no new commits for changesRequestedIdleHours
+ *   review-idle        reviewed, no pending requests or unanswered change requests, and no review
+ *                      for reviewIdleHours — nudges the reviewers, or the author once approved
+ *   ci-failing         the head commit's checks are failing
+ *   old                open longer than maxAgeHours
+ */
+function assessOpenPRs(prs, thresholds = {}, now = new Date()) {
+  const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const flagged = [];
+
+  for (const pr of prs) {
+    if (pr.isDraft && !t.includeDrafts) continue;
+    const ageHours = hoursSince(pr.createdAt, now);
+    const reasons = [];
+
+    const hasRequests = pr.requestedReviewers.length > 0 || pr.requestedTeams.length > 0;
+    if (hasRequests) {
+      // Each reviewer's wait runs from their own request; only those past the threshold are nudged
+      const waits = {};
+      for (const key of [...pr.requestedReviewers, ...pr.requestedTeams.map((slug) => `team:${slug}`)]) {
+        const hours = hoursSince(pr.reviewRequestTimes?.[key] || pr.createdAt, now);
+        if (hours >= t.reviewWaitHours) waits[key] = hours;
+      }
+      if (Object.keys(waits).length > 0) {
+        reasons.push({
+          code: 'review-wait',
+          hours: Math.max(...Object.values(waits)),
+          who: pr.requestedReviewers.filter((login) => login in waits),
+          teams: pr.requestedTeams.filter((slug) => `team:${slug}` in waits),
+          waits,
+        });
+      }
+    } else if (pr.reviews.length === 0 && ageHours >= t.reviewWaitHours) {
+      reasons.push({ code: 'no-reviewer', hours: ageHours, who: [pr.author], teams: [] });
+    }
+
+    const verdicts = [...latestVerdicts(pr.reviews).values()].filter((r) => r.reviewer !== pr.author);
+    const changeRequests = verdicts.filter((r) => r.state === 'CHANGES_REQUESTED');
+    let waitingOnAuthor = false;
+    if (changeRequests.length > 0) {
+      const latest = changeRequests.map((r) => r.submittedAt).sort().pop();
+      const idleHours = hoursSince(latest, now);
+      waitingOnAuthor = !(pr.lastCommitAt && pr.lastCommitAt > latest);
+      if (waitingOnAuthor && idleHours >= t.changesRequestedIdleHours) {
+        reasons.push({ code: 'changes-requested', hours: idleHours, who: [pr.author], teams: [] });
+      }
+    }
+
+    // GitHub drops a reviewer's request once they review, so a reviewed PR with nothing pending
+    // would otherwise never be flagged
+    const sinceReviewHours = pr.lastReviewAt ? hoursSince(pr.lastReviewAt, now) : null;
+    if (!hasRequests && !waitingOnAuthor && sinceReviewHours !== null && sinceReviewHours >= t.reviewIdleHours) {
+      const approved = changeRequests.length === 0 && verdicts.some((r) => r.state === 'APPROVED');
+      const who = approved ? [pr.author] : verdicts.map((r) => r.reviewer);
+      reasons.push({ code: 'review-idle', hours: sinceReviewHours, who, teams: [] });
+    }
+
+    if (pr.ciState === 'FAILURE' || pr.ciState === 'ERROR') {
+      reasons.push({ code: 'ci-failing', hours: hoursSince(pr.lastCommitAt, now), who: [pr.author], teams: [] });
+    }
+
+    if (ageHours >= t.maxAgeHours) {
+      reasons.push({ code: 'old', hours: ageHours, who: [], teams: [] });
+    }
+
+    if (reasons.length > 0) flagged.push({ pr, ageHours, sinceReviewHours, reasons });
+  }
+
+  return flagged.sort((a, b) => b.ageHours - a.ageHours);
+}
+
+/**
+ * Review bottlenecks: reviewers (and teams) that flagged PRs are waiting on,
+ * busiest first, as [{ login, team, count, longestHours }].
+ */
+function reviewerLoad(flagged) {
+  const load = new Map();
+  for (const { reasons } of flagged) {
+    const wait = reasons.find((r) => r.code === 'review-wait');
+    if (!wait) continue;
+    const entries = [
+      ...wait.who.map((login) => ({ key: login, login, team: null })),
+      ...wait.teams.map((team) => ({ key: `team:${team}`, login: null, team })),
+    ];
+    for (const { key, login, team } of entries) {
+      const entry = load.get(key) || { login, team, count: 0, longestHours: 0 };
+      entry.count++;
+      entry.longestHours = Math.max(entry.longestHours, wait.waits?.[key] ?? wait.hours);
+      load.set(key, entry);
+    }
+  }
+  return [...load.values()].sort((a, b) => b.count - a.count || b.longestHours - a.longestHours);
+}
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  assessOpenPRs,
+  reviewerLoad,
+  durationLabel,
+};
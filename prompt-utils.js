@@ -0,0 +1,223 @@
+// A prompt's data sections share this many tokens unless maxPromptTokens says otherwise
+const DEFAULT_PROMPT_TOKENS = 80000;
+// Room kept for a prompt's hand-written instructions, rules and the question itself
+const RESERVE_TOKENS = 3000;
+// Map calls see at most this much data each, however large the budget
+const MAX_CHUNK_TOKENS = 24000;
+const MIN_CHUNK_TOKENS = 1000;
+const MAX_REDUCE_ROUNDS = 3;
+
+// ~4 characters per token for English and code — close enough for budgeting
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+const tokensLabel = (tokens) => (tokens >= 1000 ? `~${(tokens / 1000).toFixed(1)}k` : `~${tokens}`);
+
+/**
+ * The token budget for one prompt: the team's maxPromptTokens, or the default.
+ */
+function promptBudget(team = {}) {
+  return team.maxPromptTokens > 0 ? team.maxPromptTokens : DEFAULT_PROMPT_TOKENS;
+}
+
+/**
+ * Cut text to about maxTokens on a line boundary, saying how much was cut. keep: 'start'
+ * keeps the first lines (data sorted by importance), 'end' the last (conversation history).
+ */
+function truncateToTokens(text, maxTokens, { keep = 'start' } = {}) {
+  if (estimateTokens(text) <= maxTokens) return text;
+  const lines = text.split('\n');
+  const ordered = keep === 'end' ? [...lines].reverse() : lines;
+  const kept = [];
+  let used = 0;
+  for (const line of ordered) {
+    const cost = estimateTokens(line) + 1;
+    if (used + cost > maxTokens) break;
+    kept.push(line);
+    used += cost;
+  }
+  const note = `[… ${lines.length - kept.length} of ${lines.length} lines cut to fit the prompt budget]`;
+  return keep === 'end' ? [note, ...kept.reverse()].join('\n') : [...kept, note].join('\n');
+}
+
+/**
+ * Split a token budget across prompt sections ({ name, text, fixed, weight, min }).
+ * Fixed sections are kept whole; the others share what's left in proportion to their
+ * weight, and a section that needs less than its share passes the rest on.
+ * Returns { [name]: tokens } — a section's own size when it fits.
+ */
+function allocateBudget(sections, budget, reserve = RESERVE_TOKENS) {
+  const allotted = {};
+  let available = budget - reserve;
+  for (const s of sections.filter((s) => s.fixed)) {
+    allotted[s.name] = estimateTokens(s.text);
+    available -= allotted[s.name];
+  }
+
+  let remaining = sections.filter((s) => !s.fixed);
+  while (remaining.length > 0) {
+    const totalWeight = remaining.reduce((sum, s) => sum + (s.weight || 1), 0);
+    const share = (s) => Math.floor(Math.max(0, available) * (s.weight || 1) / totalWeight);
+    const fits = remaining.filter((s) => estimateTokens(s.text) <= share(s));
+    if (fits.length === 0) {
+      for (const s of remaining) allotted[s.name] = Math.max(s.min || 0, share(s));
+      break;
+    }
+    for (const s of fits) {
+      allotted[s.name] = estimateTokens(s.text);
+      available -= allotted[s.name];
+    }
+    remaining = remaining.filter((s) => !fits.includes(s));
+  }
+  return allotted;
+}
+
+/**
+ * Pack groups ({ label, text }) into chunks of at most chunkTokens, keeping each group whole
+ * where it fits; a group too big for one chunk is split on line boundaries.
+ * Returns [{ labels, text }].
+ */
+function packChunks(groups, chunkTokens) {
+  const chunks = [];
+  let current = null;
+  const flush = () => {
+    if (current) chunks.push({ labels: current.labels, text: current.parts.join('\n\n') });
+    current = null;
+  };
+  const add = (label, text) => {
+    if (!text.trim()) return;
+    const cost = estimateTokens(text);
+    if (current && current.tokens + cost > chunkTokens) flush();
+    if (!current) current = { labels: [], parts: [], tokens: 0 };
+    if (!current.labels.includes(label)) current.labels.push(label);
+    current.parts.push(text);
+    current.tokens += cost;
+  };
+
+  for (const { label, text } of groups) {
+    if (!text) continue;
+    if (estimateTokens(text) <= chunkTokens) {
+      add(label, text);
+      continue;
+    }
+    let piece = [];
+    let used = 0;
+    for (const line of text.split('\n')) {
+      const cost = estimateTokens(line) + 1;
+      if (piece.length > 0 && used + cost > chunkTokens) {
+        add(label, piece.join('\n'));
+        flush();
+        piece = [];
+        used = 0;
+      }
+      piece.push(line.length > chunkTokens * 4 ? line.slice(0, chunkTokens * 4) : line);
+      used += Math.min(cost, chunkTokens);
+    }
+    if (piece.length > 0) add(label, piece.join('\n'));
+  }
+  flush();
+  return chunks;
+}
+
+/**
+ * Condense groups of data that don't fit a prompt: each chunk is summarized on its own (map),
+ * then the notes are merged (reduce) until they fit targetTokens — at most MAX_REDUCE_ROUNDS
+ * rounds, or until a round stops shrinking them, after which they're truncated.
+ * mapPrompt(text, labels, words) and reducePrompt(text, words) build the two prompts; `words`
+ * is the length to ask for. Returns { text, chunks, calls, rounds }.
+ */
+async function mapReduce(llm, stage, groups, { targetTokens, chunkTokens, mapPrompt, reducePrompt, log = () => {} }) {
+  const chunks = packChunks(groups, chunkTokens);
+  const wordsFor = (tokens) => Math.max(100, Math.floor(tokens * 0.7));
+  const perChunk = Math.floor(targetTokens / chunks.length);
+  let calls = 0;
+
+  const notes = [];
+  for (const [i, chunk] of chunks.entries()) {
+    log(`  Map ${i + 1}/${chunks.length}: ${chunk.labels.join(', ')} (${tokensLabel(estimateTokens(chunk.text))} tokens)`);
+    notes.push(await llm.complete(stage, mapPrompt(chunk.text, chunk.labels, wordsFor(perChunk)), { maxTokens: Math.ceil(perChunk * 1.5) }));
+    calls++;
+  }
+
+  let text = notes.join('\n\n');
+  let rounds = 0;
+  while (estimateTokens(text) > targetTokens && rounds < MAX_REDUCE_ROUNDS) {
+    rounds++;
+    const batches = packChunks(notes.splice(0).map((note, i) => ({ label: `notes ${i + 1}`, text: note })), chunkTokens);
+    const perBatch = Math.floor(targetTokens / batches.length);
+    for (const batch of batches) {
+      notes.push(await llm.complete(stage, reducePrompt(batch.text, wordsFor(perBatch)), { maxTokens: Math.ceil(perBatch * 1.5) }));
+      calls++;
+    }
+    const merged = notes.join('\n\n');
+    log(`  Reduce round ${rounds}: ${batches.length} merged to ${tokensLabel(estimateTokens(merged))} tokens`);
+    // A round that doesn't shrink the notes won't be helped by another
+    const shrunk = estimateTokens(merged) < estimateTokens(text);
+    text = merged;
+    if (!shrunk) break;
+  }
+
+  return { text: truncateToTokens(text, targetTokens), chunks: chunks.length, calls, rounds };
+}
+
+/**
+ * Fit a prompt's sections into the budget. Sections are { name, text, fixed, weight, min,
+ * keep, groups }: fixed ones (trends, mappings) are kept whole, the rest share the budget by
+ * weight (see allocateBudget). A section over its share is map-reduced when it has `groups`
+ * ([{ label, text }], e.g. one per repo or person) and an llm is given; what that frees up is
+ * shared again, and sections still over their share are truncated (keep: 'start' | 'end').
+ * Logs every section it compresses; a failed map-reduce falls back to truncating.
+ * Returns { texts: { [name]: text }, compressed: [name] } — compressed lists the map-reduced ones.
+ */
+async function fitPrompt(sections, { budget = DEFAULT_PROMPT_TOKENS, reserve = RESERVE_TOKENS, llm = null, stage = null, mapPrompt, reducePrompt, log = () => {} } = {}) {
+  const present = sections.filter((s) => s.text);
+  const total = present.reduce((sum, s) => sum + estimateTokens(s.text), 0);
+  const texts = Object.fromEntries(sections.map((s) => [s.name, s.text || '']));
+  if (total + reserve <= budget) return { texts, compressed: [] };
+
+  log(`Prompt over budget: ${tokensLabel(total)} tokens of data for a ${tokensLabel(budget)}-token prompt`);
+  const compressed = [];
+  if (llm && stage) {
+    const allotted = allocateBudget(present, budget, reserve);
+    const chunkTokens = Math.min(MAX_CHUNK_TOKENS, Math.max(MIN_CHUNK_TOKENS, Math.floor((budget - reserve) / 2)));
+    for (const s of present.filter((s) => s.groups && !s.fixed && estimateTokens(s.text) > allotted[s.name])) {
+      const size = estimateTokens(s.text);
+      const groups = typeof s.groups === 'function' ? s.groups() : s.groups;
+      log(`Map-reducing ${s.name} (${tokensLabel(size)} → ${tokensLabel(allotted[s.name])} tokens) over ${groups.length} group${groups.length === 1 ? '' : 's'} via ${llm.describe(stage)}`);
+      try {
+        const result = await mapReduce(llm, stage, groups, {
+          targetTokens: allotted[s.name],
+          chunkTokens,
+          mapPrompt: (text, labels, words) => mapPrompt(s.name, text, labels, words),
+          reducePrompt: (text, words) => reducePrompt(s.name, text, words),
+          log,
+        });
+        texts[s.name] = result.text;
+        compressed.push(s.name);
+        log(`Compressed ${s.name}: ${tokensLabel(size)} → ${tokensLabel(estimateTokens(result.text))} tokens (${result.chunks} chunk${result.chunks === 1 ? '' : 's'}, ${result.calls} LLM calls, ${result.rounds} reduce round${result.rounds === 1 ? '' : 's'})`);
+      } catch (e) {
+        log(`Map-reduce of ${s.name} failed (non-fatal), truncating instead: ${e.message}`);
+      }
+    }
+  }
+
+  // Condensed sections now take only what they need; the rest share what's left
+  const settled = present.map((s) => (compressed.includes(s.name) ? { ...s, text: texts[s.name], fixed: true } : s));
+  const allotted = allocateBudget(settled, budget, reserve);
+  for (const s of settled) {
+    const size = estimateTokens(s.text);
+    if (s.fixed || size <= allotted[s.name]) continue;
+    texts[s.name] = truncateToTokens(s.text, allotted[s.name], { keep: s.keep });
+    log(`Truncated ${s.name}: ${tokensLabel(size)} → ${tokensLabel(estimateTokens(texts[s.name]))} tokens`);
+  }
+  return { texts, compressed };
+}
+
+module.exports = {
+  estimateTokens,
+  promptBudget,
+  truncateToTokens,
+  allocateBudget,
+  packChunks,
+  mapReduce,
+  fitPrompt,
+};
@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+// Replay GitHub webhook payloads against the bot's webhook endpoint, signed like GitHub signs them.
+// The event name comes from the file name: "pull_request.closed.json" is sent as a pull_request event.
+// Timestamps are shifted so each payload's latest one is "now" (otherwise old fixtures fall outside
+// storeRetentionDays); pass --keep-times to send them untouched.
+//
+// Usage: node replay-webhooks.js [--url=http://localhost:3001/github/webhook] [--keep-times] [file.json | dir ...]
+// Defaults to every payload in fixtures/github-webhooks. Needs GITHUB_WEBHOOK_SECRET or githubWebhookSecret.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SCRIPT_DIR = __dirname;
+const configPath = path.join(SCRIPT_DIR, 'config.json');
+const CONFIG = fs.existsSync(configPath) ? JSON.parse(fs.readFileSync(configPath, 'utf8')) : {};
+
+// Parse args
+let url = `http://localhost:${CONFIG.githubWebhookPort || 3001}${CONFIG.githubWebhookPath || '/github/webhook'}`;
+let keepTimes = false;
+const inputs = [];
+
+for (const arg of process.argv.slice(2)) {
+  if (arg.startsWith('--url=')) url = arg.slice('--url='.length);
+  else if (arg === '--keep-times') keepTimes = true;
+  else inputs.push(arg);
+}
+if (inputs.length === 0) inputs.push(path.join(SCRIPT_DIR, 'fixtures', 'github-webhooks'));
+
+const log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`);
+
+function payloadFiles(input) {
+  if (!fs.statSync(input).isDirectory()) return [input];
+  return fs.readdirSync(input)
+    .filter((f) => f.endsWith('.json'))
+    .sort()
+    .map((f) => path.join(input, f));
+}
+
+const ISO_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+// Move every ISO timestamp in the payload by the same amount, so the latest one lands on now
+function retime(payload, now = Date.now()) {
+  const times = [];
+  const walk = (value, fn) => {
+    if (Array.isArray(value)) return value.map((v) => walk(v, fn));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, walk(v, fn)]));
+    }
+    return typeof value === 'string' && ISO_TIME.test(value) ? fn(value) : value;
+  };
+  walk(payload, (t) => times.push(Date.parse(t)));
+  if (times.length === 0) return payload;
+  const shift = now - Math.max(...times);
+  return walk(payload, (t) => new Date(Date.parse(t) + shift).toISOString().replace('.000Z', 'Z'));
+}
+
+async function main() {
+  const secret = process.env.GITHUB_WEBHOOK_SECRET || CONFIG.githubWebhookSecret;
+  if (!secret) {
+    log('ERROR: no webhook secret — set GITHUB_WEBHOOK_SECRET or githubWebhookSecret');
+    process.exit(1);
+  }
+
+  let failed = 0;
+  for (const file of inputs.flatMap(payloadFiles)) {
+    const event = path.basename(file).split('.')[0];
+    const raw = fs.readFileSync(file, 'utf8');
+    const body = keepTimes ? raw : JSON.stringify(retime(JSON.parse(raw)));
+    const signature = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    const res = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-GitHub-Event': event,
+        'X-GitHub-Delivery': crypto.randomUUID(),
+        'X-Hub-Signature-256': signature,
+      },
+      body,
+    });
+    log(`${path.basename(file)} → ${res.status} ${await res.text()}`);
+    if (!res.ok) failed++;
+  }
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+  log(`ERROR: ${e.message}`);
+  process.exit(1);
+});
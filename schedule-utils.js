@@ -0,0 +1,526 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const MINUTE_MS = 60 * 1000;
+const TICK_MS = 30 * 1000;
+const OUTPUT_TAIL = 2000; // characters of a run's output kept in its history record
+const DEFAULT_TIMEOUT_MINUTES = 30;
+const DEFAULT_CATCH_UP_HOURS = 6;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+const CRON_MACROS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+};
+
+function parseCronField(text, spec, expr) {
+  const fail = (why) => { throw new Error(`Invalid cron expression "${expr}": ${spec.name} ${why}`); };
+  const value = (s) => {
+    const named = spec.names ? spec.names.indexOf(s.toLowerCase()) : -1;
+    if (named >= 0) return named + spec.offset;
+    if (!/^\d+$/.test(s)) fail(`"${s}" is not a number`);
+    return parseInt(s, 10);
+  };
+
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : parseInt(stepText, 10);
+    if (!(step > 0)) fail(`step "${stepText}" must be a positive number`);
+
+    let lo;
+    let hi;
+    if (range === '*') {
+      lo = spec.min;
+      hi = spec.max;
+    } else if (range.includes('-')) {
+      [lo, hi] = range.split('-').map(value);
+    } else {
+      lo = value(range);
+      hi = stepText === undefined ? lo : spec.max;
+    }
+    if (lo < spec.min || hi > spec.max || lo > hi) fail(`"${part}" is outside ${spec.min}-${spec.max}`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parse a 5-field cron expression ("minute hour day-of-month month day-of-week") or a
+ * macro like "@daily". Fields take *, lists, ranges, steps and jan-dec / sun-sat names.
+ * Like cron, when both day fields are restricted a day matching either one runs.
+ */
+function parseCron(expr) {
+  const text = CRON_MACROS[String(expr).trim()] || String(expr).trim();
+  const fields = text.split(/\s+/);
+  if (fields.length !== 5) throw new Error(`Invalid cron expression "${expr}": expected 5 fields, got ${fields.length}`);
+  const [minutes, hours, days, months, weekdays] = fields.map((f, i) => parseCronField(f, CRON_FIELDS[i], expr));
+  // 7 is Sunday too
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    expr: String(expr).trim(),
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    anyDay: fields[2].startsWith('*'),
+    anyWeekday: fields[4].startsWith('*'),
+  };
+}
+
+const formatters = new Map();
+
+/**
+ * Wall-clock parts of `date` in an IANA timezone:
+ * { year, month, day, hour, minute, weekday (0 = Sunday), date: "YYYY-MM-DD", time: "HH:MM" }.
+ */
+function zonedParts(date, timeZone) {
+  let fmt = formatters.get(timeZone);
+  if (!fmt) {
+    fmt = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      weekday: 'short',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+    });
+    formatters.set(timeZone, fmt);
+  }
+  const p = Object.fromEntries(fmt.formatToParts(date).map((part) => [part.type, part.value]));
+  return {
+    year: parseInt(p.year, 10),
+    month: parseInt(p.month, 10),
+    day: parseInt(p.day, 10),
+    hour: parseInt(p.hour, 10),
+    minute: parseInt(p.minute, 10),
+    weekday: DAY_NAMES.indexOf(p.weekday.toLowerCase()),
+    date: `${p.year}-${p.month}-${p.day}`,
+    time: `${p.hour}:${p.minute}`,
+  };
+}
+
+function cronDayMatches(cron, parts) {
+  if (!cron.months.has(parts.month)) return false;
+  const dom = cron.days.has(parts.day);
+  const dow = cron.weekdays.has(parts.weekday);
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return dow;
+  if (cron.anyWeekday) return dom;
+  return dom || dow;
+}
+
+function cronMatches(cron, parts) {
+  return cron.minutes.has(parts.minute) && cron.hours.has(parts.hour) && cronDayMatches(cron, parts);
+}
+
+/**
+ * Scheduled times of a job in (fromMs, toMs], oldest first. Times are whole minutes;
+ * wall-clock times that a DST change skips never match.
+ */
+function slotsBetween(job, fromMs, toMs) {
+  const slots = [];
+  for (let t = Math.floor(fromMs / MINUTE_MS) * MINUTE_MS + MINUTE_MS; t <= toMs; t += MINUTE_MS) {
+    if (cronMatches(job.cron, zonedParts(new Date(t), job.timezone))) slots.push(new Date(t));
+  }
+  return slots;
+}
+
+// Why a job's run at `date` is skipped, or null. Checked on the job's local calendar date.
+function skipReason(job, date) {
+  const parts = zonedParts(date, job.timezone);
+  if (job.skipWeekends && (parts.weekday === 0 || parts.weekday === 6)) return 'weekend';
+  if (job.holidays.has(parts.date)) return 'holiday';
+  return null;
+}
+
+/**
+ * The job's next run after `after` that isn't skipped, or null when there's none within a year.
+ * Jumps a day or an hour at a time while those don't match.
+ */
+function nextRun(job, after = new Date()) {
+  const limit = after.getTime() + 366 * 24 * 60 * MINUTE_MS;
+  let t = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+  while (t <= limit) {
+    const parts = zonedParts(new Date(t), job.timezone);
+    if (!cronDayMatches(job.cron, parts)) {
+      t += ((24 - parts.hour) * 60 - parts.minute) * MINUTE_MS;
+    } else if (!job.cron.hours.has(parts.hour)) {
+      t += (60 - parts.minute) * MINUTE_MS;
+    } else if (!job.cron.minutes.has(parts.minute) || skipReason(job, new Date(t))) {
+      t += MINUTE_MS;
+    } else {
+      return new Date(t);
+    }
+  }
+  return null;
+}
+
+/**
+ * "YYYY-MM-DD HH:MM" wall-clock time in the job's timezone — a run's identity in the history,
+ * so the repeated hour when DST ends doesn't run a job twice.
+ */
+function slotLabel(date, timeZone) {
+  const parts = zonedParts(date, timeZone);
+  return `${parts.date} ${parts.time}`;
+}
+
+const ISO_DAY = /^\d{4}-\d{2}-\d{2}$/;
+const icsDay = (value) => `${value.slice(0, 4)}-${value.slice(4, 6)}-${value.slice(6, 8)}`;
+
+// All-day events from an .ics calendar; DTEND is exclusive, so a one-day event has none or the next day
+function parseIcsHolidays(text) {
+  const days = [];
+  for (const event of text.split('BEGIN:VEVENT').slice(1)) {
+    const start = event.match(/^DTSTART[^:\n]*:(\d{8})/m);
+    if (!start) continue;
+    const end = event.match(/^DTEND[^:\n]*:(\d{8})/m);
+    const from = Date.parse(icsDay(start[1]));
+    const to = end ? Date.parse(icsDay(end[1])) : from + 24 * 60 * MINUTE_MS;
+    for (let t = from; t < to; t += 24 * 60 * MINUTE_MS) days.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return days;
+}
+
+/**
+ * Holiday dates from a mix of "YYYY-MM-DD" strings and calendar files (relative to scriptDir):
+ * .ics calendars (all-day events) or text files with one date per line. Returns a Set of dates.
+ */
+function loadHolidays(entries, scriptDir) {
+  const days = new Set();
+  for (const entry of entries || []) {
+    if (ISO_DAY.test(entry)) {
+      days.add(entry);
+      continue;
+    }
+    const file = path.resolve(scriptDir, entry);
+    if (!fs.existsSync(file)) throw new Error(`holiday calendar not found: ${entry}`);
+    const text = fs.readFileSync(file, 'utf8');
+    const found = file.endsWith('.ics')
+      ? parseIcsHolidays(text)
+      : text.split('\n').map((line) => line.replace(/#.*/, '').trim()).filter((line) => ISO_DAY.test(line));
+    for (const day of found) days.add(day);
+  }
+  return days;
+}
+
+function checkTimezone(timeZone, jobName) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new Error(`job "${jobName}": unknown timezone "${timeZone}"`);
+  }
+}
+
+/**
+ * The scheduled jobs from config: `scheduler.jobs` plus each team's `schedule`
+ * ({ "<script>": "<cron>" }, run with --team=<name>). Job settings fall back to the
+ * `scheduler` defaults (timezone, skipWeekends, holidays, catchUp, timeoutMinutes).
+ * Throws on an invalid cron expression, timezone, duplicate name or missing script.
+ */
+function resolveJobs(config, scriptDir) {
+  const defaults = config.scheduler || {};
+  const defaultZone = defaults.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const declared = [...(defaults.jobs || [])];
+
+  for (const team of config.teams || []) {
+    for (const [script, entry] of Object.entries(team.schedule || {})) {
+      const spec = typeof entry === 'string' ? { cron: entry } : entry;
+      declared.push({
+        timezone: team.timezone,
+        ...spec,
+        name: spec.name || `${script}:${team.name}`,
+        script,
+        args: [...(spec.args || []), `--team=${team.name}`],
+      });
+    }
+  }
+
+  const names = new Set();
+  return declared.map((spec) => {
+    const script = spec.script.endsWith('.js') ? spec.script : `${spec.script}.js`;
+    const name = spec.name || path.basename(script, '.js');
+    if (names.has(name)) throw new Error(`duplicate scheduled job name "${name}"`);
+    names.add(name);
+    if (!spec.cron) throw new Error(`job "${name}": missing cron expression`);
+    if (!fs.existsSync(path.resolve(scriptDir, script))) throw new Error(`job "${name}": script not found: ${script}`);
+
+    const timezone = spec.timezone || defaultZone;
+    checkTimezone(timezone, name);
+    return {
+      name,
+      script,
+      args: spec.args || [],
+      cron: parseCron(spec.cron),
+      timezone,
+      skipWeekends: spec.skipWeekends ?? defaults.skipWeekends ?? false,
+      holidays: spec.skipHolidays === false
+        ? new Set()
+        : loadHolidays([...(defaults.holidays || []), ...(spec.holidays || [])], scriptDir),
+      catchUp: spec.catchUp ?? defaults.catchUp ?? true,
+      timeoutMs: (spec.timeoutMinutes || defaults.timeoutMinutes || DEFAULT_TIMEOUT_MINUTES) * MINUTE_MS,
+    };
+  });
+}
+
+/**
+ * Recent runs from the store's jobRuns records, newest first — all jobs, or one by name.
+ */
+function queryJobRuns(store, { job = null, limit = 20 } = {}) {
+  return store.query('jobRuns', {})
+    .filter((r) => !job || r.job === job)
+    .reverse()
+    .slice(0, limit);
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// Create the lock file exclusively; a lock left by a process that no longer exists is taken over.
+// Returns null when acquired, otherwise the holder's lock info.
+function tryLock(file, info) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(file, JSON.stringify({ pid: process.pid, ...info }), { flag: 'wx' });
+      return null;
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      let holder = null;
+      try {
+        holder = JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch {
+        // Half-written or just removed — treat as stale
+      }
+      if (holder && pidAlive(holder.pid)) return holder;
+      fs.rmSync(file, { force: true });
+    }
+  }
+  return { pid: 'unknown' };
+}
+
+const safeName = (name) => name.replace(/[^\w.-]+/g, '_');
+
+/**
+ * Run scheduled jobs as child processes (`node <script> <args>`), replacing cron.
+ * - Jobs run one at a time, in the order they came due.
+ * - A per-job lock file in lockDir stops a run from overlapping the previous one, also across
+ *   processes (the bot and scheduler.js sharing a data directory).
+ * - Every run, skip and failure is upserted as a jobRuns record; a scheduled time that already
+ *   has a record is never run again.
+ * - After downtime, each job's latest missed run within catchUpHours is run once (catch-up).
+ * Output is appended to logDir/<job>.log. Returns { start, stop, runNow }.
+ */
+function createScheduler({ jobs, store, scriptDir, stateFile, lockDir, logDir, catchUpHours = DEFAULT_CATCH_UP_HOURS, log = () => {} }) {
+  let timer = null;
+  let queue = Promise.resolve();
+  let current = null;
+  let lastTick = Date.now();
+
+  const record = (run) => store.upsert('jobRuns', [run]);
+  const alreadyRan = (job, slot, scheduledFor) => store.query('jobRuns', { from: scheduledFor.getTime() })
+    .some((r) => r.job === job.name && r.slot === slot);
+
+  function saveState() {
+    try {
+      fs.mkdirSync(path.dirname(stateFile), { recursive: true });
+      fs.writeFileSync(stateFile, JSON.stringify({ lastTickAt: new Date(lastTick).toISOString() }), 'utf8');
+    } catch (e) {
+      log(`Scheduler state write failed (non-fatal): ${e.message}`);
+    }
+  }
+
+  function runScript(job) {
+    return new Promise((resolve) => {
+      fs.mkdirSync(logDir, { recursive: true });
+      const out = fs.createWriteStream(path.join(logDir, `${safeName(job.name)}.log`), { flags: 'a' });
+      out.write(`\n=== ${new Date().toISOString()} ${job.script} ${job.args.join(' ')} ===\n`);
+
+      let output = '';
+      let timedOut = false;
+      const child = spawn(process.execPath, [path.resolve(scriptDir, job.script), ...job.args], { cwd: scriptDir, env: process.env });
+      current = child;
+      const collect = (chunk) => {
+        out.write(chunk);
+        output = (output + chunk.toString()).slice(-OUTPUT_TAIL);
+      };
+      child.stdout.on('data', collect);
+      child.stderr.on('data', collect);
+      const timeout = setTimeout(() => {
+        timedOut = true;
+        child.kill('SIGTERM');
+      }, job.timeoutMs);
+
+      child.on('error', (e) => collect(`${e.message}\n`));
+      child.on('close', (code, signal) => {
+        clearTimeout(timeout);
+        current = null;
+        out.end();
+        resolve({ code, signal, timedOut, output });
+      });
+    });
+  }
+
+  async function runSlot(job, scheduledFor, trigger) {
+    // Manual runs get their own slot so they never stand in for a scheduled one
+    const slot = `${slotLabel(scheduledFor, job.timezone)}${trigger === 'manual' ? ' manual' : ''}`;
+    if (alreadyRan(job, slot, scheduledFor)) return;
+    const base = { job: job.name, slot, timezone: job.timezone, scheduledFor: scheduledFor.toISOString(), trigger };
+
+    const skip = trigger === 'manual' ? null : skipReason(job, scheduledFor);
+    if (skip) {
+      record({ ...base, status: 'skipped', reason: skip, startedAt: new Date().toISOString() });
+      log(`Job ${job.name} (${slot}) skipped: ${skip}`);
+      return;
+    }
+
+    const lockFile = path.join(lockDir, `${safeName(job.name)}.lock`);
+    const holder = tryLock(lockFile, { slot, startedAt: new Date().toISOString() });
+    if (holder) {
+      // Another process is running this very slot — it records the outcome
+      if (holder.slot === slot) return;
+      record({ ...base, status: 'skipped', reason: `previous run (${holder.slot || '?'}) still in progress`, startedAt: new Date().toISOString() });
+      log(`Job ${job.name} (${slot}) skipped: previous run still in progress (pid ${holder.pid})`);
+      return;
+    }
+
+    try {
+      // Checked again under the lock: another process may have finished this slot meanwhile
+      if (alreadyRan(job, slot, scheduledFor)) return;
+      const startedAt = new Date();
+      record({ ...base, status: 'running', startedAt: startedAt.toISOString() });
+      log(`Job ${job.name} (${slot}${trigger === 'catch-up' ? ', catch-up' : ''}) started`);
+
+      const result = await runScript(job);
+      const finishedAt = new Date();
+      const ok = result.code === 0 && !result.timedOut;
+      let reason = null;
+      if (result.timedOut) reason = `timed out after ${Math.round(job.timeoutMs / MINUTE_MS)}m`;
+      else if (!ok) reason = result.signal ? `killed by ${result.signal}` : `exit code ${result.code}`;
+      record({
+        ...base,
+        status: ok ? 'ok' : 'failed',
+        reason,
+        exitCode: result.code,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        output: result.output,
+      });
+      log(`Job ${job.name} (${slot}) ${ok ? 'finished' : `failed: ${reason}`} in ${Math.round((finishedAt - startedAt) / 1000)}s`);
+    } finally {
+      fs.rmSync(lockFile, { force: true });
+    }
+  }
+
+  function enqueue(job, scheduledFor, trigger) {
+    queue = queue
+      .then(() => runSlot(job, scheduledFor, trigger))
+      .catch((e) => log(`Job ${job.name} error (non-fatal): ${e.message}`));
+    return queue;
+  }
+
+  function tick() {
+    const now = Date.now();
+    for (const job of jobs) {
+      for (const slot of slotsBetween(job, lastTick, now)) enqueue(job, slot, 'schedule');
+    }
+    lastTick = now;
+    saveState();
+  }
+
+  // Only the latest missed run of each job is made up — a summary of "the last 24h" run
+  // three times in a row after a long outage would just repeat itself
+  function catchUp() {
+    let state = {};
+    try {
+      state = JSON.parse(fs.readFileSync(stateFile, 'utf8'));
+    } catch {
+      return; // first start — nothing was missed
+    }
+    const now = Date.now();
+    const from = Math.max(Date.parse(state.lastTickAt) || now, now - catchUpHours * 60 * MINUTE_MS);
+    for (const job of jobs.filter((j) => j.catchUp)) {
+      const missed = slotsBetween(job, from, now).pop();
+      if (missed) enqueue(job, missed, 'catch-up');
+    }
+  }
+
+  // A run still marked "running" whose lock nobody holds died with its scheduler
+  function markInterrupted() {
+    for (const run of store.query('jobRuns', {}).filter((r) => r.status === 'running')) {
+      const lockFile = path.join(lockDir, `${safeName(run.job)}.lock`);
+      let holder = null;
+      try {
+        holder = JSON.parse(fs.readFileSync(lockFile, 'utf8'));
+      } catch {
+        // No lock file
+      }
+      if (holder && holder.slot === run.slot && pidAlive(holder.pid)) continue;
+      record({ ...run, status: 'failed', reason: 'interrupted (scheduler stopped mid-run)' });
+    }
+  }
+
+  function start() {
+    markInterrupted();
+    catchUp();
+    lastTick = Date.now();
+    saveState();
+    timer = setInterval(tick, TICK_MS);
+  }
+
+  // Stop ticking and end a running job; its lock is released when it exits
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+    if (current) current.kill('SIGTERM');
+    return queue;
+  }
+
+  // Run a job now, outside its schedule (skip rules don't apply)
+  function runNow(name) {
+    const job = jobs.find((j) => j.name === name);
+    if (!job) throw new Error(`unknown job "${name}" (scheduled: ${jobs.map((j) => j.name).join(', ') || 'none'})`);
+    return enqueue(job, new Date(Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS), 'manual');
+  }
+
+  return { start, stop, runNow };
+}
+
+module.exports = {
+  parseCron,
+  zonedParts,
+  cronMatches,
+  slotsBetween,
+  skipReason,
+  nextRun,
+  slotLabel,
+  loadHolidays,
+  resolveJobs,
+  queryJobRuns,
+  tryLock,
+  createScheduler,
+};
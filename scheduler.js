@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+// Built-in job scheduler: runs the jobs declared in config.json (scheduler.jobs and teams[].schedule)
+// so no crontab is needed. bot.js runs the same scheduler on startup — use this daemon on hosts where
+// the bot doesn't run, and set scheduler.runInBot to false there if both share a data directory.
+//
+// Usage: node scheduler.js                  run as a daemon
+//        node scheduler.js --list           show the jobs and their next runs
+//        node scheduler.js --history[=job]  show recent runs
+//        node scheduler.js --run=<job>      run one job now and exit
+const fs = require('fs');
+const path = require('path');
+const { openActivityStore } = require('./activity-store');
+const { resolveJobs, createScheduler, nextRun, slotLabel, queryJobRuns } = require('./schedule-utils');
+
+const SCRIPT_DIR = __dirname;
+const CONFIG = JSON.parse(fs.readFileSync(path.join(SCRIPT_DIR, 'config.json'), 'utf8'));
+
+// Parse args
+let mode = 'daemon';
+let jobName = null;
+
+for (const arg of process.argv.slice(2)) {
+  if (arg === '--list') mode = 'list';
+  else if (arg === '--history') mode = 'history';
+  else if (arg.startsWith('--history=')) {
+    mode = 'history';
+    jobName = arg.slice('--history='.length);
+  } else if (arg.startsWith('--run=')) {
+    mode = 'run';
+    jobName = arg.slice('--run='.length);
+  }
+}
+
+const log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`);
+
+const dataDir = path.resolve(SCRIPT_DIR, CONFIG.dataDir || 'data');
+const store = openActivityStore(dataDir, { retentionDays: CONFIG.storeRetentionDays });
+
+function listJobs(jobs) {
+  if (jobs.length === 0) {
+    console.log('No scheduled jobs — add scheduler.jobs or teams[].schedule to config.json');
+    return;
+  }
+  for (const job of jobs) {
+    const next = nextRun(job);
+    const rules = [job.skipWeekends && 'skips weekends', job.holidays.size && `${job.holidays.size} holiday${job.holidays.size === 1 ? '' : 's'}`].filter(Boolean);
+    console.log(`${job.name.padEnd(28)} ${job.cron.expr.padEnd(16)} ${job.timezone.padEnd(20)} next: ${next ? slotLabel(next, job.timezone) : 'never'}${rules.length ? `  (${rules.join(', ')})` : ''}`);
+    console.log(`${''.padEnd(28)} node ${job.script} ${job.args.join(' ')}`);
+  }
+}
+
+function showHistory() {
+  const runs = queryJobRuns(store, { job: jobName, limit: 30 });
+  if (runs.length === 0) {
+    console.log(jobName ? `No runs recorded for ${jobName}` : 'No runs recorded yet');
+    return;
+  }
+  for (const run of runs) {
+    const took = run.durationMs != null ? ` in ${Math.round(run.durationMs / 1000)}s` : '';
+    console.log(`${run.slot} ${run.timezone}  ${run.job.padEnd(28)} ${run.status}${took}${run.reason ? ` — ${run.reason}` : ''}${run.trigger !== 'schedule' ? ` [${run.trigger}]` : ''}`);
+  }
+}
+
+async function main() {
+  const jobs = resolveJobs(CONFIG, SCRIPT_DIR);
+
+  if (mode === 'list') return listJobs(jobs);
+  if (mode === 'history') return showHistory();
+
+  const scheduler = createScheduler({
+    jobs,
+    store,
+    scriptDir: SCRIPT_DIR,
+    stateFile: path.join(dataDir, 'scheduler-state.json'),
+    lockDir: path.join(dataDir, 'locks'),
+    logDir: path.join(SCRIPT_DIR, 'logs'),
+    catchUpHours: CONFIG.scheduler?.catchUpHours,
+    log,
+  });
+
+  if (mode === 'run') {
+    await scheduler.runNow(jobName);
+    const [run] = queryJobRuns(store, { job: jobName, limit: 1 });
+    if (run?.output) process.stdout.write(run.output);
+    process.exit(run?.status === 'ok' ? 0 : 1);
+  }
+
+  if (jobs.length === 0) {
+    log('No scheduled jobs — add scheduler.jobs or teams[].schedule to config.json');
+    process.exit(1);
+  }
+
+  scheduler.start();
+  log(`Scheduler running ${jobs.length} job${jobs.length === 1 ? '' : 's'}: ${jobs.map((j) => j.name).join(', ')}`);
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, async () => {
+      log(`${signal} received, stopping`);
+      await scheduler.stop();
+      process.exit(0);
+    });
+  }
+}
+
+main().catch((e) => {
+  log(`ERROR: ${e.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,217 @@
+const { cleanBody } = require('./github-utils');
+const { mapLinearName } = require('./linear-utils');
+
+// BM25 parameters: term-frequency saturation and document-length normalization
+const K1 = 1.2;
+const B = 0.75;
+// Spec and context text is indexed in passages of about this many characters
+const PASSAGE_CHARS = 800;
+const SNIPPET_CHARS = 300;
+const PR_BODY_CHARS = 1000;
+
+const STOPWORDS = new Set([
+  'a', 'about', 'all', 'an', 'and', 'any', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'did',
+  'do', 'does', 'done', 'for', 'from', 'had', 'has', 'have', 'how', 'i', 'in', 'into', 'is', 'it',
+  'its', 'me', 'my', 'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'them', 'there', 'this',
+  'to', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will', 'with',
+  'you', 'your',
+]);
+
+const TYPE_LABELS = {
+  commit: 'Commit',
+  pr: 'PR',
+  review: 'Review',
+  comment: 'Comment',
+  issue: 'Issue',
+  release: 'Release',
+  ticket: 'Ticket',
+  ticketComment: 'Ticket comment',
+  spec: 'Spec',
+  context: 'Context',
+};
+
+// "tokens" and "token" should match; "class" and "status" stay whole
+const stem = (word) => (word.length > 4 && word.endsWith('s') && !/(ss|us|is)$/.test(word) ? word.slice(0, -1) : word);
+
+/**
+ * Lower-cased search terms without stopwords. Compound words ("proj-123", "auth/oauth.js")
+ * count whole and by their parts, so both "PROJ-123" and "oauth" find them.
+ */
+function tokenize(text) {
+  const terms = [];
+  for (const word of String(text || '').toLowerCase().match(/[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)*/gu) || []) {
+    const compound = /[-_./]/.test(word);
+    if (!STOPWORDS.has(word)) terms.push(compound ? word : stem(word));
+    if (compound) {
+      for (const part of word.split(/[-_./]/)) {
+        if (part && part !== word && !STOPWORDS.has(part)) terms.push(stem(part));
+      }
+    }
+  }
+  return terms;
+}
+
+// Long text split on paragraph boundaries into passages of about PASSAGE_CHARS
+function passages(text) {
+  const result = [];
+  let current = '';
+  for (const para of String(text || '').split(/\n\s*\n/)) {
+    const trimmed = para.trim();
+    if (!trimmed) continue;
+    if (current && current.length + trimmed.length > PASSAGE_CHARS) {
+      result.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${trimmed}` : trimmed;
+    while (current.length > PASSAGE_CHARS * 2) {
+      result.push(current.slice(0, PASSAGE_CHARS));
+      current = current.slice(PASSAGE_CHARS);
+    }
+  }
+  if (current) result.push(current);
+  return result;
+}
+
+const githubUrl = (record, kind, number) => (record.fullRepo ? `https://github.com/${record.fullRepo}/${kind}/${number}` : '');
+
+/**
+ * Searchable documents from the activity store's records, spec text and the context file:
+ * [{ id, type, title, text, who, at, url }]. `title` is the short label an answer cites,
+ * `text` what's matched besides it. Names are mapped so "Bob" finds bob's commits.
+ */
+function buildSearchDocuments({ gitData = null, linearData = null, specs = [], context = '', linearOrg = 'your-org', authorMap = {}, linearAuthorMap = {} }) {
+  const n = (login) => authorMap[login] || login || '';
+  const ln = (name) => (name ? mapLinearName(name, linearAuthorMap) : '');
+  const docs = [];
+
+  if (gitData) {
+    for (const c of gitData.commits || []) {
+      docs.push({ id: `commit:${c.sha}`, type: 'commit', title: `${c.repo} ${c.sha.slice(0, 7)} ${c.message}`, text: [c.body, c.branch].filter(Boolean).join('\n'), who: n(c.author), at: c.date, url: c.url });
+    }
+    for (const pr of gitData.prs || []) {
+      const state = pr.mergedAt ? 'merged' : pr.closedAt ? 'closed' : pr.isDraft ? 'draft' : 'open';
+      const paths = (pr.files || []).map((f) => f.path).join(' ');
+      const issues = (pr.linkedIssues || []).map((i) => `${i.ref} ${i.title}`).join('; ');
+      docs.push({
+        id: `pr:${pr.fullRepo || pr.repo}#${pr.number}`,
+        type: 'pr',
+        title: `${pr.repo} #${pr.number} ${pr.title} (${state})`,
+        text: [cleanBody(pr.body, PR_BODY_CHARS), (pr.labels || []).join(' '), issues, pr.branch, paths].filter(Boolean).join('\n'),
+        who: n(pr.author),
+        at: pr.times?.mergedAt || pr.times?.createdAt || pr.mergedAt || pr.createdAt,
+        url: pr.url,
+      });
+    }
+    for (const r of gitData.reviews || []) {
+      docs.push({ id: `review:${r.fullRepo || r.repo}#${r.prNumber}:${r.reviewer}:${r.submittedAt}`, type: 'review', title: `${r.repo} #${r.prNumber} ${r.prTitle} — ${r.state}`, text: '', who: n(r.reviewer), at: r.submittedAt, url: githubUrl(r, 'pull', r.prNumber) });
+    }
+    for (const c of gitData.comments || []) {
+      docs.push({ id: `comment:${c.fullRepo || c.repo}:${c.author}:${c.issueNumber}:${c.createdAt}`, type: 'comment', title: `${c.repo} #${c.issueNumber}`, text: c.body || '', who: n(c.author), at: c.createdAt, url: c.url || githubUrl(c, 'issues', c.issueNumber) });
+    }
+    for (const i of gitData.issues || []) {
+      docs.push({ id: `issue:${i.fullRepo || i.repo}#${i.number}`, type: 'issue', title: `${i.repo} #${i.number} ${i.title} (${i.state})`, text: '', who: n(i.author), at: i.closedAt || i.updatedAt || i.createdAt, url: i.url });
+    }
+    for (const r of gitData.releases || []) {
+      docs.push({ id: `release:${r.fullRepo || r.repo}@${r.tag}`, type: 'release', title: `${r.repo} ${r.tag} ${r.name || ''}`.trim(), text: '', who: n(r.author), at: r.publishedAt, url: r.url });
+    }
+  }
+
+  if (linearData) {
+    const ticketUrl = (id) => `https://linear.app/${linearOrg}/issue/${id}`;
+    for (const issue of [...linearData.newIssues, ...linearData.activeIssues]) {
+      docs.push({ id: `ticket:${issue.identifier}`, type: 'ticket', title: `${issue.identifier} ${issue.title} (${issue.state?.name || '?'})`, text: issue.priorityLabel || '', who: ln(issue.assignee?.displayName), at: issue.updatedAt, url: ticketUrl(issue.identifier) });
+    }
+    for (const c of linearData.recentComments) {
+      docs.push({ id: `ticketComment:${c.issue}:${c.author}:${c.createdAt}`, type: 'ticketComment', title: `${c.issue} ${c.issueTitle || ''}`.trim(), text: c.body || '', who: ln(c.author), at: c.createdAt, url: ticketUrl(c.issue) });
+    }
+  }
+
+  for (const spec of specs) {
+    passages(spec.text).forEach((text, i) => {
+      docs.push({ id: `spec:${spec.id}:${i}`, type: 'spec', title: spec.title, text, who: '', at: spec.editedAt, url: spec.url || '' });
+    });
+  }
+
+  // The context file by "## " section, so a question about one spec pulls in just that part
+  for (const section of String(context || '').split(/\n(?=#{1,3} )/)) {
+    const heading = section.match(/^#{1,3} (.+)/)?.[1] || 'Project context';
+    passages(section).forEach((text, i) => {
+      docs.push({ id: `context:${heading}:${i}`, type: 'context', title: heading, text, who: '', at: null, url: '' });
+    });
+  }
+
+  return docs;
+}
+
+/**
+ * A BM25 index over documents from buildSearchDocuments. Titles count twice.
+ * search(query, { limit, from, to, types }) returns [{ doc, score }], best first;
+ * from/to keep only documents dated in the range (undated ones — specs' passages keep
+ * their edit time, context has none — are always eligible).
+ */
+function createSearchIndex(docs) {
+  const postings = new Map();
+  const lengths = [];
+  docs.forEach((doc, i) => {
+    const terms = [...tokenize(doc.title), ...tokenize(doc.title), ...tokenize(doc.who), ...tokenize(doc.text)];
+    lengths.push(terms.length);
+    const tf = new Map();
+    for (const term of terms) tf.set(term, (tf.get(term) || 0) + 1);
+    for (const [term, count] of tf) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push([i, count]);
+    }
+  });
+  const avgLength = lengths.reduce((sum, l) => sum + l, 0) / (lengths.length || 1);
+
+  function search(query, { limit = 20, from = null, to = null, types = null } = {}) {
+    const fromMs = from ? from.getTime() : null;
+    const toMs = to ? to.getTime() : null;
+    const eligible = (doc) => {
+      if (types && !types.includes(doc.type)) return false;
+      if ((fromMs === null && toMs === null) || doc.type === 'context' || doc.type === 'spec') return true;
+      const t = doc.at ? Date.parse(doc.at) : NaN;
+      return !Number.isNaN(t) && (fromMs === null || t >= fromMs) && (toMs === null || t < toMs);
+    };
+
+    const scores = new Map();
+    for (const term of new Set(tokenize(query))) {
+      const list = postings.get(term);
+      if (!list) continue;
+      const idf = Math.log(1 + (docs.length - list.length + 0.5) / (list.length + 0.5));
+      for (const [i, tf] of list) {
+        const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * lengths[i] / avgLength));
+        scores.set(i, (scores.get(i) || 0) + idf * norm);
+      }
+    }
+
+    return [...scores.entries()]
+      .filter(([i]) => eligible(docs[i]))
+      .sort((a, b) => b[1] - a[1] || String(docs[b[0]].at || '').localeCompare(String(docs[a[0]].at || '')))
+      .slice(0, limit)
+      .map(([i, score]) => ({ doc: docs[i], score }));
+  }
+
+  return { search, size: docs.length };
+}
+
+/**
+ * Search results as numbered, citable lines for a prompt:
+ * "[3] PR api #42 Add OAuth (merged) — Alice, 2026-10-19: <snippet> | <url>".
+ */
+function formatSearchResults(results) {
+  return results.map(({ doc }, i) => {
+    const limit = doc.type === 'spec' || doc.type === 'context' ? PASSAGE_CHARS : SNIPPET_CHARS;
+    const text = doc.text.replace(/\s+/g, ' ').trim();
+    const snippet = text.length > limit ? `${text.slice(0, limit)}…` : text;
+    const meta = [doc.who, doc.at ? String(doc.at).slice(0, 10) : ''].filter(Boolean).join(', ');
+    return `[${i + 1}] ${TYPE_LABELS[doc.type]} ${doc.title}${meta ? ` — ${meta}` : ''}${snippet ? `: ${snippet}` : ''}${doc.url ? ` | ${doc.url}` : ''}`;
+  }).join('\n');
+}
+
+module.exports = {
+  tokenize,
+  buildSearchDocuments,
+  createSearchIndex,
+  formatSearchResults,
+};
@@ -8,7 +8,7 @@ echo "=== slack-dev-bot setup ==="
 echo ""
 
 # Check prerequisites
-for cmd in node npm gh jq curl; do
+for cmd in node npm jq curl; do
   if ! command -v "$cmd" &>/dev/null; then
     echo "ERROR: $cmd is required but not found in PATH"
     exit 1
@@ -37,12 +37,15 @@ if [ -f "$SCRIPT_DIR/config.json" ]; then
   fi
 fi
 
-# Check gh auth
-if ! gh auth status &>/dev/null; then
-  echo "ERROR: gh is not authenticated. Run: gh auth login"
+# Check GitHub access (GITHUB_TOKEN, or gh auth as fallback)
+if [ -n "${GITHUB_TOKEN:-}" ]; then
+  echo "[ok] GITHUB_TOKEN is set"
+elif command -v gh &>/dev/null && gh auth status &>/dev/null; then
+  echo "[ok] GitHub CLI authenticated (token reused by the scripts)"
+else
+  echo "ERROR: no GitHub access. Export GITHUB_TOKEN or run: gh auth login"
   exit 1
 fi
-echo "[ok] GitHub CLI authenticated"
 
 # Check config
 if [ ! -f "$SCRIPT_DIR/config.json" ]; then
@@ -102,6 +105,7 @@ npm install --production
 chmod +x "$SCRIPT_DIR/git-summary.js" 2>/dev/null || true
 chmod +x "$SCRIPT_DIR/linear-summary.js" 2>/dev/null || true
 chmod +x "$SCRIPT_DIR/build-context.js" 2>/dev/null || true
+chmod +x "$SCRIPT_DIR/scheduler.js" 2>/dev/null || true
 
 # Test dry run
 echo ""
@@ -119,6 +123,15 @@ if command -v systemctl &>/dev/null; then
   echo ""
   if [[ $REPLY =~ ^[Yy]$ ]]; then
     CURRENT_USER=$(whoami)
+
+    # Scheduled jobs run inside the bot, so it needs the API keys — keep them in .env, not the unit file
+    if [ ! -f "$SCRIPT_DIR/.env" ]; then
+      touch "$SCRIPT_DIR/.env" && chmod 600 "$SCRIPT_DIR/.env"
+      for var in GITHUB_TOKEN OPENROUTER_API_KEY ANTHROPIC_API_KEY LINEAR_API_KEY NOTION_API_KEY CONFLUENCE_EMAIL CONFLUENCE_API_TOKEN GITHUB_WEBHOOK_SECRET; do
+        if [ -n "${!var:-}" ]; then echo "$var=${!var}" >> "$SCRIPT_DIR/.env"; fi
+      done
+      echo "[ok] Wrote the exported API keys to $SCRIPT_DIR/.env (loaded by the service)"
+    fi
     sudo tee "/etc/systemd/system/$SERVICE_NAME.service" > /dev/null <<EOF
 [Unit]
 Description=Slack Dev Bot
@@ -133,6 +146,7 @@ Restart=always
 RestartSec=10
 Environment=HOME=$HOME
 Environment=PATH=$HOME/.local/bin:/usr/local/bin:/usr/bin:/bin
+EnvironmentFile=-$SCRIPT_DIR/.env
 
 [Install]
 WantedBy=multi-user.target
@@ -146,22 +160,40 @@ EOF
     echo "     View logs:    journalctl -u $SERVICE_NAME -f"
   fi
 
-  # Set up cron
-  echo ""
-  echo "Recommended cron schedule (Mon-Fri, adjust times to your timezone):"
-  echo "  50 5 * * 1-5  node $SCRIPT_DIR/build-context.js    (context builder)"
-  echo "  0  6 * * 1-5  node $SCRIPT_DIR/git-summary.js      (git summary)"
-  echo "  2  6 * * 1-5  node $SCRIPT_DIR/linear-summary.js   (linear summary)"
-  echo ""
-  read -p "Set up daily git summary cron job (Mon-Fri 7:00 UTC)? [y/N] " -n 1 -r
+  # Scheduled jobs (config.json "scheduler" and teams[].schedule) are run by the bot — no crontab needed
   echo ""
-  if [[ $REPLY =~ ^[Yy]$ ]]; then
-    CRON_LINE="0 7 * * 1-5 $(which node) $SCRIPT_DIR/git-summary.js >> $SCRIPT_DIR/logs/cron.log 2>&1"
-    mkdir -p "$SCRIPT_DIR/logs"
-    (crontab -l 2>/dev/null | grep -v "git-summary"; echo "$CRON_LINE") | crontab -
-    echo "[ok] Cron job added: $CRON_LINE"
-    echo "     Edit with: crontab -e"
-    echo "     Add linear-summary.js and build-context.js cron lines manually if needed"
+  JOB_COUNT=$(jq '((.scheduler.jobs // []) | length) + ([(.teams // [])[] | (.schedule // {}) | length] | add // 0)' "$SCRIPT_DIR/config.json")
+  if [ "$JOB_COUNT" -gt 0 ]; then
+    echo "[ok] $JOB_COUNT scheduled jobs in config.json — the bot runs them:"
+    node "$SCRIPT_DIR/scheduler.js" --list || echo "WARN: fix the scheduler section of config.json"
+  else
+    read -p "Add the recommended schedule (context 5:50, summaries 6:00, personal digests 8:15, stale PRs 9:30, Friday retros; weekdays) to config.json? [y/N] " -n 1 -r
+    echo ""
+    if [[ $REPLY =~ ^[Yy]$ ]]; then
+      DEFAULT_TZ=$(timedatectl show -p Timezone --value 2>/dev/null || echo "UTC")
+      read -p "Timezone for the schedule [$DEFAULT_TZ]: " SCHEDULE_TZ
+      SCHEDULE_TZ=${SCHEDULE_TZ:-$DEFAULT_TZ}
+      jq --arg tz "$SCHEDULE_TZ" '.scheduler = ((.scheduler // {}) + {
+        timezone: $tz,
+        skipWeekends: true,
+        jobs: [
+          { script: "build-context", cron: "50 5 * * *" },
+          { script: "git-summary", cron: "0 6 * * *" },
+          { script: "linear-summary", cron: "2 6 * * *" },
+          { script: "stale-prs", cron: "30 9 * * *" },
+          { script: "personal-digest", cron: "15 8 * * *" },
+          { name: "git-retro", script: "git-summary", args: ["--period=week"], cron: "0 15 * * fri" },
+          { name: "linear-retro", script: "linear-summary", args: ["--period=sprint"], cron: "5 15 * * fri" }
+        ]
+      })' "$SCRIPT_DIR/config.json" > "$SCRIPT_DIR/config.json.tmp" && mv "$SCRIPT_DIR/config.json.tmp" "$SCRIPT_DIR/config.json"
+      echo "[ok] Schedule added to config.json (restart the bot to pick it up):"
+      node "$SCRIPT_DIR/scheduler.js" --list
+    fi
+  fi
+
+  if crontab -l 2>/dev/null | grep -q "$SCRIPT_DIR/"; then
+    echo "WARN: your crontab still runs scripts from $SCRIPT_DIR — remove those lines (crontab -e)"
+    echo "      if the same jobs are in config.json, or they'll post twice"
   fi
 fi
 
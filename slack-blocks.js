@@ -0,0 +1,629 @@
+const { mapLinearName, summarizeTransitions } = require('./linear-utils');
+const { durationLabel } = require('./pr-health-utils');
+const { hoursLabel } = require('./period-utils');
+const { FAILED_DEPLOY_STATES } = require('./build-utils');
+
+// Block Kit limits: 3000 chars per section text, 50 blocks per message
+const MAX_TEXT = 2900;
+const MAX_BLOCKS = 50;
+const MAX_LIST_ITEMS = 15;
+
+function escapeText(text) {
+  return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function truncate(text, max = MAX_TEXT) {
+  return text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+const link = (url, label) => (url ? `<${url}|${escapeText(label)}>` : escapeText(label));
+const header = (text) => ({ type: 'header', text: { type: 'plain_text', text: truncate(text, 150) } });
+const section = (text) => ({ type: 'section', text: { type: 'mrkdwn', text: truncate(text) } });
+const context = (text) => ({ type: 'context', elements: [{ type: 'mrkdwn', text: truncate(text) }] });
+const divider = () => ({ type: 'divider' });
+
+// A titled bullet list, capped so one busy section can't eat the whole message
+function listSection(title, items, max = MAX_LIST_ITEMS) {
+  if (items.length === 0) return null;
+  const shown = items.slice(0, max).map((item) => `• ${item}`);
+  if (items.length > max) shown.push(`_…and ${items.length - max} more_`);
+  return section(`*${title}*\n${shown.join('\n')}`);
+}
+
+function finalize(blocks) {
+  const kept = blocks.filter(Boolean);
+  return kept.length > MAX_BLOCKS ? kept.slice(0, MAX_BLOCKS) : kept;
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`;
+}
+
+function countsLine(git, linear) {
+  const parts = [];
+  if (git) {
+    parts.push(plural(git.commits.length, 'commit'));
+    parts.push(plural(git.prs.length, 'PR'));
+    parts.push(plural(git.reviews.length, 'review'));
+    parts.push(plural(git.comments.length, 'comment'));
+    if (git.issues.length) parts.push(plural(git.issues.length, 'issue'));
+    if (git.releases.length) parts.push(plural(git.releases.length, 'release'));
+  }
+  if (linear) {
+    parts.push(plural(linear.newIssues.length + linear.activeIssues.length, 'ticket'));
+  }
+  return parts.join(' · ');
+}
+
+function prStatus(pr) {
+  if (pr.mergedAt) return 'merged';
+  if (pr.closedAt) return 'closed';
+  return (pr.state || 'open').toLowerCase();
+}
+
+function prLine(pr, n) {
+  return `${link(pr.url, `${pr.repo} #${pr.number}`)} ${escapeText(pr.title)} — ${escapeText(n(pr.author))} \`${prStatus(pr)}\``;
+}
+
+function ticketLine(issue, linearOrg, authorMap) {
+  const url = `https://linear.app/${linearOrg}/issue/${issue.identifier}`;
+  const assignee = mapLinearName(issue.assignee?.displayName, authorMap);
+  return `${link(url, issue.identifier)} ${escapeText(issue.title)} — *${escapeText(assignee)}* \`${escapeText(issue.state?.name || '')}\``;
+}
+
+function commitsByRepo(commits) {
+  const groups = new Map();
+  for (const c of commits) {
+    if (!groups.has(c.repo)) groups.set(c.repo, []);
+    groups.get(c.repo).push(c);
+  }
+  return groups;
+}
+
+/**
+ * Blocks for `/devbot summary`: counts, one line per person, PRs, releases, tickets,
+ * and the LLM summary (if any) underneath.
+ */
+function renderSummaryView({ gitData, linearData, label, authorMap = {}, linearAuthorMap = {}, linearOrg = 'your-org', summary = '' }) {
+  const n = (author) => authorMap[author] || author;
+  const people = new Map();
+  const person = (name) => {
+    if (!people.has(name)) people.set(name, { commits: 0, prs: 0, merged: 0, reviews: 0 });
+    return people.get(name);
+  };
+  for (const c of gitData.commits) person(n(c.author)).commits++;
+  for (const pr of gitData.prs) {
+    person(n(pr.author)).prs++;
+    if (pr.mergedAt) person(n(pr.author)).merged++;
+  }
+  for (const r of gitData.reviews) person(n(r.reviewer)).reviews++;
+
+  const personLines = [...people.entries()]
+    .sort((a, b) => b[1].commits - a[1].commits)
+    .map(([name, s]) => {
+      const parts = [];
+      if (s.commits) parts.push(plural(s.commits, 'commit'));
+      if (s.prs) parts.push(`${plural(s.prs, 'PR')}${s.merged ? ` (${s.merged} merged)` : ''}`);
+      if (s.reviews) parts.push(plural(s.reviews, 'review'));
+      return `*${escapeText(name)}* — ${parts.join(', ')}`;
+    });
+
+  const tickets = linearData ? [...linearData.newIssues, ...linearData.activeIssues] : [];
+
+  return finalize([
+    header(`Dev activity — ${label}`),
+    context(countsLine(gitData, linearData)),
+    listSection('People', personLines),
+    listSection('Pull requests', gitData.prs.map((pr) => prLine(pr, n))),
+    listSection('Releases', gitData.releases.map((r) => `${link(r.url, `${r.repo} ${r.tag}`)} ${escapeText(r.name)}`)),
+    listSection('Linear tickets', tickets.map((i) => ticketLine(i, linearOrg, linearAuthorMap))),
+    summary ? divider() : null,
+    summary ? section(summary) : null,
+  ]);
+}
+
+/**
+ * Blocks for `/devbot who <name>`: one person's GitHub and Linear activity.
+ */
+function renderPersonView({ name, gitData, linearData, label, authorMap = {}, linearAuthorMap = {}, linearOrg = 'your-org' }) {
+  const n = (author) => authorMap[author] || author;
+  const tickets = linearData ? [...linearData.newIssues, ...linearData.activeIssues] : [];
+
+  const commitLines = [...commitsByRepo(gitData.commits).entries()].map(([repo, commits]) => {
+    const samples = commits.slice(0, 3).map((c) => link(c.url, c.message)).join('; ');
+    return `*${escapeText(repo)}* (${commits.length}) — ${samples}`;
+  });
+
+  return finalize([
+    header(`${name} — ${label}`),
+    context(countsLine(gitData, linearData)),
+    listSection('Commits', commitLines),
+    listSection('Pull requests', gitData.prs.map((pr) => prLine(pr, n))),
+    listSection('Reviews', gitData.reviews.map((r) => `${escapeText(r.repo)} #${r.prNumber} ${escapeText(r.prTitle)} → \`${r.state}\``)),
+    listSection('Comments', gitData.comments.map((c) => `${escapeText(c.repo)} #${c.issueNumber}: ${escapeText(c.body)}`), 5),
+    listSection('Linear tickets', tickets.map((i) => ticketLine(i, linearOrg, linearAuthorMap))),
+    listSection('Linear comments', (linearData?.recentComments || []).map((c) => `${escapeText(c.issue)}: ${escapeText(c.body.split('\n')[0].slice(0, 120))}`), 5),
+  ]);
+}
+
+/**
+ * Blocks for `/devbot repo <name>`: one repo's contributors, PRs, issues and releases.
+ */
+function renderRepoView({ repo, gitData, label, authorMap = {} }) {
+  const n = (author) => authorMap[author] || author;
+  const contributors = new Map();
+  for (const c of gitData.commits) contributors.set(n(c.author), (contributors.get(n(c.author)) || 0) + 1);
+  const contributorLine = [...contributors.entries()]
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, count]) => `${escapeText(name)} (${count})`)
+    .join(', ');
+
+  const branches = [...new Set(gitData.commits.map((c) => c.branch))];
+
+  return finalize([
+    header(`${repo} — ${label}`),
+    context(countsLine(gitData, null)),
+    contributorLine ? section(`*Committers:* ${contributorLine}\n*Branches:* ${branches.map((b) => `\`${escapeText(b)}\``).join(' ')}`) : null,
+    listSection('Pull requests', gitData.prs.map((pr) => prLine(pr, n))),
+    listSection('Reviews', gitData.reviews.map((r) => `#${r.prNumber} ${escapeText(r.prTitle)} — ${escapeText(n(r.reviewer))} → \`${r.state}\``)),
+    listSection('Issues', gitData.issues.map((i) => `${link(i.url, `#${i.number}`)} ${escapeText(i.title)} \`${i.state}\``)),
+    listSection('Releases', gitData.releases.map((r) => `${link(r.url, r.tag)} ${escapeText(r.name)}`)),
+  ]);
+}
+
+// --- Daily summaries (structured LLM output → blocks) ---
+
+// Split bullet lines into as many sections as needed to stay under MAX_TEXT each
+function chunkedSections(title, lines) {
+  if (lines.length === 0) return [];
+  const sections = [];
+  let current = title ? `*${title}*` : '';
+  for (const line of lines) {
+    if (current && current.length + line.length + 1 > MAX_TEXT) {
+      sections.push(section(current));
+      current = '';
+    }
+    current = current ? `${current}\n${line}` : line;
+  }
+  if (current) sections.push(section(current));
+  return sections;
+}
+
+// Repo name → web URL, derived from the commit/PR urls collectGitData captured
+function repoUrls(gitData) {
+  const urls = new Map();
+  for (const c of gitData.commits) urls.set(c.repo, c.url.replace(/\/commit\/[^/]+$/, ''));
+  for (const pr of gitData.prs) urls.set(pr.repo, pr.url.replace(/\/pull\/\d+$/, ''));
+  return urls;
+}
+
+function branchUrl(repoUrl, branch) {
+  if (!repoUrl) return null;
+  const ref = encodeURIComponent(branch).replace(/%2F/g, '/');
+  return ['main', 'master'].includes(branch) ? `${repoUrl}/commits/${ref}` : `${repoUrl}/compare/${ref}`;
+}
+
+// Both renderers return { blocks, text } — text is the mrkdwn fallback shown in
+// notifications and by clients that can't render blocks.
+function withFallback(blocks) {
+  const kept = finalize(blocks);
+  const text = kept
+    .map((b) => (b.type === 'header' ? `*${b.text.text}*` : b.text?.text || b.elements?.[0]?.text || ''))
+    .filter(Boolean)
+    .join('\n\n');
+  return { blocks: kept, text };
+}
+
+// "PROJ-123 Title `In Progress` — 3 commits, api #42 merged" plus any mismatch warnings
+function linkedTicketLine(ticket, linearOrg) {
+  const url = ticket.issue ? `https://linear.app/${linearOrg}/issue/${ticket.id}` : null;
+  const head = ticket.issue
+    ? `${link(url, ticket.id)} ${escapeText(ticket.issue.title)} \`${escapeText(ticket.issue.state?.name || 'unknown')}\``
+    : escapeText(ticket.id);
+  const parts = [];
+  if (ticket.commits.length) parts.push(plural(ticket.commits.length, 'commit'));
+  for (const pr of ticket.prs) parts.push(`${link(pr.url, `${pr.repo} #${pr.number}`)} ${prStatus(pr)}`);
+  const warnings = ticket.mismatches.map((m) => `\n      :warning: ${escapeText(m.text)}`).join('');
+  return `• ${head} — ${parts.join(', ') || 'no GitHub activity'}${warnings}`;
+}
+
+const DEPLOY_ICONS = { success: ':rocket:', failure: ':x:', error: ':x:', in_progress: ':hourglass_flowing_sand:', queued: ':hourglass_flowing_sand:', pending: ':hourglass_flowing_sand:', inactive: ':zzz:' };
+
+// "Build health" lines from a buildHealth() result: what's red now, red spells that were fixed,
+// flaky runs and the latest deployment per environment
+function buildHealthLines(health, n = (login) => login) {
+  const lines = [];
+  for (const s of health.red) {
+    const jobs = s.lastRun.failedJobs?.length ? ` — ${s.lastRun.failedJobs.map((j) => `\`${escapeText(j.name)}\``).join(', ')}` : '';
+    lines.push(`:red_circle: *${escapeText(s.repo)}* \`${escapeText(s.branch)}\` ${link(s.lastRun.url, s.workflow)} red for ${durationLabel(s.hours)} since ${link(s.firstRun.url, s.firstRun.headSha.slice(0, 7))} by ${escapeText(n(s.firstRun.actor))}${jobs}`);
+  }
+  for (const s of health.streaks.filter((streak) => !streak.ongoing)) {
+    lines.push(`:large_orange_circle: *${escapeText(s.repo)}* \`${escapeText(s.branch)}\` ${escapeText(s.workflow)} was red for ${durationLabel(s.hours)} — fixed by ${link(s.fixedBy.url, s.fixedBy.headSha.slice(0, 7))} (${escapeText(n(s.fixedBy.actor))})`);
+  }
+  if (health.flaky.length > 0) {
+    const jobs = [...new Set(health.flaky.flatMap((f) => f.jobs))];
+    lines.push(`:warning: ${plural(health.flaky.length, 'flaky run')} passed after a retry${jobs.length ? ` — ${jobs.map((j) => `\`${escapeText(j)}\``).join(', ')}` : ''}`);
+  }
+  for (const d of health.environments) {
+    lines.push(`${DEPLOY_ICONS[d.state] || ':package:'} ${escapeText(d.repo)} → *${escapeText(d.environment)}* ${link(d.url, d.state)} \`${escapeText(d.ref)}\` by ${escapeText(n(d.creator))}`);
+  }
+  const failedDeploys = health.deployments.filter((d) => FAILED_DEPLOY_STATES.has(d.state)).length;
+  const summary = `${plural(health.runs, 'run')}, ${health.failed} failed${health.deployments.length ? ` · ${plural(health.deployments.length, 'deployment')}${failedDeploys ? `, ${failedDeploys} failed` : ''}` : ''}`;
+  if (lines.length === 0) lines.push(`:large_green_circle: All green — ${summary}`);
+  else lines.push(`_${summary}_`);
+  return lines;
+}
+
+/**
+ * Blocks for the daily git summary from a GIT_SUMMARY_SCHEMA object.
+ * Links come from the collected records, never from the LLM — PRs and repos the
+ * data doesn't know about are rendered as plain text. When ticketLinks (from
+ * buildTicketLinks) are given, they replace the LLM's ticket list. buildHealth (from
+ * build-utils) adds a "Build health" section computed from the workflow runs and deployments.
+ */
+function renderGitSummary(summary, gitData, { title, ticketUrl = null, ticketLinks = null, linearOrg = 'your-org', buildHealth = null, authorMap = {} } = {}) {
+  const repos = repoUrls(gitData);
+  const prs = new Map(gitData.prs.map((pr) => [`${pr.repo}#${pr.number}`, pr]));
+  const reviewTitles = new Map(gitData.reviews.map((r) => [`${r.repo}#${r.prNumber}`, r.prTitle]));
+
+  const prRef = (repo, number) => {
+    const pr = prs.get(`${repo}#${number}`);
+    const url = pr?.url || (repos.has(repo) ? `${repos.get(repo)}/pull/${number}` : null);
+    const prTitle = pr?.title || reviewTitles.get(`${repo}#${number}`);
+    return `${link(url, `${repo} #${number}`)}${prTitle ? ` ${escapeText(prTitle)}` : ''}`;
+  };
+
+  const personSections = (summary.people || []).map((p) => {
+    const lines = [];
+    for (const c of p.commits || []) {
+      const branch = link(branchUrl(repos.get(c.repo), c.branch), c.branch);
+      lines.push(`• ${link(repos.get(c.repo), c.repo)} / ${branch} — ${escapeText(c.summary)} (${c.count})`);
+    }
+    for (const pr of p.prs || []) {
+      lines.push(`• ${pr.action === 'open' ? 'Working on' : pr.action[0].toUpperCase() + pr.action.slice(1)} ${prRef(pr.repo, pr.number)}`);
+    }
+    for (const r of p.reviews || []) {
+      lines.push(`• Reviewed ${prRef(r.repo, r.number)} → \`${escapeText(r.verdict)}\``);
+    }
+    for (const other of p.other || []) lines.push(`• ${escapeText(other)}`);
+    return chunkedSections(escapeText(p.name), lines);
+  });
+
+  const tickets = ticketLinks?.length ? [] : (summary.tickets || []).map((id) => link(ticketUrl ? ticketUrl(id) : null, id));
+  const linkedTickets = (ticketLinks || []).map((t) => linkedTicketLine(t, linearOrg));
+
+  return withFallback([
+    header(title),
+    context(countsLine(gitData, null)),
+    divider(),
+    ...personSections.flat(),
+    divider(),
+    tickets.length ? section(`*Tickets mentioned:* ${tickets.join(', ')}`) : null,
+    ...chunkedSections('Tickets', linkedTickets),
+    ...(buildHealth ? chunkedSections('Build health', buildHealthLines(buildHealth, (login) => authorMap[login] || login)) : []),
+    summary.notable ? section(`*Notable:* ${escapeText(summary.notable)}`) : null,
+  ]);
+}
+
+/**
+ * Blocks for the daily Linear summary from a LINEAR_SUMMARY_SCHEMA object.
+ * Ticket links are built from linearOrg; unknown identifiers are kept as plain text.
+ * ticketLinks (from buildTicketLinks) add each ticket's commits, PRs and mismatches.
+ * linearData.transitions add each ticket's status path and backwards moves.
+ */
+function renderLinearSummary(summary, linearData, { title, linearOrg = 'your-org', ticketLinks = [] } = {}) {
+  const known = new Set([...linearData.newIssues, ...linearData.activeIssues].map((i) => i.identifier));
+  const linked = new Map(ticketLinks.map((t) => [t.id, t]));
+  const moves = new Map(summarizeTransitions(linearData.transitions).map((s) => [s.issue, s]));
+
+  const line = (t) => {
+    const url = known.has(t.identifier) ? `https://linear.app/${linearOrg}/issue/${t.identifier}` : null;
+    const parts = [`• ${link(url, t.identifier)} — ${escapeText(t.title)} — *${escapeText(t.assignee || 'Unassigned')}* \`${escapeText(t.status)}\``];
+    // Status moves come from Linear's issue history, not from the LLM
+    const moved = moves.get(t.identifier);
+    if (moved?.statePath.length) parts.push(`      ${moved.statePath.map((name) => `\`${escapeText(name)}\``).join(' → ')}`);
+    for (const back of moved?.backwards || []) parts.push(`      :rewind: moved back ${escapeText(back.from)} → ${escapeText(back.to)}`);
+    if (t.discussion) parts.push(`      _${escapeText(t.discussion)}_`);
+    const git = linked.get(t.identifier.toUpperCase());
+    if (git) {
+      const activity = [];
+      if (git.commits.length) activity.push(plural(git.commits.length, 'commit'));
+      for (const pr of git.prs) activity.push(`${link(pr.url, `${pr.repo} #${pr.number}`)} ${prStatus(pr)}`);
+      if (activity.length) parts.push(`      ↳ ${activity.join(', ')}`);
+      for (const m of git.mismatches) parts.push(`      :warning: ${escapeText(m.text)}`);
+    }
+    return parts.join('\n');
+  };
+
+  const created = summary.tickets.filter((t) => t.isNew).map(line);
+  const updated = summary.tickets.filter((t) => !t.isNew).map(line);
+  // Backwards moves on tickets the LLM left out still get flagged
+  const covered = new Set(summary.tickets.map((t) => t.identifier));
+  const movedBack = [...moves.values()]
+    .filter((m) => m.backwards.length > 0 && !covered.has(m.issue))
+    .map((m) => `• ${link(`https://linear.app/${linearOrg}/issue/${m.issue}`, m.issue)} — ${escapeText(m.issueTitle)}: ${m.backwards.map((b) => `${escapeText(b.from)} → ${escapeText(b.to)}`).join(', ')}`);
+
+  return withFallback([
+    header(title),
+    context(countsLine(null, linearData)),
+    divider(),
+    ...chunkedSections('New tickets', created),
+    ...chunkedSections('Updated tickets', updated),
+    ...chunkedSections(':rewind: Moved back', movedBack),
+    divider(),
+    summary.highlights ? section(`*Highlights:* ${escapeText(summary.highlights)}`) : null,
+  ]);
+}
+
+/**
+ * Blocks for `/devbot ticket <id>`: the Linear ticket, the GitHub activity that
+ * references it, and any status mismatches.
+ */
+function renderTicketView({ ticket, label, authorMap = {}, linearAuthorMap = {}, linearOrg = 'your-org' }) {
+  const n = (author) => authorMap[author] || author;
+  const issue = ticket.issue;
+  const url = `https://linear.app/${linearOrg}/issue/${ticket.id}`;
+
+  const summaryLine = issue
+    ? `${link(url, ticket.id)} ${escapeText(issue.title)} — *${escapeText(mapLinearName(issue.assignee?.displayName, linearAuthorMap))}* \`${escapeText(issue.state?.name || 'unknown')}\``
+    : `*${escapeText(ticket.id)}* — no Linear details (not found, or Linear isn't configured)`;
+
+  const commitLines = ticket.commits.map((c) => `${link(c.url, c.sha.slice(0, 7))} ${escapeText(c.message)} — ${escapeText(n(c.author))} (${escapeText(c.repo)}/${escapeText(c.branch)})`);
+
+  return finalize([
+    header(`${ticket.id} — ${label}`),
+    section(summaryLine),
+    ticket.mismatches.length ? section(ticket.mismatches.map((m) => `:warning: ${escapeText(m.text)}`).join('\n')) : null,
+    context(`${plural(ticket.commits.length, 'commit')} · ${plural(ticket.prs.length, 'PR')}${ticket.branches.length ? ` · branches: ${ticket.branches.map(escapeText).join(', ')}` : ''}`),
+    listSection('Pull requests', ticket.prs.map((pr) => prLine(pr, n))),
+    listSection('Commits', commitLines),
+  ]);
+}
+
+// --- Stale PR digest ---
+
+// <@U…> when the GitHub login has a Slack ID in slackUserMap, otherwise the display name
+function mentionFor(login, { authorMap = {}, slackUserMap = {} }) {
+  return slackUserMap[login] ? `<@${slackUserMap[login]}>` : escapeText(authorMap[login] || login);
+}
+
+function staleReasonText(reason, maps) {
+  const people = [...reason.who.map((login) => mentionFor(login, maps)), ...reason.teams.map((t) => `@${escapeText(t)}`)];
+  const d = durationLabel(reason.hours);
+  switch (reason.code) {
+    case 'review-wait': return `:hourglass: waiting ${d} on review from ${people.join(', ')}`;
+    case 'no-reviewer': return `:bust_in_silhouette: no reviewer after ${d} — ${people.join(', ')} please request one`;
+    case 'changes-requested': return `:pencil2: changes requested ${d} ago, no new commits — ${people.join(', ')}`;
+    case 'review-idle': return `:zzz: no review for ${d} since the last one — ${people.join(', ')}`;
+    case 'ci-failing': return `:x: CI failing — ${people.join(', ')}`;
+    default: return `:calendar: open ${d}`;
+  }
+}
+
+/**
+ * Blocks for the stale PR digest: one entry per flagged PR (from assessOpenPRs) with
+ * its reasons, @-mentioning the people it's blocked on, then the review load per reviewer.
+ */
+function renderStalePRDigest(flagged, { title, openCount, load = [], authorMap = {}, slackUserMap = {} }) {
+  const maps = { authorMap, slackUserMap };
+
+  const prLines = flagged.map(({ pr, ageHours, sinceReviewHours, reasons }) => {
+    const draft = pr.isDraft ? ' `draft`' : '';
+    const lastReview = sinceReviewHours != null ? `, last review ${durationLabel(sinceReviewHours)} ago` : '';
+    const head = `• ${link(pr.url, `${pr.repo} #${pr.number}`)} ${escapeText(pr.title)}${draft} — ${escapeText(authorMap[pr.author] || pr.author)}, open ${durationLabel(ageHours)}${lastReview}`;
+    const details = reasons.filter((r) => r.code !== 'old').map((r) => `      ${staleReasonText(r, maps)}`);
+    return [head, ...details].join('\n');
+  });
+
+  const loadLines = load.map((l) => {
+    const who = l.login ? mentionFor(l.login, maps) : `@${escapeText(l.team)}`;
+    return `• ${who} — ${plural(l.count, 'PR')} waiting, longest ${durationLabel(l.longestHours)}`;
+  });
+
+  return withFallback([
+    header(title),
+    context(`${plural(flagged.length, 'PR')} ${flagged.length === 1 ? 'needs' : 'need'} attention out of ${openCount} open`),
+    divider(),
+    ...chunkedSections('Needs attention', prLines),
+    ...chunkedSections('Review load', loadLines),
+  ]);
+}
+
+// --- Spec changes ---
+
+/**
+ * Blocks for the spec-change digest from build-context.js: one section per new or changed
+ * Notion page ({ title, url, kind: 'new' | 'changed', whatChanged, added, removed }).
+ */
+function renderSpecChangeDigest(changes, { title }) {
+  const newCount = changes.filter((c) => c.kind === 'new').length;
+  const counts = [
+    newCount ? plural(newCount, 'new spec') : '',
+    changes.length > newCount ? plural(changes.length - newCount, 'changed spec') : '',
+  ].filter(Boolean).join(', ');
+
+  const sections = changes.map((c) => {
+    const badge = c.kind === 'new' ? ' `new`' : ` (+${c.added}/-${c.removed} lines)`;
+    return section(`*${link(c.url, c.title)}*${badge}\n${escapeText(c.whatChanged)}`);
+  });
+
+  return withFallback([
+    header(title),
+    context(counts),
+    divider(),
+    ...sections,
+  ]);
+}
+
+// --- Personal digests ---
+
+const REVIEW_TEXT = {
+  APPROVED: ':white_check_mark: approved',
+  CHANGES_REQUESTED: ':pencil2: changes requested',
+  COMMENTED: ':speech_balloon: reviewed',
+  DISMISSED: 'review dismissed',
+};
+
+const quote = (body, max = 120) => `_"${escapeText(truncate(body || '', max))}"_`;
+
+/**
+ * Blocks for a personal digest DM (from buildPersonalDigest): PRs waiting on their review,
+ * reviews and comments on their PRs, their changed Linear tickets, and mentions.
+ */
+function renderPersonalDigest(digest, { title, authorMap = {}, linearAuthorMap = {}, linearOrg = 'your-org' }) {
+  const n = (login) => escapeText(authorMap[login] || login);
+  const ticketUrl = (id) => `https://linear.app/${linearOrg}/issue/${id}`;
+
+  const waitingLines = digest.awaitingReview.map(({ pr, waitHours }) =>
+    `• ${link(pr.url, `${pr.repo} #${pr.number}`)} ${escapeText(pr.title)} — ${n(pr.author)}, waiting ${durationLabel(waitHours)}`);
+
+  const prLines = digest.onTheirPRs.map(({ pr, reviews, comments }) => {
+    const lines = [`• ${link(pr.url, `${pr.repo} #${pr.number}`)} ${escapeText(pr.title)}`];
+    for (const r of reviews) lines.push(`      ${REVIEW_TEXT[r.state] || escapeText(r.state.toLowerCase())} by ${n(r.reviewer)}`);
+    for (const c of comments.slice(0, 3)) lines.push(`      ${n(c.author)}: ${quote(c.body)}`);
+    if (comments.length > 3) lines.push(`      _…and ${plural(comments.length - 3, 'more comment')}_`);
+    return lines.join('\n');
+  });
+
+  const moves = new Map(summarizeTransitions(digest.tickets.flatMap((t) => t.transitions)).map((s) => [s.issue, s]));
+  const ticketLines = digest.tickets.map(({ issue, isNew, comments }) => {
+    const lines = [`• ${link(ticketUrl(issue.identifier), issue.identifier)} ${escapeText(issue.title)} \`${escapeText(issue.state?.name || '')}\`${isNew ? ' _new_' : ''}`];
+    const moved = moves.get(issue.identifier);
+    if (moved?.statePath.length) lines.push(`      ${moved.statePath.map((s) => `\`${escapeText(s)}\``).join(' → ')}`);
+    for (const back of moved?.backwards || []) lines.push(`      :rewind: moved back ${escapeText(back.from)} → ${escapeText(back.to)}`);
+    for (const c of comments.slice(0, 3)) lines.push(`      ${escapeText(mapLinearName(c.author, linearAuthorMap))}: ${quote(c.body)}`);
+    if (comments.length > 3) lines.push(`      _…and ${plural(comments.length - 3, 'more comment')}_`);
+    return lines.join('\n');
+  });
+
+  const mentionLines = digest.mentions.map((m) => {
+    const who = m.source === 'linear' ? escapeText(mapLinearName(m.author, linearAuthorMap)) : n(m.author);
+    const where = m.source === 'linear' ? link(ticketUrl(m.issue), m.label) : link(m.url, m.label);
+    return `• ${who} in ${where}: ${quote(m.body)}`;
+  });
+
+  const counts = [
+    digest.awaitingReview.length && `${plural(digest.awaitingReview.length, 'PR')} waiting on your review`,
+    digest.onTheirPRs.length && `${plural(digest.onTheirPRs.length, 'PR')} of yours with feedback`,
+    digest.tickets.length && `${plural(digest.tickets.length, 'ticket')} changed`,
+    digest.mentions.length && plural(digest.mentions.length, 'mention'),
+  ].filter(Boolean);
+
+  return withFallback([
+    header(title),
+    context(counts.join(' · ')),
+    divider(),
+    ...chunkedSections(':eyes: Waiting on your review', waitingLines),
+    ...chunkedSections(':speech_balloon: On your PRs', prLines),
+    ...chunkedSections(':ticket: Your tickets', ticketLines),
+    ...chunkedSections(':wave: Mentions', mentionLines),
+    context('`/devbot digest off` to stop these DMs'),
+  ]);
+}
+
+// --- Scheduled jobs ---
+
+const RUN_ICONS = { ok: ':white_check_mark:', failed: ':x:', skipped: ':fast_forward:', running: ':hourglass_flowing_sand:' };
+
+function runDuration(ms) {
+  const seconds = Math.round(ms / 1000);
+  return seconds >= 60 ? `${Math.floor(seconds / 60)}m ${seconds % 60}s` : `${seconds}s`;
+}
+
+// ":x: `2026-10-19 06:00` failed in 1m 4s — exit code 1 (catch-up)"
+function runLine(run) {
+  const took = run.durationMs != null ? ` in ${runDuration(run.durationMs)}` : '';
+  const reason = run.reason ? ` — ${escapeText(run.reason)}` : '';
+  const trigger = run.trigger && run.trigger !== 'schedule' ? ` (${run.trigger})` : '';
+  return `${RUN_ICONS[run.status] || ''} \`${escapeText(run.slot)}\` ${run.status}${took}${reason}${trigger}`;
+}
+
+/**
+ * Blocks for `/devbot runs [job]`: each scheduled job with its last and next run, or — given
+ * `job` — that job's recent runs and the output of its latest failure.
+ * `jobs` are [{ name, cron, timezone, next }] (`next` a "YYYY-MM-DD HH:MM" label or null);
+ * `runs` are jobRuns records, newest first.
+ */
+function renderJobRuns({ jobs, runs, job = null }) {
+  const nextText = (j) => (j.next ? `\`${j.next}\`` : 'not scheduled');
+
+  if (!job) {
+    const lines = jobs.map((j) => {
+      const last = runs.find((r) => r.job === j.name);
+      return `• *${escapeText(j.name)}* \`${escapeText(j.cron)}\` ${escapeText(j.timezone)}\n      last: ${last ? runLine(last) : 'never run'} · next: ${nextText(j)}`;
+    });
+    return finalize([
+      header('Scheduled jobs'),
+      context(`${plural(jobs.length, 'job')} · times are in each job's timezone · \`/devbot runs <job>\` for a job's history`),
+      ...chunkedSections(null, lines),
+    ]);
+  }
+
+  const own = runs.filter((r) => r.job === job.name);
+  const failure = own.find((r) => r.status === 'failed' && r.output);
+  return finalize([
+    header(`Runs — ${job.name}`),
+    context(`\`${escapeText(job.cron)}\` ${escapeText(job.timezone)} · next: ${nextText(job)}`),
+    own.length ? listSection('Recent runs', own.map(runLine)) : section('_No runs recorded yet._'),
+    failure ? section(`*Output of the ${escapeText(failure.slot)} failure*\n\`\`\`${escapeText(failure.output.slice(-1500))}\`\`\``) : null,
+  ]);
+}
+
+// --- Metrics (/devbot metrics) ---
+
+const spreadText = (d) => (d.count ? `median *${hoursLabel(d.p50)}* · p90 ${hoursLabel(d.p90)} · ${plural(d.count, 'sample')}` : '_no data_');
+
+/**
+ * A computeMetrics result, plus its computeTrend weeks, as a Block Kit view.
+ */
+function renderMetricsView({ metrics, trend = [], label }) {
+  const { prs, cycleTime, firstReview, size, reviewers, leadTime } = metrics;
+  const lines = [
+    `*Cycle time* (open → merge): ${spreadText(cycleTime)}`,
+    `*First review*: ${spreadText(firstReview)}${firstReview.unreviewed ? ` · ${firstReview.unreviewed} still unreviewed` : ''}`,
+    size.count ? `*PR size*: median *${Math.round(size.p50)}* lines · p90 ${Math.round(size.p90)} · +${size.additions}/-${size.deletions} total` : null,
+    `*Merge rate*: ${prs.mergeRate === null ? 'n/a' : `*${Math.round(prs.mergeRate * 100)}%*`} · ${prs.merged} merged, ${prs.closedUnmerged} closed unmerged, ${prs.opened} opened`,
+    leadTime ? `*Linear lead time* (created → done): ${spreadText(leadTime)}` : null,
+  ].filter(Boolean);
+
+  const reviewerLines = reviewers
+    .filter((r) => r.reviews > 0)
+    .map((r) => `${escapeText(r.name)} — ${plural(r.reviews, 'review')}${r.turnaround.count ? `, median turnaround ${hoursLabel(r.turnaround.p50)}` : ''}`);
+
+  const weekLines = trend.map((t) => {
+    const day = (d) => d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    return `\`${day(t.from)}\` ${t.week.prs.merged} merged · cycle ${hoursLabel(t.week.cycleTime.p50)} (4-wk ${hoursLabel(t.rolling.cycleTime.p50)}) · first review ${hoursLabel(t.week.firstReview.p50)} (4-wk ${hoursLabel(t.rolling.firstReview.p50)})`;
+  });
+
+  return finalize([
+    header(`Engineering metrics — ${label}`),
+    section(lines.join('\n')),
+    listSection('Reviewers', reviewerLines),
+    weekLines.length ? divider() : null,
+    ...chunkedSections('Weekly trend', weekLines),
+    context('`/devbot metrics [days]` · export with `node metrics.js --format=csv|json`'),
+  ]);
+}
+
+module.exports = {
+  escapeText,
+  link,
+  header,
+  section,
+  context,
+  divider,
+  listSection,
+  finalize,
+  countsLine,
+  renderSummaryView,
+  renderPersonView,
+  renderRepoView,
+  renderGitSummary,
+  renderLinearSummary,
+  renderStalePRDigest,
+  renderSpecChangeDigest,
+  renderPersonalDigest,
+  renderTicketView,
+  renderJobRuns,
+  renderMetricsView,
+};
@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+const fs = require('fs');
+const path = require('path');
+const { createGitHubClient, resolveGitHubToken } = require('./github-client');
+const { fetchOpenPullRequests } = require('./github-utils');
+const { createActivityFilter } = require('./filter-utils');
+const { assessOpenPRs, reviewerLoad } = require('./pr-health-utils');
+const { renderStalePRDigest } = require('./slack-blocks');
+const { resolveTeams, selectTeams, teamSuffix, teamRepoMatcher } = require('./team-utils');
+
+const SCRIPT_DIR = __dirname;
+const CONFIG = JSON.parse(fs.readFileSync(path.join(SCRIPT_DIR, 'config.json'), 'utf8'));
+
+// Parse args
+let dryRun = false;
+let teamName = null;
+
+for (const arg of process.argv.slice(2)) {
+  if (arg === '--dry-run') dryRun = true;
+  if (arg.startsWith('--team=')) teamName = arg.split('=')[1];
+}
+
+const log = (msg) => console.log(`[${new Date().toISOString()}] ${msg}`);
+
+// --- Main ---
+
+// One team's digest. Throws on failure so other teams still run.
+async function digestTeam(team, client) {
+  const settings = team.stalePRs || {};
+  const webhookUrl = settings.slackWebhookUrl || team.slackWebhookUrl;
+  if (!dryRun && (!webhookUrl || webhookUrl.includes('XXXXX'))) {
+    throw new Error('slackWebhookUrl not configured');
+  }
+
+  const filter = createActivityFilter(team.filters);
+  const openPRs = await fetchOpenPullRequests(client, {
+    org: team.org,
+    extraRepos: team.extraRepos || [],
+    repoFilter: team.repos ? teamRepoMatcher(team) : null,
+    filter,
+    concurrency: team.githubConcurrency || 6,
+    log,
+  });
+
+  const filtered = filter.summary();
+  if (filtered) log(`Filtered out: ${filtered}`);
+
+  const flagged = assessOpenPRs(openPRs, settings);
+  if (flagged.length === 0) {
+    log('No PRs need attention. Skipping digest.');
+    return;
+  }
+  log(`${flagged.length} of ${openPRs.length} open PRs need attention`);
+
+  const today = new Date().toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' });
+  const message = renderStalePRDigest(flagged, {
+    title: `PRs needing attention${teamSuffix(team)} — ${today}`,
+    openCount: openPRs.length,
+    load: reviewerLoad(flagged),
+    authorMap: team.authorMap || {},
+    slackUserMap: team.slackUserMap || {},
+  });
+
+  if (dryRun) {
+    log('DRY RUN — would post to Slack:');
+    console.log('---');
+    console.log(message.text);
+    console.log('---');
+    return;
+  }
+
+  const res = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(message),
+  });
+
+  if (!res.ok) {
+    throw new Error(`Slack returned HTTP ${res.status}`);
+  }
+  log('Posted to Slack successfully');
+}
+
+async function main() {
+  const teams = selectTeams(resolveTeams(CONFIG), teamName);
+
+  const token = resolveGitHubToken();
+  if (!token) {
+    log('ERROR: no GitHub token — set GITHUB_TOKEN or run gh auth login');
+    process.exit(1);
+  }
+
+  const client = createGitHubClient({
+    token,
+    baseUrl: process.env.GITHUB_API_URL || CONFIG.githubApiUrl,
+  });
+
+  let failed = 0;
+  for (const team of teams) {
+    if (team.multi) log(`=== Team ${team.name} ===`);
+    try {
+      await digestTeam(team, client);
+    } catch (e) {
+      log(`ERROR${teamSuffix(team)}: ${e.message}`);
+      failed++;
+    }
+  }
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main().catch((e) => {
+  log(`ERROR: ${e.message}`);
+  process.exit(1);
+});
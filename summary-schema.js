@@ -0,0 +1,176 @@
+// JSON shapes the summary LLM stage must return when summaryFormat is "blocks",
+// plus a tiny validator for the subset of JSON Schema used here.
+
+const GIT_SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['people', 'notable'],
+  properties: {
+    people: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        properties: {
+          name: { type: 'string', description: 'Display name from the author mapping' },
+          commits: {
+            type: 'array',
+            description: 'One entry per repo+branch the person committed to',
+            items: {
+              type: 'object',
+              required: ['repo', 'branch', 'count', 'summary'],
+              properties: {
+                repo: { type: 'string', description: 'Short repo name exactly as in the data' },
+                branch: { type: 'string' },
+                count: { type: 'number' },
+                summary: { type: 'string', description: 'One short sentence on what the commits did' },
+              },
+            },
+          },
+          prs: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['repo', 'number', 'action'],
+              properties: {
+                repo: { type: 'string' },
+                number: { type: 'number' },
+                action: { type: 'string', enum: ['opened', 'merged', 'closed', 'open'] },
+              },
+            },
+          },
+          reviews: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['repo', 'number', 'verdict'],
+              properties: {
+                repo: { type: 'string' },
+                number: { type: 'number' },
+                verdict: { type: 'string', enum: ['approved', 'changes requested', 'commented', 'dismissed'] },
+              },
+            },
+          },
+          other: {
+            type: 'array',
+            description: 'Short bullets for comments, issues, releases, branches, membership changes',
+            items: { type: 'string' },
+          },
+        },
+      },
+    },
+    tickets: { type: 'array', items: { type: 'string' }, description: 'Ticket identifiers mentioned' },
+    notable: { type: 'string', description: 'One sentence on the main theme of the day' },
+  },
+};
+
+const LINEAR_SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['tickets', 'highlights'],
+  properties: {
+    tickets: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['identifier', 'title', 'status', 'isNew'],
+        properties: {
+          identifier: { type: 'string' },
+          title: { type: 'string' },
+          assignee: { type: 'string', description: 'Display name, or "Unassigned"' },
+          status: { type: 'string' },
+          isNew: { type: 'boolean', description: 'true if the ticket was created in this window' },
+          discussion: { type: 'string', description: '1-2 sentences on comments/decisions, or empty' },
+        },
+      },
+    },
+    highlights: { type: 'string', description: '1-2 sentences on the main themes or important discussions' },
+  },
+};
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Validate value against a schema subset (type, required, properties, items, enum).
+ * Returns a list of error strings — empty when valid.
+ */
+function validateAgainst(schema, value, at = '$') {
+  const errors = [];
+  if (schema.type && typeOf(value) !== schema.type) {
+    errors.push(`${at}: expected ${schema.type}, got ${typeOf(value)}`);
+    return errors;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at}: must be one of ${schema.enum.join(', ')}`);
+  }
+  if (schema.type === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${at}.${key}: required`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) errors.push(...validateAgainst(sub, value[key], `${at}.${key}`));
+    }
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateAgainst(schema.items, item, `${at}[${i}]`)));
+  }
+  return errors;
+}
+
+/**
+ * Parse an LLM response as JSON, tolerating a ```json fence or leading chatter.
+ * Returns { value, errors } — errors is non-empty if it didn't parse or validate.
+ */
+function parseSummaryJSON(text, schema) {
+  let raw = (text || '').trim();
+  const fenced = raw.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (fenced) raw = fenced[1].trim();
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end <= start) return { value: null, errors: ['no JSON object found'] };
+
+  let value;
+  try {
+    value = JSON.parse(raw.slice(start, end + 1));
+  } catch (e) {
+    return { value: null, errors: [`invalid JSON: ${e.message}`] };
+  }
+  return { value, errors: validateAgainst(schema, value) };
+}
+
+/**
+ * Ask the LLM for JSON matching schema, retrying once with the validation errors.
+ * Resolves to the parsed object, or null if the model never produced valid output —
+ * callers fall back to the plain mrkdwn summary.
+ */
+async function completeStructured(llm, stage, prompt, schema, { log = () => {} } = {}) {
+  const fullPrompt = `${prompt}
+
+OUTPUT FORMAT:
+Return ONLY a JSON object matching this JSON Schema — no markdown, no code fences, no explanation.
+Do not include URLs; links are added from the collected data.
+${JSON.stringify(schema, null, 2)}`;
+
+  let errors = [];
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const retryNote = errors.length
+      ? `\n\nYour previous output was rejected:\n${errors.slice(0, 10).map((e) => `- ${e}`).join('\n')}\nReturn corrected JSON only.`
+      : '';
+    const text = await llm.complete(stage, fullPrompt + retryNote);
+    const parsed = parseSummaryJSON(text, schema);
+    if (parsed.errors.length === 0) return parsed.value;
+    errors = parsed.errors;
+    log(`Structured summary rejected (attempt ${attempt + 1}): ${errors.slice(0, 3).join('; ')}`);
+  }
+  return null;
+}
+
+module.exports = {
+  GIT_SUMMARY_SCHEMA,
+  LINEAR_SUMMARY_SCHEMA,
+  validateAgainst,
+  parseSummaryJSON,
+  completeStructured,
+};
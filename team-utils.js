@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { fetchLinearActivity } = require('./linear-utils');
+const { globToRegExp } = require('./filter-utils');
+
+// Name maps are merged with the top-level ones instead of replacing them,
+// so people who work across teams only need mapping once
+const MERGED_MAPS = ['authorMap', 'linearAuthorMap', 'slackUserMap', 'linearSlackUserMap'];
+
+/**
+ * The teams to run for, each a full config: the top-level settings with the team's
+ * entry laid over them. Without a `teams` array the top-level config is a single
+ * "default" team, so single-team configs keep working unchanged.
+ * `multi` is true when teams come from a `teams` array.
+ */
+function resolveTeams(config) {
+  const { teams, ...shared } = config;
+  if (!Array.isArray(teams) || teams.length === 0) {
+    return [{ ...shared, name: 'default', multi: false }];
+  }
+  return teams.map((team, i) => {
+    const merged = { ...shared, ...team, name: team.name || `team-${i + 1}`, multi: true };
+    for (const key of MERGED_MAPS) merged[key] = { ...shared[key], ...team[key] };
+    return merged;
+  });
+}
+
+/**
+ * The teams a script run covers: the one named by --team=, or all of them.
+ */
+function selectTeams(teams, name) {
+  if (!name) return teams;
+  const team = teams.find((t) => t.name.toLowerCase() === name.toLowerCase());
+  if (!team) throw new Error(`unknown team "${name}" (configured: ${teams.map((t) => t.name).join(', ')})`);
+  return [team];
+}
+
+/**
+ * The team whose `slackChannels` include a channel ID; channels no team claims get the first team.
+ */
+function teamForChannel(teams, channelId) {
+  return teams.find((t) => (t.slackChannels || []).includes(channelId)) || teams[0];
+}
+
+/**
+ * " — <team name>" for titles when several teams are configured, '' otherwise.
+ */
+function teamSuffix(team) {
+  return team.multi ? ` — ${team.name}` : '';
+}
+
+function linearTeamIds(team) {
+  if (Array.isArray(team.linearTeamIds)) return team.linearTeamIds.filter(Boolean);
+  return team.linearTeamId ? [team.linearTeamId] : [];
+}
+
+function contextPath(team, scriptDir) {
+  return path.resolve(scriptDir, team.contextFile || 'context.md');
+}
+
+function readContext(team, scriptDir) {
+  const file = contextPath(team, scriptDir);
+  return fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+}
+
+/**
+ * Predicate for whether a repo belongs to a team, given "org/name" — or a bare name for
+ * records that don't carry fullRepo. extraRepos always belong. `repos` patterns
+ * ("api", "web-*", "org/tools-?") narrow the team's org; patterns with a slash match the
+ * full name. Without `repos` the whole org belongs to the team.
+ */
+function teamRepoMatcher(team) {
+  const org = (team.org || '').toLowerCase();
+  const extra = new Set((team.extraRepos || []).map((r) => r.toLowerCase()));
+  const patterns = (team.repos || []).map((p) => ({
+    full: p.includes('/'),
+    re: globToRegExp(p),
+    nameRe: globToRegExp(p.split('/').pop()),
+  }));
+
+  return (repo) => {
+    if (!repo) return false;
+    const full = repo.includes('/') ? repo.toLowerCase() : null;
+    const name = repo.split('/').pop();
+    if (full && extra.has(full)) return true;
+    const inOrg = !full || full.startsWith(`${org}/`);
+    if (patterns.length === 0) return inOrg;
+    return patterns.some((p) => {
+      if (!full) return p.nameRe.test(name);
+      return p.full ? p.re.test(full) : inOrg && p.re.test(name);
+    });
+  };
+}
+
+/**
+ * Keep only the collectGitData records from the team's repos.
+ */
+function filterGitDataForTeam(data, team) {
+  if (!team.multi) return data;
+  const matches = teamRepoMatcher(team);
+  const result = {};
+  for (const [type, records] of Object.entries(data)) {
+    result[type] = records.filter((r) => matches(r.fullRepo || r.repo));
+  }
+  return result;
+}
+
+/**
+ * Keep only the fetchLinearActivity records from the team's Linear teams.
+ * Tickets stored before their team was recorded are kept.
+ */
+function filterLinearDataForTeam(data, team) {
+  if (!team.multi) return data;
+  const ids = new Set(linearTeamIds(team));
+  const ours = (issue) => !issue.team || ids.has(issue.team.id) || ids.has(issue.team.key);
+  const newIssues = data.newIssues.filter(ours);
+  const activeIssues = data.activeIssues.filter(ours);
+  const identifiers = new Set([...newIssues, ...activeIssues].map((i) => i.identifier));
+  return {
+    newIssues,
+    activeIssues,
+    recentComments: data.recentComments.filter((c) => identifiers.has(c.issue)),
+    transitions: (data.transitions || []).filter((t) => identifiers.has(t.issue)),
+  };
+}
+
+/**
+ * fetchLinearActivity across all of a team's Linear teams, merged into one result.
+ */
+async function fetchTeamLinearActivity(apiKey, team, sinceHours = 24, { commentLimit = 20 } = {}) {
+  const merged = { newIssues: [], activeIssues: [], recentComments: [], transitions: [] };
+  for (const teamId of linearTeamIds(team)) {
+    const data = await fetchLinearActivity(apiKey, teamId, sinceHours, { commentLimit });
+    for (const key of Object.keys(merged)) merged[key].push(...(data[key] || []));
+  }
+  merged.recentComments.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  merged.recentComments.splice(commentLimit);
+  merged.transitions.sort((a, b) => new Date(a.at) - new Date(b.at));
+  return merged;
+}
+
+module.exports = {
+  resolveTeams,
+  selectTeams,
+  teamForChannel,
+  teamSuffix,
+  linearTeamIds,
+  contextPath,
+  readContext,
+  teamRepoMatcher,
+  filterGitDataForTeam,
+  filterLinearDataForTeam,
+  fetchTeamLinearActivity,
+};
@@ -0,0 +1,52 @@
+// The activity store: same-named repos in different orgs stay apart, and writers in separate
+// processes don't drop each other's records.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { openActivityStore } = require('../activity-store');
+
+function tempStore(t) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'devbot-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+const issue = (fullRepo, title) => ({ repo: 'api', fullRepo, number: 12, title, state: 'open', createdAt: new Date().toISOString() });
+
+test('issues with the same number in two orgs are kept apart', (t) => {
+  const store = openActivityStore(tempStore(t));
+  store.upsert('issues', [issue('org-a/api', 'A')]);
+  store.upsert('issues', [issue('org-b/api', 'B')]);
+  assert.deepStrictEqual(store.query('issues').map((i) => `${i.fullRepo} ${i.title}`).sort(), ['org-a/api A', 'org-b/api B']);
+});
+
+test('a record stored under a short-repo key is replaced, not duplicated', (t) => {
+  const dir = tempStore(t);
+  const old = issue('org-a/api', 'old title');
+  fs.writeFileSync(path.join(dir, 'issues.jsonl'), `${JSON.stringify({ key: 'api#12', at: Date.now(), data: old })}\n`);
+  const store = openActivityStore(dir);
+  store.upsert('issues', [issue('org-a/api', 'new title')]);
+  assert.deepStrictEqual(store.query('issues').map((i) => i.title), ['new title']);
+});
+
+test('concurrent writers from separate processes keep every record', async (t) => {
+  const dir = tempStore(t);
+  const storePath = path.join(__dirname, '..', 'activity-store');
+  const writer = (name) => `
+    const store = require(${JSON.stringify(storePath)}).openActivityStore(${JSON.stringify(dir)});
+    for (let n = 0; n < 40; n++) {
+      store.upsert('issues', [{ repo: 'api', fullRepo: '${name}/api', number: n, title: 't', createdAt: new Date().toISOString() }]);
+    }
+  `;
+  const run = (name) => new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, ['-e', writer(name)], { stdio: 'inherit' });
+    child.on('error', reject);
+    child.on('exit', (code) => (code === 0 ? resolve() : reject(new Error(`writer ${name} exited ${code}`))));
+  });
+  await Promise.all(['a', 'b', 'c'].map(run));
+  assert.strictEqual(openActivityStore(dir).query('issues').length, 120);
+  assert.ok(!fs.existsSync(path.join(dir, 'issues.jsonl.lock')), 'lock released');
+});
@@ -0,0 +1,98 @@
+// The GitHub client against a local mock server: retries with backoff on transient failures,
+// and Link-header pagination.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createGitHubClient } = require('../github-client');
+
+const hits = new Map();
+let server;
+let baseUrl;
+
+// Each route gets (req, res, n) where n counts the requests to it, from 1
+const routes = {
+  '/flaky-502': (req, res, n) => (n === 1 ? send(res, 502, { message: 'bad gateway' }) : send(res, 200, { ok: true })),
+  '/reset': (req, res, n) => (n === 1 ? req.socket.destroy() : send(res, 200, { ok: true })),
+  '/slow': (req, res, n) => (n === 1 ? setTimeout(() => send(res, 200, { slow: true }), 500) : send(res, 200, { ok: true })),
+  '/retry-after': (req, res, n) => (n === 1 ? send(res, 429, { message: 'slow down' }, { 'Retry-After': '1' }) : send(res, 200, { ok: true })),
+  '/always-503': (req, res) => send(res, 503, { message: 'unavailable' }),
+  '/always-reset': (req) => req.socket.destroy(),
+  '/not-found': (req, res) => send(res, 404, { message: 'Not Found' }),
+  '/items': (req, res) => {
+    const page = Number(new URL(req.url, baseUrl).searchParams.get('page') || 1);
+    const link = page < 3 ? { Link: `<${baseUrl}/items?per_page=100&page=${page + 1}>; rel="next"` } : {};
+    send(res, 200, [page * 10, page * 10 + 1], link);
+  },
+  '/runs': (req, res) => {
+    const page = Number(new URL(req.url, baseUrl).searchParams.get('page') || 1);
+    const link = { Link: `<${baseUrl}/runs?per_page=100&page=${page + 1}>; rel="next"` };
+    send(res, 200, { total_count: 1000, workflow_runs: [{ id: page }] }, link);
+  },
+};
+
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+}
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    const route = new URL(req.url, 'http://localhost').pathname;
+    hits.set(route, (hits.get(route) || 0) + 1);
+    routes[route](req, res, hits.get(route));
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+const client = (options = {}) => createGitHubClient({ token: 't', baseUrl, retryDelayMs: 10, ...options });
+
+test('retries a 5xx response', async () => {
+  assert.deepStrictEqual(await client().get('flaky-502'), { ok: true });
+  assert.strictEqual(hits.get('/flaky-502'), 2);
+});
+
+test('retries a reset connection', async () => {
+  assert.deepStrictEqual(await client().get('reset'), { ok: true });
+  assert.strictEqual(hits.get('/reset'), 2);
+});
+
+test('retries a request that timed out', async () => {
+  assert.deepStrictEqual(await client({ timeoutMs: 100 }).get('slow'), { ok: true });
+  assert.strictEqual(hits.get('/slow'), 2);
+});
+
+test('waits for retry-after on a 429', async () => {
+  const started = Date.now();
+  assert.deepStrictEqual(await client().get('retry-after'), { ok: true });
+  assert.ok(Date.now() - started >= 900, 'waited about a second');
+});
+
+test('backs off exponentially and gives up after maxRetries', async () => {
+  const started = Date.now();
+  await assert.rejects(client({ maxRetries: 3, retryDelayMs: 20 }).get('always-503'), /GitHub API error: 503/);
+  assert.strictEqual(hits.get('/always-503'), 4);
+  // 20 + 40 + 80 ms between the four attempts
+  assert.ok(Date.now() - started >= 140, 'backed off between attempts');
+});
+
+test('gives up on a connection that keeps failing', async () => {
+  await assert.rejects(client({ maxRetries: 1 }).get('always-reset'), /GitHub API request failed: GET always-reset/);
+  assert.strictEqual(hits.get('/always-reset'), 2);
+});
+
+test('does not retry a 404', async () => {
+  await assert.rejects(client().get('not-found'), /GitHub API error: 404/);
+  assert.strictEqual(hits.get('/not-found'), 1);
+});
+
+test('paginate follows Link rel="next" to the last page', async () => {
+  assert.deepStrictEqual(await client().paginate('items'), [10, 11, 20, 21, 30, 31]);
+});
+
+test('paginate reads wrapped lists and stops at maxPages', async () => {
+  const runs = await client().paginate('runs', {}, { maxPages: 4, key: 'workflow_runs' });
+  assert.deepStrictEqual(runs.map((r) => r.id), [1, 2, 3, 4]);
+});
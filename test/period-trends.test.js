@@ -0,0 +1,28 @@
+// Retro trend text: Linear status regressions are reported in the Linear retro, not the git one.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { computeLinearStats, computeGitStats, formatLinearTrends, formatGitTrends } = require('../period-utils');
+const { emptyData } = require('../github-utils');
+
+const current = { from: new Date('2026-03-02T00:00:00Z'), to: new Date('2026-03-09T00:00:00Z') };
+const previous = { from: new Date('2026-02-23T00:00:00Z'), to: new Date('2026-03-02T00:00:00Z') };
+
+const linearData = {
+  newIssues: [],
+  activeIssues: [],
+  recentComments: [],
+  transitions: [
+    { issue: 'PROJ-7', issueTitle: 'Rate limiting', field: 'state', from: 'In Review', to: 'In Progress', backwards: true, actor: 'bob', at: '2026-03-04T10:00:00Z' },
+    { issue: 'PROJ-8', issueTitle: 'Audit log', field: 'state', from: 'Todo', to: 'In Progress', backwards: false, actor: 'carol', at: '2026-03-05T10:00:00Z' },
+  ],
+};
+
+test('a backwards transition shows up in the Linear retro text', () => {
+  const text = formatLinearTrends(computeLinearStats(linearData, current), computeLinearStats(linearData, previous));
+  assert.match(text, /- Moves back to an earlier status: 1 \(\+1\)/);
+});
+
+test('the git retro text has no status moves', () => {
+  const text = formatGitTrends(computeGitStats(emptyData(), current), computeGitStats(emptyData(), previous));
+  assert.doesNotMatch(text, /earlier status/);
+});
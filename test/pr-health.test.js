@@ -0,0 +1,91 @@
+// Stale-PR review waits: each requested reviewer is measured from their own review request.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { assessOpenPRs, reviewerLoad } = require('../pr-health-utils');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+function openPR(overrides = {}) {
+  return {
+    repo: 'api',
+    fullRepo: 'your-github-org/api',
+    number: 7,
+    title: 'Rate limiting',
+    author: 'alice',
+    isDraft: false,
+    createdAt: '2026-03-08T12:00:00Z',
+    requestedReviewers: ['bob', 'carol'],
+    requestedTeams: [],
+    // bob was asked two days ago; carol was added an hour ago
+    reviewRequestTimes: { bob: '2026-03-08T12:00:00Z', carol: '2026-03-10T11:00:00Z' },
+    reviews: [],
+    lastCommitAt: '2026-03-08T12:00:00Z',
+    ciState: 'SUCCESS',
+    ...overrides,
+  };
+}
+
+test('adding a second reviewer does not reset the first one\'s wait', () => {
+  const [flagged] = assessOpenPRs([openPR()], { reviewWaitHours: 24 }, NOW);
+  const wait = flagged.reasons.find((r) => r.code === 'review-wait');
+  assert.strictEqual(wait.hours, 48);
+  assert.deepStrictEqual(wait.who, ['bob']);
+});
+
+test('nobody is nudged until their own request passes the threshold', () => {
+  const pr = openPR({ reviewRequestTimes: { bob: '2026-03-10T00:00:00Z', carol: '2026-03-10T11:00:00Z' } });
+  assert.deepStrictEqual(assessOpenPRs([pr], { reviewWaitHours: 24 }, NOW), []);
+});
+
+test('teams wait from their own request, and the review load uses each one\'s wait', () => {
+  const pr = openPR({
+    requestedReviewers: ['carol'],
+    requestedTeams: ['backend'],
+    reviewRequestTimes: { carol: '2026-03-09T00:00:00Z', 'team:backend': '2026-03-08T12:00:00Z' },
+  });
+  const flagged = assessOpenPRs([pr], { reviewWaitHours: 24 }, NOW);
+  assert.deepStrictEqual(flagged[0].reasons[0].teams, ['backend']);
+  const load = reviewerLoad(flagged);
+  assert.deepStrictEqual(load.map((l) => [l.login || l.team, l.longestHours]), [['backend', 48], ['carol', 36]]);
+});
+
+test('a reviewed PR with nothing pending is flagged once the last review is reviewIdleHours old', () => {
+  // bob commented three days ago, which dropped his review request; alice replied since
+  const pr = openPR({
+    requestedReviewers: [],
+    reviewRequestTimes: {},
+    reviews: [
+      { reviewer: 'bob', state: 'COMMENTED', submittedAt: '2026-03-07T12:00:00Z' },
+      { reviewer: 'alice', state: 'COMMENTED', submittedAt: '2026-03-09T12:00:00Z' },
+    ],
+    lastReviewAt: '2026-03-07T12:00:00Z',
+    createdAt: '2026-03-07T00:00:00Z',
+  });
+  const [flagged] = assessOpenPRs([pr], { reviewIdleHours: 48, maxAgeHours: 240 }, NOW);
+  assert.strictEqual(flagged.sinceReviewHours, 72);
+  assert.deepStrictEqual(flagged.reasons.map((r) => [r.code, r.hours, r.who]), [['review-idle', 72, ['bob']]]);
+  assert.deepStrictEqual(assessOpenPRs([pr], { reviewIdleHours: 96, maxAgeHours: 240 }, NOW), []);
+});
+
+test('an approved PR left idle nudges the author; unanswered change requests stay with changes-requested', () => {
+  const approved = openPR({
+    requestedReviewers: [],
+    reviews: [{ reviewer: 'bob', state: 'APPROVED', submittedAt: '2026-03-07T12:00:00Z' }],
+    lastReviewAt: '2026-03-07T12:00:00Z',
+  });
+  const [flagged] = assessOpenPRs([approved], { reviewIdleHours: 48 }, NOW);
+  assert.deepStrictEqual(flagged.reasons.map((r) => [r.code, r.who]), [['review-idle', ['alice']]]);
+
+  const changes = { ...approved, reviews: [{ reviewer: 'bob', state: 'CHANGES_REQUESTED', submittedAt: '2026-03-07T12:00:00Z' }], lastCommitAt: '2026-03-07T00:00:00Z' };
+  const [stuck] = assessOpenPRs([changes], { reviewIdleHours: 48 }, NOW);
+  assert.deepStrictEqual(stuck.reasons.map((r) => r.code), ['changes-requested']);
+});
+
+test('the stale digest shows the time since the last review', () => {
+  const { renderStalePRDigest } = require('../slack-blocks');
+  const pr = openPR({ requestedReviewers: [], reviews: [{ reviewer: 'bob', state: 'COMMENTED', submittedAt: '2026-03-07T12:00:00Z' }], lastReviewAt: '2026-03-07T12:00:00Z' });
+  const { text, blocks } = renderStalePRDigest(assessOpenPRs([pr], {}, NOW), { title: 'Stale PRs', openCount: 1 });
+  const rendered = JSON.stringify({ text, blocks });
+  assert.match(rendered, /last review 3d ago/);
+  assert.match(rendered, /no review for 3d since the last one — bob/);
+});
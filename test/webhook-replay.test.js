@@ -0,0 +1,116 @@
+// Scan → webhook → query: a webhook delivery for a PR the collector already stored must keep
+// the scan's fields the payload doesn't carry, and deliveries go through their repo's filters.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { openActivityStore, recordGitData, queryGitData } = require('../activity-store');
+const { createWebhookHandler } = require('../github-webhooks');
+const { emptyData } = require('../github-utils');
+const { createActivityFilter } = require('../filter-utils');
+
+const SECRET = 'test-secret';
+const FIXTURE = path.join(__dirname, '..', 'fixtures', 'github-webhooks', 'pull_request.closed.json');
+
+// A PR as collectGitData stores it — before it was merged
+function scannedPR() {
+  return {
+    repo: 'api',
+    fullRepo: 'your-github-org/api',
+    number: 42,
+    title: 'PROJ-123 OAuth login',
+    author: 'alice',
+    state: 'OPEN',
+    branch: 'alice/oauth',
+    isDraft: false,
+    body: 'Adds OAuth login.',
+    createdAt: '2026-01-13',
+    mergedAt: '',
+    closedAt: '',
+    times: { createdAt: '2026-01-13T16:40:00Z', mergedAt: null, closedAt: null },
+    additions: 120,
+    deletions: 8,
+    changedFiles: 2,
+    files: [{ path: 'auth/oauth.js', additions: 100, deletions: 2 }, { path: 'auth/index.js', additions: 20, deletions: 6 }],
+    labels: [],
+    linkedIssues: [{ ref: 'your-github-org/api#40', title: 'Support OAuth', url: 'https://github.com/your-github-org/api/issues/40' }],
+    firstReviewAt: '2026-01-13T18:00:00Z',
+    reviewTurnarounds: [{ reviewer: 'bob', requestedAt: '2026-01-13T16:45:00Z', reviewedAt: '2026-01-13T18:00:00Z' }],
+    url: 'https://github.com/your-github-org/api/pull/42',
+  };
+}
+
+async function deliver(port, event, body) {
+  const res = await fetch(`http://127.0.0.1:${port}/github/webhook`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-GitHub-Event': event,
+      'X-GitHub-Delivery': crypto.randomUUID(),
+      'X-Hub-Signature-256': `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`,
+    },
+    body,
+  });
+  return res.status;
+}
+
+test('a pull_request webhook merges over the scanned PR record', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'devbot-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  // The fixture is dated January 2026; keep it inside retention
+  const store = openActivityStore(dir, { retentionDays: 3650 });
+  recordGitData(store, { ...emptyData(), prs: [scannedPR()] });
+
+  const server = http.createServer(createWebhookHandler({ secret: SECRET, store }));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+
+  const payload = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+  assert.strictEqual(await deliver(port, 'pull_request', JSON.stringify(payload)), 202);
+  payload.action = 'labeled';
+  payload.pull_request.labels = [{ name: 'auth' }];
+  assert.strictEqual(await deliver(port, 'pull_request', JSON.stringify(payload)), 202);
+
+  const { prs } = queryGitData(store, { from: new Date('2026-01-01'), to: new Date('2026-02-01') });
+  assert.strictEqual(prs.length, 1);
+  const pr = prs[0];
+  // From the webhooks
+  assert.strictEqual(pr.state, 'MERGED');
+  assert.strictEqual(pr.mergedAt, '2026-01-14');
+  assert.deepStrictEqual(pr.labels, ['auth']);
+  // Kept from the scan
+  assert.deepStrictEqual(pr.files, scannedPR().files);
+  assert.deepStrictEqual(pr.linkedIssues, scannedPR().linkedIssues);
+  assert.strictEqual(pr.firstReviewAt, '2026-01-13T18:00:00Z');
+  assert.deepStrictEqual(pr.reviewTurnarounds, scannedPR().reviewTurnarounds);
+  assert.strictEqual(pr.additions, 120);
+});
+
+test('each delivery goes through the filters picked for its repo', async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'devbot-store-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const store = openActivityStore(dir, { retentionDays: 3650 });
+
+  // The team owning your-github-org/api treats alice as noise; everyone else keeps her PRs
+  const strict = createActivityFilter({ excludeAuthors: ['alice'] });
+  const lenient = createActivityFilter({});
+  const filterFor = (fullName) => (fullName === 'your-github-org/api' ? strict : lenient);
+  const server = http.createServer(createWebhookHandler({ secret: SECRET, store, filterFor }));
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+
+  const payload = JSON.parse(fs.readFileSync(FIXTURE, 'utf8'));
+  assert.strictEqual(await deliver(port, 'pull_request', JSON.stringify(payload)), 202);
+  payload.repository.full_name = 'your-github-org/web';
+  payload.repository.name = 'web';
+  assert.strictEqual(await deliver(port, 'pull_request', JSON.stringify(payload)), 202);
+
+  const { prs } = queryGitData(store, { from: new Date('2026-01-01'), to: new Date('2026-02-01') });
+  assert.deepStrictEqual(prs.map((pr) => pr.fullRepo), ['your-github-org/web']);
+  assert.strictEqual(strict.counts.botPRs, 1);
+});
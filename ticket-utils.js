@@ -0,0 +1,157 @@
+const { fetchIssuesByIdentifier } = require('./linear-utils');
+
+// Linear workflow state types that mean the ticket is finished
+const DONE_STATE_TYPES = new Set(['completed', 'canceled']);
+const DONE_STATE_NAME = /\b(done|complete|completed|closed|released|shipped|cancell?ed)\b/i;
+
+/**
+ * Unique, upper-cased ticket IDs matching `pattern` (config.ticketPattern) in text.
+ * Matching is case-insensitive so branch names like "alice/proj-123-fix" count.
+ */
+function extractTicketIds(text, pattern) {
+  if (!text || !pattern) return [];
+  const matches = String(text).match(new RegExp(pattern, 'gi')) || [];
+  return [...new Set(matches.map((m) => m.toUpperCase()))];
+}
+
+function isTicketDone(issue) {
+  if (!issue?.state) return false;
+  if (issue.state.type) return DONE_STATE_TYPES.has(issue.state.type);
+  return DONE_STATE_NAME.test(issue.state.name || '');
+}
+
+function prState(pr) {
+  if (pr.mergedAt || pr.state === 'MERGED') return 'merged';
+  if (pr.closedAt || pr.state === 'CLOSED') return 'closed';
+  return 'open';
+}
+
+const emptyLink = (id) => ({ id, issue: null, commits: [], prs: [], branches: [] });
+
+/**
+ * Group collectGitData records by the tickets they reference — in commit messages,
+ * commit branches, PR titles, PR bodies and PR branch names.
+ * Returns a Map of ticket ID → { id, issue: null, commits, prs, branches }.
+ */
+function linkGitActivity(gitData, pattern) {
+  const links = new Map();
+  const link = (id) => {
+    if (!links.has(id)) links.set(id, emptyLink(id));
+    return links.get(id);
+  };
+  const addBranch = (entry, branch) => {
+    if (branch && !entry.branches.includes(branch)) entry.branches.push(branch);
+  };
+
+  for (const c of gitData.commits) {
+    const fromBranch = extractTicketIds(c.branch, pattern);
+    for (const id of new Set([...extractTicketIds(c.message, pattern), ...extractTicketIds(c.body, pattern), ...fromBranch])) {
+      link(id).commits.push(c);
+      if (fromBranch.includes(id)) addBranch(link(id), c.branch);
+    }
+  }
+
+  for (const pr of gitData.prs) {
+    const fromBranch = extractTicketIds(pr.branch, pattern);
+    const ids = new Set([...extractTicketIds(pr.title, pattern), ...extractTicketIds(pr.body, pattern), ...fromBranch]);
+    for (const id of ids) {
+      link(id).prs.push(pr);
+      if (fromBranch.includes(id)) addBranch(link(id), pr.branch);
+    }
+  }
+
+  for (const b of gitData.branchEvents || []) {
+    for (const id of extractTicketIds(b.branch, pattern)) addBranch(link(id), b.branch);
+  }
+
+  return links;
+}
+
+/**
+ * Mismatches between a ticket's Linear status and its GitHub activity, as [{ code, text }]:
+ *   merged-not-done   a referencing PR is merged but the ticket isn't Done
+ *   done-pr-open      the ticket is Done but a referencing PR is still open
+ *   unknown-ticket    referenced in GitHub but not found in Linear (only when lookedUp)
+ */
+function findTicketMismatches(link, { lookedUp = true } = {}) {
+  const mismatches = [];
+  if (!link.issue) {
+    if (lookedUp) mismatches.push({ code: 'unknown-ticket', text: 'not found in Linear' });
+    return mismatches;
+  }
+
+  const status = link.issue.state?.name || 'unknown';
+  const merged = link.prs.filter((pr) => prState(pr) === 'merged');
+  const open = link.prs.filter((pr) => prState(pr) === 'open');
+
+  if (merged.length > 0 && !isTicketDone(link.issue)) {
+    mismatches.push({ code: 'merged-not-done', text: `PR ${merged.map((pr) => `${pr.repo} #${pr.number}`).join(', ')} merged but ticket is still ${status}` });
+  }
+  if (open.length > 0 && isTicketDone(link.issue)) {
+    mismatches.push({ code: 'done-pr-open', text: `ticket is ${status} but PR ${open.map((pr) => `${pr.repo} #${pr.number}`).join(', ')} is still open` });
+  }
+  return mismatches;
+}
+
+/**
+ * Link GitHub activity to Linear tickets and attach the issues.
+ * `issues` are already-fetched Linear issues (e.g. from fetchLinearActivity); any referenced
+ * ticket not among them is looked up by identifier when apiKey is given.
+ * Pass `ids` to get exactly those tickets, including ones with no GitHub activity.
+ * Returns [{ id, issue, commits, prs, branches, mismatches }], most active first.
+ */
+async function buildTicketLinks(gitData, { pattern, ids = null, issues = [], apiKey = null, log = () => {} }) {
+  if (!pattern) return [];
+  const links = linkGitActivity(gitData, pattern);
+  if (ids) {
+    const wanted = ids.map((id) => id.toUpperCase());
+    for (const id of [...links.keys()]) if (!wanted.includes(id)) links.delete(id);
+    for (const id of wanted) if (!links.has(id)) links.set(id, emptyLink(id));
+  }
+  if (links.size === 0) return [];
+
+  const known = new Map(issues.map((i) => [i.identifier.toUpperCase(), i]));
+  const missing = [...links.keys()].filter((id) => !known.has(id));
+  let lookedUp = missing.length === 0;
+  if (missing.length > 0 && apiKey) {
+    try {
+      for (const issue of await fetchIssuesByIdentifier(apiKey, missing)) known.set(issue.identifier.toUpperCase(), issue);
+      lookedUp = true;
+    } catch (e) {
+      log(`Linear ticket lookup failed (non-fatal): ${e.message}`);
+    }
+  }
+
+  return [...links.values()]
+    .map((link) => {
+      link.issue = known.get(link.id) || null;
+      link.mismatches = findTicketMismatches(link, { lookedUp });
+      return link;
+    })
+    .sort((a, b) => (b.prs.length * 3 + b.commits.length) - (a.prs.length * 3 + a.commits.length));
+}
+
+/**
+ * One line per ticket for LLM prompts and dry runs, e.g.
+ * "PROJ-123 Add OAuth — In Progress — 3 commits, PR api #42 merged [MISMATCH: ...]".
+ */
+function formatTicketLinks(links) {
+  return links.map((link) => {
+    const parts = [];
+    if (link.commits.length) parts.push(`${link.commits.length} commit${link.commits.length === 1 ? '' : 's'}`);
+    for (const pr of link.prs) parts.push(`PR ${pr.repo} #${pr.number} ${prState(pr)}`);
+    if (link.branches.length) parts.push(`branch ${link.branches.join(', ')}`);
+    const head = link.issue ? `${link.id} ${link.issue.title} — ${link.issue.state?.name || 'unknown'}` : link.id;
+    const flags = link.mismatches.map((m) => ` [MISMATCH: ${m.text}]`).join('');
+    return `${head} — ${parts.join(', ') || 'no GitHub activity'}${flags}`;
+  }).join('\n');
+}
+
+module.exports = {
+  extractTicketIds,
+  isTicketDone,
+  linkGitActivity,
+  findTicketMismatches,
+  buildTicketLinks,
+  formatTicketLinks,
+};